@@ -19,6 +19,9 @@ const path = require('path');
 const marked = require('marked');
 const TerminalRenderer = require('marked-terminal').default || require('marked-terminal');
 const OrionToolRegistry = require('./src/tools/orion-tool-registry');
+const ModelRegistry = require('./src/models/model-registry');
+const UsageTracker = require('./src/models/usage-tracker');
+const { formatCost } = require('./src/models/usage-tracker');
 const JsonToolParser = require('./src/tools/json-tool-parser');
 const FileTools = require('./src/tools/file-tools');
 const PermissionManager = require('./src/permissions/permission-manager');
@@ -27,11 +30,23 @@ const TaskUnderstanding = require('./src/intelligence/task-understanding');
 // Enhanced orchestration removed - causes conflicts with SimpleOrchestrator
 const ProjectAwareness = require('./src/intelligence/project-awareness');
 const ContextManager = require('./src/intelligence/context-manager');
+const { messageText } = ContextManager;
+const CompletionProvider = require('./src/intelligence/completion-provider');
+const MentionResolver = require('./src/intelligence/mention-resolver');
+const { commonPrefix } = CompletionProvider;
+const SessionManager = require('./src/session/session-manager');
+const HeadlessRunner = require('./src/headless/headless-runner');
+const MCPManager = require('./src/mcp/mcp-manager');
+const HooksManager = require('./src/hooks/hooks-manager');
+const CheckpointManager = require('./src/checkpoints/checkpoint-manager');
+const ProjectMemory = require('./src/memory/project-memory');
+const { GLYPHS } = require('./src/tools/todo-tools');
+const ToolScheduler = require('./src/tools/tool-scheduler');
 const SimpleOrchestrator = require('./src/intelligence/simple-orchestrator');
 const ToolForgeIntegration = require('./src/experimental/tool-forge-integration');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { spawnSync } = require('child_process');
+const minimist = require('minimist');
+const { execAsync, execFileAsync, execTracked, killAll } = require('./src/tools/process-tracker');
 const stripAnsi = require('strip-ansi');
 
 // Load environment
@@ -75,21 +90,46 @@ const colors = {
   tool: chalk.hex('#FFD93D'),        // Gold
 };
 
+// How @mention attachments are listed
+const ATTACHMENT_ICONS = { file: '📎', range: '📎', directory: '📁', image: '🖼️' };
+
 class OrionCLI {
-  constructor() {
+  constructor(options = {}) {
+    // Headless mode (orion -p): no TUI, no interactive prompts
+    this.headless = !!options.headless;
+    this.allowedTools = [];  // Tools approved up front when running headless
+    this.onMessage = null;   // Observers used by the headless runner
+    this.onToolResult = null;
+    this.lastError = null;
+    
     this.messages = [];
     this.renderedMessageCount = 0; // Track how many messages have been rendered
     this.inputBuffer = '';
     this.cursorPosition = 0;
+    this.completion = null; // Open Tab completion popup: { start, end, candidates, index }
+    this.mentionPreview = null; // @mentions in the input box: { key, attachments, missing }
     this.history = [];
     this.historyIndex = -1;
     this.conversationHistory = [];
     this.multiLineMode = false;
     this.multiLineBuffer = [];
+    this.modelRegistry = new ModelRegistry();
+    // Real token counts and cost from each response's usage, priced from the registry
+    this.usageTracker = new UsageTracker({ getPricing: model => this.modelRegistry.getPricing(model) });
     this.config = this.loadConfig();
-    this.client = this.createClient();
+    // Headless runs create the client once --model is applied (HeadlessRunner.configure)
+    this.client = this.headless ? null : this.createClient();
     this.toolRegistry = new OrionToolRegistry();
     
+    // The model's todo_write plan, pinned above the input
+    this.todoTools = this.toolRegistry.todoTools;
+    this.todoTools.onChange = () => this.scheduleRender();
+    
+    // MCP servers from .orion/settings.json - connected in the background by start()
+    this.mcpManager = new MCPManager();
+    this.toolRegistry.setMCPManager(this.mcpManager);
+    this.mcpReady = Promise.resolve();
+    
     // Setup markdown renderer
     marked.setOptions({
       renderer: new TerminalRenderer({
@@ -125,18 +165,29 @@ class OrionCLI {
     
     // Intelligence systems
     this.taskUnderstanding = new TaskUnderstanding();
-    // EnhancedOrchestration removed - use only SimpleOrchestrator for mega tasks
+    // EnhancedOrchestration removed - SimpleOrchestrator plans multi-step tasks
     this.projectAwareness = new ProjectAwareness();
-    this.contextManager = new ContextManager();
+    this.contextManager = new ContextManager({ modelRegistry: this.modelRegistry });
+    this.mentionResolver = new MentionResolver({ countTokens: text => this.contextManager.countTokens(text) });
     this.simpleOrchestrator = new SimpleOrchestrator();
     
     // Experimental ToolForge integration
     this.toolForge = new ToolForgeIntegration();
     this.toolForgeEnabled = true; // Enabled by default for auto tool generation
     
+    // Tab completion for commands, @paths, model and forged tool names
+    this.completionProvider = new CompletionProvider({
+      fuzzyScore: (search, target) => this.taskUnderstanding.calculateFuzzyScore(search, target),
+      getModels: () => this.modelRegistry.getModelNames(),
+      getForgeTools: async () => (await this.toolForge.listForgedTools()).map(tool => tool.name)
+    });
+    
     // Permission system
     this.permissionManager = new PermissionManager();
+    this.toolRegistry.setDomainPolicy(url => this.permissionManager.checkDomain(url));
     this.permissionPrompt = new PermissionPrompt();
+    this.awaitingPermission = false;
+    this.permissionQueue = Promise.resolve(); // Parallel tool calls take turns at the prompt
     
     // Spinner animation
     this.spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
@@ -146,6 +197,7 @@ class OrionCLI {
     this.activeFile = null;
     this.autoEdit = true;  // Always enabled - otherwise AI does nothing
     this.isProcessing = false;
+    this.abortController = null; // Set while a request runs - Esc aborts it
     this.showUserMessages = true; // Show user messages in conversation history
     this.activeModel = null; // Track currently active model
     this.terminalWidth = process.stdout.columns || 80;
@@ -157,117 +209,52 @@ class OrionCLI {
     
     // Token tracking
     this.currentTokens = 0;
-    this.maxTokens = 1000000; // 1M token context window
-  }
-
-  loadConfig() {
-    const model = process.env.MODEL || 'deepseek-r1';
-    const configs = {
-      'gpt-5': {
-        endpoint: 'https://mike-mazsz1c6-eastus2.openai.azure.com',
-        deployment: 'gpt-5',
-        key: process.env.ORION_DEFAULT_KEY,
-        icon: '⚡',
-        color: colors.accent,
-        supportsTemperature: true
-      },
-      'gpt-5-chat': {
-        endpoint: 'https://mike-mazsz1c6-eastus2.openai.azure.com',
-        deployment: 'gpt-5-chat',
-        key: process.env.ORION_DEFAULT_KEY,
-        icon: '💬',
-        color: colors.primary,
-        supportsTemperature: true
-      },
-      'gpt-5-mini': {
-        endpoint: 'https://mike-mazsz1c6-eastus2.openai.azure.com',
-        deployment: 'gpt-5-mini',
-        key: process.env.ORION_DEFAULT_KEY,
-        icon: '🚀',
-        color: colors.success,
-        supportsTemperature: true
-      },
-      'o3': {
-        endpoint: 'https://unipathai7556217047.openai.azure.com',
-        deployment: 'o3',
-        key: process.env.ORION_O3_KEY,
-        icon: '🧠',
-        color: colors.info,
-        supportsTemperature: false // o3 doesn't support custom temperature
-      },
-      'gpt-4o': {
-        endpoint: process.env.AZURE_4O_ENDPOINT || 'https://unipathai7556217047.openai.azure.com',
-        deployment: 'gpt-4o',
-        key: process.env.AZURE_4O_KEY || process.env.ORION_O3_KEY,
-        icon: '🔷',
-        color: colors.info,
-        supportsTemperature: true,
-        description: 'GPT-4 Optimized'
-      },
-      'gpt-4o-mini': {
-        endpoint: process.env.AZURE_4O_ENDPOINT || 'https://unipathai7556217047.openai.azure.com',
-        deployment: 'gpt-4o-mini',
-        key: process.env.AZURE_4O_KEY || process.env.ORION_O3_KEY,
-        icon: '🔹',
-        color: colors.accent,
-        supportsTemperature: true,
-        description: 'GPT-4 Mini - Fast & efficient'
-      },
-      'deepseek-r1': {
-        endpoint: process.env.DEEPSEEK_ENDPOINT || 'https://DeepSeek-R1-rkcob.eastus.models.ai.azure.com',
-        deployment: 'DeepSeek-R1-rkcob',
-        key: process.env.DEEPSEEK_KEY,
-        icon: '🌊',
-        color: colors.secondary,
-        supportsTemperature: true,
-        description: 'DeepSeek-R1 - Advanced reasoning',
-        isDeepSeek: true // Special flag for DeepSeek API
-      },
-      'o4-mini': {
-        endpoint: 'https://mike-mazsz1c6-eastus2.openai.azure.com',
-        deployment: 'o4-mini',
-        key: process.env.ORION_DEFAULT_KEY,
-        icon: '⚡',
-        color: colors.warning,
-        supportsTemperature: true
-      }
-    };
+    this.maxTokens = 128000; // Context window of the model in use, updated per request
     
-    const config = configs[model] || configs['gpt-5-chat'];
-    config.model = model;
-    config.apiVersion = '2024-12-01-preview';
+    // Stream assistant responses token by token (ORION_STREAM=false to disable)
+    this.streamingEnabled = process.env.ORION_STREAM !== 'false';
+    
+    // Agentic tool loop limits
+    this.maxToolIterations = parseInt(process.env.ORION_MAX_TOOL_ITERATIONS, 10) || 15;
+    this.maxToolResultChars = 20000; // Keep huge tool outputs from flooding the context
+    
+    // Conversations are journaled to ~/.orion/sessions/<id>.jsonl
+    this.sessionManager = new SessionManager();
+    
+    // Lifecycle hooks from .orion/hooks/*.json and the settings files
+    this.hooksManager = new HooksManager();
+    
+    // Files are snapshotted to .orion/checkpoints before the first change in each turn
+    this.checkpointManager = new CheckpointManager();
+    
+    // Read-only tool calls run in parallel, mutations are serialized per file
+    this.toolScheduler = new ToolScheduler();
+    
+    // ORION.md instructions (user, repo root, nested directories) for every system prompt
+    this.projectMemory = new ProjectMemory();
+    this.projectMemory.load();
+  }
+
+  loadConfig(model = process.env.MODEL || this.modelRegistry.defaultModel) {
+    // Models come from the registry: built-ins + ~/.orion/models.json + .orion/models.json
+    const config = this.modelRegistry.resolveConfig(model);
+    config.color = colors[config.color] || colors.primary;
     return config;
   }
 
-  createClient() {
-    if (!this.config.key) {
-      console.error(colors.error('\n❌ No API key found. Please check your .env file.\n'));
+  createClient(config = this.config) {
+    const missing = this.modelRegistry.missingSetting(config.model);
+    if (missing) {
+      // Fields ignored from models.json files are often the reason
+      const notes = this.modelRegistry.errors.map(error => `\n   ${error}`).join('');
+      console.error(colors.error(`\n❌ ${config.model}: ${missing}. Please check your .env file or ~/.orion/models.json.${notes}\n`));
       process.exit(1);
     }
     
-    // Special handling for DeepSeek API
-    if (this.config.isDeepSeek) {
-      // DeepSeek uses a different API structure
-      return new OpenAI({
-        apiKey: this.config.key,
-        baseURL: this.config.endpoint,
-        defaultHeaders: { 
-          'api-key': this.config.key,
-          'Content-Type': 'application/json'
-        }
-      });
-    }
-    
-    // Standard Azure OpenAI configuration
-    return new OpenAI({
-      apiKey: this.config.key,
-      baseURL: `${this.config.endpoint}/openai/deployments/${this.config.deployment}`,
-      defaultQuery: { 'api-version': this.config.apiVersion },
-      defaultHeaders: { 'api-key': this.config.key }
-    });
+    return new OpenAI(this.modelRegistry.getClientOptions(config));
   }
 
-  async start() {
+  async start(options = {}) {
     // Beautiful splash screen
     console.clear();
     this.showSplashScreen();
@@ -284,6 +271,17 @@ class OrionCLI {
     // Welcome message
     this.addMessage('system', `Welcome to OrionCLI! Type ${colors.primary('/help')} for commands or start chatting.`);
     
+    this.connectMCPServers();
+    
+    // orion --resume <id> / orion --continue
+    if (options.resumeId) {
+      await this.resumeSession(options.resumeId);
+    } else if (options.continueSession) {
+      await this.resumeSession();
+    }
+    
+    await this.runSessionStartHooks(options.resumeId || options.continueSession ? 'resume' : 'startup');
+    
     // Initialize and enable ToolForge
     if (this.toolForge && this.toolForgeEnabled) {
       await this.toolForge.init(
@@ -340,6 +338,22 @@ class OrionCLI {
     process.stdin.on('data', async (key) => {
       if (this.isProcessing && key !== '\x03' && key !== '\x1B') return;
       
+      // Any key but Tab closes the completion popup, keeping the chosen text
+      if (key !== '\t' && this.completion) {
+        this.completion = null;
+        if (key === '\x1B') {
+          this.scheduleRender();
+          return;
+        }
+      }
+      
+      // Esc cancels the running request (prompts on screen handle their own keys)
+      if (key === '\x1B' && this.isProcessing && !this.awaitingPermission) {
+        this.abortCurrentOperation();
+        this.scheduleRender();
+        return;
+      }
+      
       // Check for Shift+Tab first (sequence: ESC[Z)
       if (key === '\x1B[Z') {
         this.toggleAutoEdit();
@@ -376,7 +390,7 @@ class OrionCLI {
           this.handleBackspace();
           break;
         case 9: // Tab
-          // Regular Tab - could add tab completion here later
+          await this.handleTab();
           break;
         case 27: // Escape sequences
           this.handleEscapeSequence(key);
@@ -387,13 +401,14 @@ class OrionCLI {
           }
       }
       
+      this.updateMentionPreview();
       this.scheduleRender();
     });
   }
 
   scheduleRender() {
-    // Don't render if scrolling
-    if (this.isScrolling) {
+    // Don't render if scrolling or running headless
+    if (this.isScrolling || this.headless) {
       return;
     }
     
@@ -428,7 +443,7 @@ class OrionCLI {
    * Start spinner animation
    */
   startSpinner() {
-    if (!this.spinnerInterval) {
+    if (!this.spinnerInterval && !this.headless) {
       // Hide cursor during processing
       process.stdout.write('\x1B[?25l');
       this.spinnerInterval = setInterval(() => {
@@ -469,6 +484,11 @@ class OrionCLI {
   }
   
   _performRender() {
+    // The permission prompt owns the terminal while it waits for a key
+    if (this.awaitingPermission || this.headless) {
+      return;
+    }
+    
     this.lastRenderTime = Date.now();
     const output = [];
     
@@ -487,7 +507,8 @@ class OrionCLI {
     output.push(colors.dim('─'.repeat(this.terminalWidth)));
     
     // Messages area
-    const reservedLines = 10; // Status, input, help
+    const todoPanel = this.renderTodoPanel();
+    const reservedLines = 10 + todoPanel.length + this.renderCompletionPopup().length + this.renderMentionPreview().length; // Status, input, help, pinned todos, completions, attachments
     const messageAreaHeight = Math.max(5, this.terminalHeight - reservedLines);
     
     // Filter out user messages to reduce spam - user input is already shown in the input box
@@ -514,6 +535,9 @@ class OrionCLI {
       output.push(this.formatMessage(msg));
     });
     
+    // Pinned plan from todo_write
+    output.push(...todoPanel);
+    
     // Status line
     output.push(this.renderStatusLine());
     
@@ -574,6 +598,43 @@ class OrionCLI {
     }).join('\n');
   }
 
+  /**
+   * Lines for the pinned todo list - hidden once everything is done and the turn is over
+   */
+  renderTodoPanel() {
+    const todos = this.todoTools.todos;
+    const { completed, total } = this.todoTools.getProgress();
+    if (total === 0 || (completed === total && !this.isProcessing)) {
+      return [];
+    }
+    
+    // Keep the panel short: show a window starting just before the current item
+    const maxItems = 6;
+    const current = Math.max(0, todos.findIndex(todo => todo.status !== 'completed'));
+    const start = Math.max(0, Math.min(current - 1, total - maxItems));
+    const maxWidth = this.terminalWidth - 6;
+    
+    const lines = [colors.primary.bold(`📋 Plan (${completed}/${total})`)];
+    if (start > 0) {
+      lines.push(colors.dim(`  … ${start} earlier`));
+    }
+    for (const todo of todos.slice(start, start + maxItems)) {
+      const text = todo.content.length > maxWidth ? todo.content.slice(0, maxWidth - 1) + '…' : todo.content;
+      const line = `  ${GLYPHS[todo.status] || '○'} ${text}`;
+      if (todo.status === 'completed') {
+        lines.push(colors.dim(chalk.strikethrough(line)));
+      } else if (todo.status === 'in_progress') {
+        lines.push(colors.accent(line));
+      } else {
+        lines.push(line);
+      }
+    }
+    if (start + maxItems < total) {
+      lines.push(colors.dim(`  … ${total - start - maxItems} more`));
+    }
+    return lines;
+  }
+
   renderStatusLine() {
     // Simple separator line only - main status info is now in bottom status area
     return colors.dim('─'.repeat(this.terminalWidth)) + '\n';
@@ -630,6 +691,11 @@ class OrionCLI {
     
     let output = inputBox + '\n';
     
+    const completionPopup = [...this.renderMentionPreview(), ...this.renderCompletionPopup()];
+    if (completionPopup.length > 0) {
+      output += completionPopup.join('\n') + '\n';
+    }
+    
     // Status and help line - always show current state
     if (!this.isProcessing) {
       // Show model and status info with idle state
@@ -641,6 +707,9 @@ class OrionCLI {
         this.toolForgeEnabled ? colors.success('🔧 Forge ON') : colors.dim('🔧 Forge OFF'),
         colors.success('⚫ Idle')
       ];
+      if (this.usageTracker.session.calls > 0) {
+        statusParts.push(this.formatCostStatus());
+      }
       output += statusParts.join(colors.dim(' │ ')) + colors.dim(' • ');
       
       const shortcuts = [
@@ -672,12 +741,20 @@ class OrionCLI {
                 colors.dim(' │ ') +
                 modelDisplay +
                 colors.dim(' │ ') +
+                (this.usageTracker.session.calls > 0 ? this.formatCostStatus() + colors.dim(' │ ') : '') +
                 colors.dim('Press Esc to cancel');
     }
     
     return output;
   }
 
+  // Running session cost for the status line - yellow once past the budget
+  formatCostStatus() {
+    const { session, budget } = this.usageTracker;
+    const text = `💰 ${formatCost(session.cost)}${budget ? colors.dim(` / ${formatCost(budget)}`) : ''}`;
+    return budget && session.cost >= budget ? colors.warning(text) : colors.dim(text);
+  }
+
   positionCursor() {
     // Only hide cursor during processing, show it otherwise
     if (this.isProcessing) {
@@ -817,6 +894,9 @@ class OrionCLI {
     };
     
     this.messages.push(messageObj);
+    if (this.onMessage) {
+      this.onMessage(messageObj);
+    }
     
     // Limit history
     if (this.messages.length > 500) {
@@ -833,7 +913,7 @@ class OrionCLI {
     const before = this.inputBuffer.substring(0, this.cursorPosition);
     const after = this.inputBuffer.substring(this.cursorPosition);
     this.inputBuffer = before + char + after;
-    this.cursorPosition++;
+    this.cursorPosition += char.length; // Pastes arrive as one chunk
   }
 
   handleBackspace() {
@@ -877,6 +957,146 @@ class OrionCLI {
     }
   }
 
+  /**
+   * Tab: complete the word before the cursor. With several candidates the first Tab
+   * extends to their shared prefix (or picks the first), repeated Tabs cycle.
+   */
+  async handleTab() {
+    if (this.completion) {
+      const completion = this.completion;
+      completion.index = (completion.index + 1) % completion.candidates.length;
+      this.applyCompletion(completion.candidates[completion.index].value);
+      return;
+    }
+    
+    const result = await this.completionProvider.complete(this.inputBuffer, this.cursorPosition);
+    if (!result) return;
+    
+    const current = this.inputBuffer.slice(result.start, result.end);
+    this.completion = { ...result, index: -1 };
+    const values = result.candidates.map(candidate => candidate.value);
+    if (values.length === 1) {
+      this.applyCompletion(values[0]);
+      this.completion = null;
+      return;
+    }
+    
+    const prefix = commonPrefix(values);
+    if (prefix.length > current.length && prefix.toLowerCase().startsWith(current.toLowerCase())) {
+      this.applyCompletion(prefix);
+    } else {
+      this.completion.index = 0;
+      this.applyCompletion(values[0]);
+    }
+  }
+  
+  // Replace the word being completed with value and move the cursor after it
+  applyCompletion(value) {
+    const { start, end } = this.completion;
+    this.inputBuffer = this.inputBuffer.slice(0, start) + value + this.inputBuffer.slice(end);
+    this.completion.end = start + value.length;
+    this.cursorPosition = this.completion.end;
+  }
+  
+  /**
+   * Lines for the completion popup under the input box
+   */
+  renderCompletionPopup() {
+    if (!this.completion || this.isProcessing) return [];
+    
+    const { candidates, index } = this.completion;
+    const maxItems = 8;
+    const start = Math.max(0, Math.min(index - maxItems + 1, candidates.length - maxItems));
+    const lines = candidates.slice(start, start + maxItems).map((candidate, i) => {
+      const hint = candidate.hint ? colors.dim(` ${candidate.hint}`) : '';
+      return start + i === index
+        ? colors.primary(`  ▸ ${candidate.label}`) + hint
+        : `    ${candidate.label}` + hint;
+    });
+    lines.push(colors.dim(`  ${index >= 0 ? `${index + 1}/` : ''}${candidates.length} matches • Tab: next • Esc: close`));
+    return lines;
+  }
+
+  /**
+   * Resolve the input's @mentions in the background so the preview line can show them
+   */
+  updateMentionPreview() {
+    const key = [...this.mentionResolver.parse(this.inputBuffer), ...this.mentionResolver.parseImagePaths(this.inputBuffer)]
+      .map(mention => mention.raw).join('\n');
+    if (!key) {
+      this.mentionPreview = null;
+      return;
+    }
+    if (this.mentionPreview && this.mentionPreview.key === key) return;
+    
+    this.mentionPreview = { key, attachments: null, missing: [] };
+    this.mentionResolver.resolve(this.inputBuffer)
+      .then(result => {
+        if (this.mentionPreview && this.mentionPreview.key === key) {
+          this.mentionPreview = { key, ...result };
+          this.scheduleRender();
+        }
+      })
+      .catch(() => {});
+  }
+  
+  /**
+   * One line under the input listing what the prompt will attach
+   */
+  renderMentionPreview() {
+    if (!this.mentionPreview || !this.mentionPreview.attachments || this.isProcessing) return [];
+    
+    const { attachments, missing } = this.mentionPreview;
+    if (attachments.length === 0) return [];
+    
+    const parts = [
+      ...attachments.map(a => a.content || a.image
+        ? `${ATTACHMENT_ICONS[a.kind]} ${a.mention} ${colors.dim(`${a.tokens.toLocaleString()} tok${a.truncated ? ', cut' : ''}`)}`
+        : colors.warning(`⚠️ ${a.mention} ${a.note}`)),
+      ...missing.map(raw => colors.dim(`${raw} (no such file)`))
+    ];
+    const line = '  ' + parts.join(colors.dim(' • '));
+    if (line.replace(/\x1B\[[0-9;]*m/g, '').length < this.terminalWidth - 2) {
+      return [line];
+    }
+    // Too many to list - just the totals
+    const tokens = attachments.reduce((sum, a) => sum + a.tokens, 0);
+    return [`  📎 ${attachments.length} attachments ${colors.dim(`${tokens.toLocaleString()} tok`)}`];
+  }
+  
+  /**
+   * Expand @mentions into attachment blocks after the prompt, listing them in the chat.
+   * Returns the prompt text and the image attachments that go with it.
+   */
+  async attachMentions(input) {
+    const none = { prompt: input, images: [] };
+    if (this.mentionResolver.parse(input).length === 0 && this.mentionResolver.parseImagePaths(input).length === 0) {
+      return none;
+    }
+    
+    const { attachments, missing } = await this.mentionResolver.resolve(input);
+    if (attachments.length === 0) return none;
+    
+    const lines = attachments.map(a => {
+      if (!a.content && !a.image) {
+        return colors.warning(`⚠️ ${a.mention} - ${a.note}`);
+      }
+      const what = a.kind === 'image' ? `${a.image.mimeType}, ${Math.ceil(a.image.bytes / 1024).toLocaleString()} KB` :
+        a.kind === 'directory' ? `${a.entries} entries` :
+        a.kind === 'range' ? `lines ${a.lines.start}-${a.lines.end}` : `${a.lines.total} lines`;
+      const line = `${ATTACHMENT_ICONS[a.kind]} ${a.mention} - ${what} · ${a.tokens.toLocaleString()} tokens`;
+      return a.truncated ? `${line}\n   ${colors.warning(a.note)}` : line;
+    });
+    if (missing.length > 0) {
+      lines.push(colors.dim(`Not attached (no such file): ${missing.join(', ')}`));
+    }
+    this.addMessage('system', colors.info(lines.join('\n')));
+    return {
+      prompt: this.mentionResolver.expand(input, attachments),
+      images: attachments.filter(a => a.image)
+    };
+  }
+
   toggleAutoEdit() {
     this.autoEdit = !this.autoEdit;
     // REMOVED: Toggle messages to stop spam completely
@@ -1042,8 +1262,23 @@ class OrionCLI {
       case 'clear':
         this.messages = [];
         this.conversationHistory = [];
+        this.todoTools.clear();
+        this.usageTracker.reset();
+        this.contextManager.reset();
+        this.sessionManager.reset(); // The old conversation stays resumable
+        break;
+      case 'sessions':
+        await this.showSessions();
+        break;
+      case 'resume':
+        await this.resumeSession(parts[1]);
         break;
       case 'models':
+        if (parts[1] === 'reload') {
+          this.modelRegistry.load();
+          this.contextManager.setModelLimits(this.modelRegistry.getModelLimits());
+          this.addMessage('system', `${colors.success('✓')} Reloaded ${this.modelRegistry.list().length} models`);
+        }
         this.showModels();
         break;
       case 'model':
@@ -1061,10 +1296,15 @@ class OrionCLI {
           this.activeFile = null;
           this.addMessage('system', 'Active file cleared');
         }
+        this.persistSession();
         break;
       case 'auto':
         this.toggleAutoEdit();
         break;
+      case 'stream':
+        this.streamingEnabled = !this.streamingEnabled;
+        this.addMessage('system', `Streaming responses ${this.streamingEnabled ? colors.success('ON') : colors.dim('OFF')}`);
+        break;
       case 'history':
         this.showUserMessages = !this.showUserMessages;
         this.addMessage('system', `User message history ${this.showUserMessages ? 'shown' : 'hidden'} in display`);
@@ -1072,6 +1312,40 @@ class OrionCLI {
       case 'context':
         this.showContextStats();
         break;
+      case 'compact':
+        await this.compactConversation(parts.slice(1).join(' '));
+        break;
+      case 'mcp':
+        await this.handleMCPCommand(parts.slice(1));
+        break;
+      case 'memory':
+        await this.handleMemoryCommand(parts.slice(1));
+        break;
+      case 'hooks':
+        if (parts[1] === 'reload') {
+          this.hooksManager.loadHooks();
+        }
+        this.showHooks();
+        break;
+      case 'plan':
+        if (parts.length < 2 || !parts.slice(1).join(' ').trim()) {
+          this.addMessage('error', 'Usage: /plan <request> - plan the request step by step before running it');
+          break;
+        }
+        await this.processWithAI(parts.slice(1).join(' '), { plan: true });
+        break;
+      case 'undo':
+        await this.undoLastTurn();
+        break;
+      case 'checkpoints':
+        await this.showCheckpoints();
+        break;
+      case 'cost':
+        this.handleCostCommand(parts.slice(1));
+        break;
+      case 'restore':
+        await this.restoreCheckpoint(parts[1]);
+        break;
       case 'tools':
         this.showTools();
         break;
@@ -1121,15 +1395,27 @@ class OrionCLI {
     this.addMessage('system', '');
     this.addMessage('system', colors.accent.bold('💬 SLASH COMMANDS:'));
     this.addMessage('system', colors.success('/help') + '        - This guide');
-    this.addMessage('system', colors.success('/clear') + '       - Clear chat');
+    this.addMessage('system', colors.success('/clear') + '       - Clear chat (starts a new session)');
+    this.addMessage('system', colors.success('/sessions') + '    - List saved sessions');
+    this.addMessage('system', colors.success('/resume [id]') + '  - Resume a session (latest if no id)');
+    this.addMessage('system', colors.success('/plan <task>') + ' - Plan a task step by step, review, then run it');
+    this.addMessage('system', colors.success('/undo') + '        - Revert files changed in the last turn');
+    this.addMessage('system', colors.success('/checkpoints') + ' - List file checkpoints');
+    this.addMessage('system', colors.success('/restore <id>') + ' - Roll files back to a checkpoint');
     this.addMessage('system', colors.success('/models') + '      - List AI models');
     this.addMessage('system', colors.success('/model <name>') + ' - Switch model');
     this.addMessage('system', colors.success('/file <path>') + '  - Set active file');
     this.addMessage('system', colors.success('/auto') + '        - Auto-edit toggle');
+    this.addMessage('system', colors.success('/stream') + '      - Toggle streaming responses');
     this.addMessage('system', colors.success('/history') + '     - Toggle user prompts display');
     this.addMessage('system', colors.success('/context') + '     - Show context & token stats');
+    this.addMessage('system', colors.success('/compact [focus]') + ' - Summarize older conversation to free context');
+    this.addMessage('system', colors.success('/cost') + '        - Tokens and cost by model (budget <usd|off> [warn|stop])');
     this.addMessage('system', colors.success('/tools') + '       - Show 54+ tools');
     this.addMessage('system', colors.success('/permissions') + '  - Manage permissions');
+    this.addMessage('system', colors.success('/mcp') + '         - MCP server status (restart, tools)');
+    this.addMessage('system', colors.success('/memory') + '      - Show ORION.md instructions (add, edit)');
+    this.addMessage('system', colors.success('/hooks') + '       - List lifecycle hooks (reload)');
     this.addMessage('system', colors.success('/forge') + '       - Toggle ToolForge (ON by default)');
     this.addMessage('system', colors.success('/forge-list') + '  - List auto-generated tools');
     this.addMessage('system', colors.success('/about') + '       - About OrionCLI');
@@ -1142,6 +1428,11 @@ class OrionCLI {
     this.addMessage('system', colors.warning('Shift+Tab') + '    - Toggle auto-edit');
     this.addMessage('system', colors.warning('Ctrl+C') + '       - Exit');
     
+    this.addMessage('system', '');
+    this.addMessage('system', colors.accent.bold('🔐 PERMISSIONS:'));
+    this.addMessage('system', colors.dim('Tools marked "ask" prompt before running:'));
+    this.addMessage('system', colors.dim('y once • a session • p always • n deny • d always deny'));
+    
     this.addMessage('system', '');
     this.addMessage('system', colors.accent.bold('💡 SMART FEATURES:'));
     this.addMessage('system', '• Auto tool selection');
@@ -1155,29 +1446,27 @@ class OrionCLI {
   }
 
   showModels() {
-    const models = [
-      { name: 'gpt-5', desc: 'Coding & technical tasks', icon: '⚡' },
-      { name: 'gpt-5-chat', desc: 'Conversational AI', icon: '💬' },
-      { name: 'gpt-5-mini', desc: 'Fast responses', icon: '🚀' },
-      { name: 'o3', desc: 'Advanced reasoning', icon: '🧠' },
-      { name: 'gpt-4o', desc: 'GPT-4 Optimized', icon: '🔷' },
-      { name: 'gpt-4o-mini', desc: 'Fast & efficient GPT-4', icon: '🔹' },
-      { name: 'deepseek-r1', desc: 'DeepSeek advanced reasoning', icon: '🌊' },
-      { name: 'o4-mini', desc: 'Ultra-fast queries', icon: '⚡' }
-    ];
-    
     this.addMessage('system', colors.primary.bold('Available Models:'));
     this.addMessage('system', '');
     
-    models.forEach(m => {
+    this.modelRegistry.list().forEach(m => {
       const current = m.name === this.config.model;
       const indicator = current ? colors.success('▸') : ' ';
       const name = current ? colors.success.bold(m.name) : colors.primary(m.name);
-      this.addMessage('system', `${indicator} ${m.icon} ${name} - ${colors.dim(m.desc)}`);
+      const caps = Object.entries(m.capabilities)
+        .filter(([, enabled]) => enabled)
+        .map(([cap]) => cap)
+        .join(', ');
+      const missing = this.modelRegistry.missingSetting(m.name);
+      const keyStatus = missing ? colors.warning(` (${missing})`) : '';
+      this.addMessage('system', `${indicator} ${m.icon} ${name} - ${colors.dim(m.description)}${keyStatus}`);
+      this.addMessage('system', colors.dim(`     ${(m.contextLimit / 1000).toFixed(0)}K context • ${caps || 'no extra capabilities'}`));
     });
     
     this.addMessage('system', '');
-    this.addMessage('system', colors.dim('Use /model <name> to switch'));
+    this.addMessage('system', colors.dim(`Loaded from: ${this.modelRegistry.sources.join(', ')}`));
+    this.modelRegistry.errors.forEach(err => this.addMessage('error', `models.json: ${err}`));
+    this.addMessage('system', colors.dim('Use /model <name> to switch, /models reload to re-read models.json'));
   }
 
   async showPermissions() {
@@ -1190,6 +1479,7 @@ class OrionCLI {
     this.addMessage('system', `  ${colors.warning('? Ask')}: ${stats.askRules}`);
     this.addMessage('system', `  ${colors.error('✗ Deny')}: ${stats.denyRules}`);
     this.addMessage('system', `  Session: ${stats.sessionPermissions}`);
+    this.addMessage('system', `  Domains: ${stats.allowedDomains} allowed, ${stats.deniedDomains} denied`);
     this.addMessage('system', '');
     this.addMessage('system', colors.dim('Use /permissions to manage settings'));
     this.addMessage('system', colors.dim('Permissions are saved in ~/.orion/'));
@@ -1217,9 +1507,16 @@ class OrionCLI {
     // Compaction stats
     this.addMessage('system', '');
     this.addMessage('system', colors.info('Compaction Settings:'));
-    this.addMessage('system', `  Target before compact: ${(stats.targets.maxContext / 1000).toFixed(0)}K tokens`);
-    this.addMessage('system', `  Target after compact: ${(stats.targets.compactTarget / 1000).toFixed(0)}K tokens`);
+    this.addMessage('system', `  Compacts at: ${(this.contextManager.getCompactionThreshold(this.config.model) / 1000).toFixed(0)}K tokens (limit minus ${(stats.targets.outputReserve / 1000).toFixed(0)}K reply reserve)`);
+    this.addMessage('system', `  Keeps verbatim: last ${(stats.targets.keepRecentTokens / 1000).toFixed(0)}K tokens`);
     this.addMessage('system', `  Compactions done: ${stats.compactionCount}`);
+    if (stats.lastCompaction) {
+      const last = stats.lastCompaction;
+      this.addMessage('system', `  Last: ${last.before.toLocaleString()} → ${last.after.toLocaleString()} tokens (${last.summarizedBy || 'tool results only'})`);
+    }
+    if (this.contextManager.pinned.files.length > 0) {
+      this.addMessage('system', `  Pinned files: ${this.contextManager.pinned.files.length}`);
+    }
     
     // Model limits
     this.addMessage('system', '');
@@ -1231,7 +1528,97 @@ class OrionCLI {
     });
     
     this.addMessage('system', '');
-    this.addMessage('system', colors.dim('Smart context preserves key info during compaction'));
+    this.addMessage('system', colors.dim('Compaction summarizes older dialogue with the model and pins files, decisions and open TODOs'));
+  }
+
+  /**
+   * /compact [focus] - summarize the older conversation now
+   */
+  async compactConversation(focus) {
+    if (this.isProcessing) {
+      this.addMessage('system', colors.warning('Wait for the current request to finish before compacting'));
+      return;
+    }
+    if (this.conversationHistory.length < 2) {
+      this.addMessage('system', colors.info('Nothing to compact yet'));
+      return;
+    }
+    
+    this.isProcessing = true;
+    this.abortController = new AbortController();
+    this.addMessage('system', colors.info(`🗜️ Compacting conversation${focus ? ` (focus: ${focus})` : ''}...`));
+    this.render();
+    try {
+      const compacted = await this.contextManager.compactContext(this.conversationHistory, {
+        ...this.compactionOptions(),
+        model: this.config.model,
+        focus,
+        force: true
+      });
+      if (compacted === this.conversationHistory) {
+        this.addMessage('system', colors.info('Nothing to compact - the conversation fits in the recent window'));
+      } else {
+        this.conversationHistory = compacted;
+        this.reportCompaction();
+        this.persistSession();
+      }
+    } catch (error) {
+      this.addMessage('error', this.isCancelled() ? 'Compaction cancelled' : `Compaction failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Messages as a model can take them: without vision, image parts from earlier
+   * turns become a text placeholder (the history itself keeps the images)
+   */
+  messagesForModel(messages, usingConfig = this.config) {
+    if (usingConfig.supportsVision) return messages;
+    return messages.map(message => {
+      if (!Array.isArray(message.content) || !message.content.some(part => part.type === 'image_url')) return message;
+      return {
+        ...message,
+        content: message.content.map(part => part.type === 'image_url' ? '[image omitted]' : part.text).join('\n')
+      };
+    });
+  }
+
+  /**
+   * ContextManager options: the model in use summarizes older dialogue, and the
+   * open todo items are pinned in the summary
+   */
+  compactionOptions(usingClient = this.client, usingConfig = this.config) {
+    return {
+      summarize: async messages => {
+        const completion = await usingClient.chat.completions.create({
+          model: usingConfig.deployment,
+          messages: this.messagesForModel(messages, usingConfig)
+        }, this.requestOptions());
+        this.trackUsage(usingConfig.model, completion.usage, false);
+        return completion.choices[0].message.content;
+      },
+      todos: this.todoTools.getTodos()
+        .filter(todo => todo.status !== 'completed')
+        .map(todo => `${todo.content} (${todo.status})`),
+      signal: this.abortController ? this.abortController.signal : null
+    };
+  }
+
+  reportCompaction() {
+    const last = this.contextManager.stats.lastCompaction;
+    this.currentTokens = this.contextManager.countMessageTokens(this.conversationHistory);
+    if (!last) return;
+    
+    const details = [];
+    if (last.toolResults > 0) {
+      details.push(`${last.toolResults} tool results cut down`);
+    }
+    if (last.summarizedMessages > 0) {
+      details.push(`${last.summarizedMessages} messages summarized${last.summarizedBy === 'heuristic' ? ' (heuristic fallback)' : ''}`);
+    }
+    this.addMessage('system', colors.info(`🗜️ Compacted context: ${last.before.toLocaleString()} → ${last.after.toLocaleString()} tokens${details.length ? ` - ${details.join(', ')}` : ''}`));
   }
   
   getUsageBar(percentage) {
@@ -1260,102 +1647,538 @@ class OrionCLI {
     this.addMessage('system', colors.dim('Tools are context-aware and intelligently suggested based on your current task.'));
   }
 
-  showAbout() {
-    this.addMessage('system', gradient(['#667eea', '#764ba2'])('╔══════════════════════════════════════╗'));
-    this.addMessage('system', gradient(['#667eea', '#764ba2'])('║         ORION CLI v2.0.0             ║'));
-    this.addMessage('system', gradient(['#667eea', '#764ba2'])('╚══════════════════════════════════════╝'));
-    this.addMessage('system', '');
-    this.addMessage('system', colors.primary.bold('Enhanced Azure OpenAI CLI'));
-    this.addMessage('system', colors.dim('A better fork of grok-cli with all features preserved'));
-    this.addMessage('system', '');
-    this.addMessage('system', colors.accent('Features:'));
-    this.addMessage('system', '• 6 Azure OpenAI models');
-    this.addMessage('system', '• Beautiful, flicker-free UI');
-    this.addMessage('system', '• Rich markdown rendering');
-    this.addMessage('system', '• Intelligent model routing');
-    this.addMessage('system', '• Command suggestions');
-    this.addMessage('system', '• Session memory');
-    this.addMessage('system', '• Tool integration');
-    this.addMessage('system', '');
-    this.addMessage('system', colors.info('Created with ❤️ for the AI community'));
+  /**
+   * Show hook output in the chat and return it as text for the model.
+   * includeBlock reports a failing hook for events that cannot be blocked.
+   */
+  showHookMessages(hookResult, includeBlock = false) {
+    const lines = hookResult.messages.map(m => `[Hook ${m.hook}] ${m.text}`);
+    for (const line of lines) {
+      this.addMessage('system', colors.dim(`🪝 ${line}`));
+    }
+    if (includeBlock && hookResult.blocked) {
+      this.addMessage('system', colors.warning(`🪝 Hook ${hookResult.hook} failed: ${hookResult.message}`));
+    }
+    return lines.join('\n');
   }
 
-  async switchModel(modelName) {
-    const validModels = ['gpt-5', 'gpt-5-chat', 'gpt-5-mini', 'o3', 'gpt-4o', 'gpt-4o-mini', 'deepseek-r1', 'o4-mini'];
-    
-    if (!validModels.includes(modelName)) {
-      this.addMessage('error', `Invalid model: ${modelName}`);
-      this.addMessage('system', colors.dim('Valid models: ' + validModels.join(', ')));
+  async runSessionStartHooks(source) {
+    for (const error of this.hooksManager.errors) {
+      this.addMessage('error', `Hooks: ${error}`);
+    }
+    this.showHookMessages(await this.hooksManager.runHook('SessionStart', {
+      source,
+      model: this.config.model,
+      sessionId: this.sessionManager.sessionId
+    }), true);
+  }
+
+  /**
+   * /cost - token and cost totals; /cost budget <usd|off> [warn|stop] sets the cap
+   */
+  handleCostCommand(args) {
+    const tracker = this.usageTracker;
+    if (args[0] === 'budget') {
+      const amount = args[1] === 'off' ? 0 : parseFloat(args[1]);
+      if (args[1] !== 'off' && !(amount > 0)) {
+        this.addMessage('error', 'Usage: /cost budget <usd|off> [warn|stop]');
+        return;
+      }
+      try {
+        tracker.setBudget(amount, args[2] || tracker.budgetMode);
+      } catch (error) {
+        this.addMessage('error', error.message);
+        return;
+      }
+      this.addMessage('system', tracker.budget ?
+        `${colors.success('✓')} Budget set to ${formatCost(tracker.budget)} (${tracker.budgetMode} when reached)` :
+        `${colors.success('✓')} Budget removed`);
       return;
     }
-    
-    // Check if required API key exists for the model
-    process.env.MODEL = modelName;
-    const newConfig = this.loadConfig();
-    
-    if (!newConfig.key) {
-      this.addMessage('error', `No API key configured for ${modelName}`);
-      this.addMessage('system', colors.dim('Please set the required environment variable in .env'));
+    if (args[0]) {
+      this.addMessage('error', 'Usage: /cost [budget <usd|off> [warn|stop]]');
       return;
     }
     
-    this.config = newConfig;
-    this.client = this.createClient();
+    const n = value => value.toLocaleString();
+    const describe = totals => {
+      const cached = totals.cachedTokens > 0 ? ` (${n(totals.cachedTokens)} cached)` : '';
+      const reasoning = totals.reasoningTokens > 0 ? ` (${n(totals.reasoningTokens)} reasoning)` : '';
+      const unpriced = totals.unpricedCalls > 0 ? colors.dim(` + ${totals.unpricedCalls} unpriced call${totals.unpricedCalls === 1 ? '' : 's'}`) : '';
+      return `${totals.calls} call${totals.calls === 1 ? '' : 's'} • ${n(totals.promptTokens)} in${cached} • ${n(totals.completionTokens)} out${reasoning} • ${colors.accent(formatCost(totals.cost))}${unpriced}`;
+    };
     
-    this.addMessage('system', `${colors.success('✓')} Switched to ${this.config.color(this.config.icon + ' ' + modelName)}`);
-    if (this.config.description) {
-      this.addMessage('system', colors.dim(this.config.description));
+    const lines = [colors.primary.bold('💰 Usage & Cost'), colors.dim('─'.repeat(40))];
+    if (tracker.session.calls === 0) {
+      lines.push(colors.dim('No API calls in this session yet'));
+    } else {
+      lines.push(`${colors.info('Session:')}   ${describe(tracker.session)}`);
+      lines.push(`${colors.info('Last turn:')} ${describe(tracker.turn)}`);
+      lines.push('', colors.info('By model:'));
+      for (const [model, totals] of Object.entries(tracker.byModel)) {
+        const pricing = this.modelRegistry.getPricing(model);
+        const rates = pricing ? colors.dim(`  ($${pricing.input} in / $${pricing.output} out per 1M)`) : colors.dim('  (no pricing - add it in models.json)');
+        lines.push(`  ${model}: ${describe(totals)}${rates}`);
+      }
+    }
+    if (tracker.budget) {
+      const used = Math.round((tracker.session.cost / tracker.budget) * 100);
+      lines.push('', `${colors.info('Budget:')} ${formatCost(tracker.session.cost)} of ${formatCost(tracker.budget)} (${used}%) - ${tracker.budgetMode} when reached`);
     }
+    this.addMessage('system', lines.join('\n'));
   }
 
-  // Smart model selection
-  selectModelForTask(input) {
-    // If using a custom/non-OpenAI model (like DeepSeek), never route to other models
-    const customModels = ['deepseek-r1']; // Add more custom models here as needed
-    if (customModels.includes(this.config.model)) {
-      return this.config.model; // Always use the selected custom model
-    }
-    
-    // Only do smart routing for OpenAI/Azure models
-    const lowerInput = input.toLowerCase();
-    
-    // Code tasks -> gpt-5
-    if (/\b(code|function|class|debug|typescript|javascript|python|error|bug|syntax|implement|fix)\b/.test(lowerInput)) {
-      return 'gpt-5';
+  async showCheckpoints() {
+    const checkpoints = await this.checkpointManager.list();
+    this.addMessage('system', colors.primary.bold('Checkpoints:'));
+    this.addMessage('system', '');
+    if (checkpoints.length === 0) {
+      this.addMessage('system', colors.dim('No checkpoints yet - one is saved whenever a turn changes files'));
+      return;
     }
-    
-    // Complex reasoning, planning, orchestration -> o3
-    if (/\b(analyze|think|reason|logic|complex|strategy|plan|architecture|design|solve|orchestrat|build|create|implement|develop|organize|structure)\b/.test(lowerInput)) {
-      return 'o3';
+    for (const checkpoint of checkpoints) {
+      const time = new Date(checkpoint.created).toLocaleString();
+      const count = `${checkpoint.files.length} file${checkpoint.files.length === 1 ? '' : 's'}`;
+      this.addMessage('system', `${colors.accent(checkpoint.id)}  ${colors.dim(time)}  ${colors.dim(count)}  ${checkpoint.label}`);
     }
-    
-    // File operations that need understanding -> use gpt-5-chat for speed
-    if (/\b(what is|explain|understand|describe|summarize|review)\b.*\b(file|code|content|about)\b/i.test(lowerInput)) {
-      return 'gpt-5-chat';  // Fast and capable for file operations
+    this.addMessage('system', '');
+    this.addMessage('system', colors.dim('Use /undo to revert the latest, or /restore <id> to roll back to before a checkpoint'));
+  }
+
+  async undoLastTurn() {
+    try {
+      const result = await this.checkpointManager.undo();
+      if (!result) {
+        this.addMessage('system', colors.dim('Nothing to undo - no checkpoints in this directory'));
+        return;
+      }
+      this.reportRestore(`Undid "${result.checkpoint.label}"`, result);
+    } catch (error) {
+      this.addMessage('error', `Undo failed: ${error.message}`);
     }
-    
-    // Multi-step tasks -> use gpt-5-chat for better tool execution
-    if (/\b(step|then|after|next|first|second|finally|todo|tasks?)\b/.test(lowerInput)) {
-      return 'gpt-5-chat';  // Better at executing multiple tools
+  }
+
+  async restoreCheckpoint(id) {
+    if (!id) {
+      this.addMessage('error', 'Usage: /restore <id> - see /checkpoints');
+      return;
     }
-    
-    // Visual content -> gpt-4o
-    if (/\b(image|visual|picture|diagram|chart|see|view|look|screenshot|photo)\b/.test(lowerInput)) {
-      return 'gpt-4o';
+    try {
+      const result = await this.checkpointManager.restore(id);
+      this.reportRestore(`Restored to before ${result.checkpoint.id} (${result.reverted} checkpoint${result.reverted === 1 ? '' : 's'} reverted, undo with /undo)`, result);
+    } catch (error) {
+      this.addMessage('error', `Restore failed: ${error.message}`);
     }
-    
-    // Quick/simple questions -> gpt-4o-mini for efficiency
+  }
+
+  /**
+   * Show what was reverted and tell the model, so it doesn't assume its edits are still there
+   */
+  reportRestore(summary, result) {
+    const cwd = process.cwd();
+    const files = result.restored.map(file => path.relative(cwd, file) || file);
+    // One message per list - addMessage drops repeats of recent lines
+    const lines = [colors.success(`⏪ ${summary}`)]
+      .concat(files.map(file => colors.dim(`  ↺ ${file}`)))
+      .concat(result.skipped.map(skipped => colors.warning(`  ⚠️ Not restored: ${skipped}`)));
+    this.addMessage('system', lines.join('\n'));
+    if (files.length > 0) {
+      this.conversationHistory.push({
+        role: 'system',
+        content: `The user reverted file changes. These files are back to their earlier state: ${files.join(', ')}`
+      });
+      this.persistSession();
+    }
+  }
+
+  showHooks() {
+    const summary = this.hooksManager.getSummary();
+    this.addMessage('system', colors.primary.bold('Hooks:'));
+    this.addMessage('system', '');
+    if (summary.length === 0) {
+      this.addMessage('system', colors.dim('No hooks configured - add .orion/hooks/<Event>.json or "hooks" in .orion/settings.json'));
+    }
+    for (const { event, hooks } of summary) {
+      this.addMessage('system', colors.accent(event));
+      for (const hook of hooks) {
+        const matcher = hook.matcher ? colors.dim(` [${hook.matcher}]`) : '';
+        this.addMessage('system', `  🪝 ${hook.name}${matcher} → ${colors.dim(hook.command)}`);
+      }
+    }
+    for (const error of this.hooksManager.errors) {
+      this.addMessage('error', `Hooks: ${error}`);
+    }
+  }
+
+  /**
+   * Connect configured MCP servers without blocking the UI - requests wait on mcpReady
+   */
+  connectMCPServers() {
+    this.mcpReady = this.mcpManager.initialize().then(statuses => {
+      for (const error of this.mcpManager.configErrors) {
+        this.addMessage('error', `MCP settings: ${error}`);
+      }
+      const connected = statuses.filter(s => s.status === 'connected');
+      const failed = statuses.filter(s => s.status === 'failed');
+      if (connected.length > 0) {
+        const toolCount = connected.reduce((sum, s) => sum + s.toolCount, 0);
+        this.addMessage('system', `${colors.success('🔗')} MCP: ${connected.map(s => s.name).join(', ')} (${toolCount} tools)`);
+      }
+      for (const server of failed) {
+        this.addMessage('system', colors.warning(`⚠️ MCP server ${server.name} failed: ${server.error}`));
+      }
+    }).catch(error => {
+      this.addMessage('error', `MCP initialization failed: ${error.message}`);
+    });
+    return this.mcpReady;
+  }
+
+  async handleMCPCommand(args) {
+    const [subcommand, name] = args;
+    
+    if (subcommand === 'restart') {
+      this.addMessage('system', colors.dim(`🔄 Restarting ${name ? `MCP server ${name}` : 'all MCP servers'}...`));
+      try {
+        await this.mcpManager.restart(name);
+      } catch (error) {
+        this.addMessage('error', error.message);
+        return;
+      }
+    } else if (subcommand === 'tools') {
+      const tools = this.mcpManager.getToolDefinitions();
+      if (tools.length === 0) {
+        this.addMessage('system', colors.dim('No MCP tools available'));
+      }
+      for (const tool of tools) {
+        this.addMessage('system', `${colors.accent(tool.function.name)} - ${colors.dim(tool.function.description)}`);
+      }
+      return;
+    } else if (subcommand) {
+      this.addMessage('error', 'Usage: /mcp [restart [server] | tools]');
+      return;
+    }
+    
+    await this.mcpReady;
+    const statuses = this.mcpManager.getStatus();
+    this.addMessage('system', colors.primary.bold('MCP Servers:'));
+    this.addMessage('system', '');
+    if (statuses.length === 0) {
+      this.addMessage('system', colors.dim('No MCP servers configured - add "mcpServers" to .orion/settings.json'));
+      return;
+    }
+    
+    const icons = { connected: '🟢', connecting: '🟡', disconnected: '🔴', failed: '🔴', stopped: '⚪' };
+    for (const server of statuses) {
+      this.addMessage('system', `${icons[server.status] || '⚪'} ${colors.accent(server.name)} ${colors.dim(`(${server.type})`)} - ${server.status}, ${server.toolCount} tools`);
+      if (server.error) {
+        this.addMessage('system', colors.error(`     ${server.error}`));
+      }
+    }
+    this.addMessage('system', '');
+    this.addMessage('system', colors.dim('/mcp restart [server] to reconnect • /mcp tools to list tools'));
+  }
+
+  async handleMemoryCommand(args) {
+    const [subcommand, ...rest] = args;
+    const memory = this.projectMemory;
+    
+    if (subcommand === 'add') {
+      const user = rest[0] === '--user';
+      const fact = (user ? rest.slice(1) : rest).join(' ').trim();
+      if (!fact) {
+        this.addMessage('error', 'Usage: /memory add [--user] <fact to remember>');
+        return;
+      }
+      try {
+        const file = memory.append(fact, user ? 'user' : 'project');
+        this.addMessage('system', colors.success(`📌 Remembered in ${file}: ${fact}`));
+      } catch (error) {
+        this.addMessage('error', `Could not update ORION.md: ${error.message}`);
+      }
+      return;
+    }
+    
+    if (subcommand === 'edit') {
+      const file = rest[0] === 'user' ? memory.userFile : memory.projectFile;
+      await this.editMemoryFile(file);
+      return;
+    }
+    
+    if (subcommand) {
+      this.addMessage('error', 'Usage: /memory [add [--user] <fact> | edit [user|project]]');
+      return;
+    }
+    
+    const files = memory.refresh();
+    this.addMessage('system', colors.primary.bold('Project Memory (ORION.md):'));
+    this.addMessage('system', '');
+    if (files.length === 0) {
+      this.addMessage('system', colors.dim(`No ORION.md files - /memory add <fact> creates ${memory.projectFile}`));
+      return;
+    }
+    for (const file of files) {
+      this.addMessage('system', `📌 ${colors.accent(file.path)} ${colors.dim(`(${file.scope}${file.truncated ? ', truncated' : ''})`)}`);
+      this.addMessage('system', colors.dim(file.content.split('\n').map(line => `   ${line}`).join('\n')));
+    }
+    if (memory.skipped.length > 0) {
+      this.addMessage('system', colors.warning(`Not loaded - over the size limit for all ORION.md files: ${memory.skipped.join(', ')}`));
+    }
+    this.addMessage('system', '');
+    this.addMessage('system', colors.dim('/memory add <fact> to remember something • /memory edit [user|project] to open in $EDITOR'));
+  }
+
+  /**
+   * Edit an ORION.md file, then reload the memory files
+   */
+  async editMemoryFile(file) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '# ORION.md\n\n', { flag: 'wx' }).catch(() => {}); // Only if missing
+    
+    const error = this.openInEditor(file);
+    if (error) {
+      this.addMessage('error', error);
+    } else {
+      this.projectMemory.load();
+      this.addMessage('system', colors.success(`📌 Saved ${file}`));
+    }
+    this._performRender();
+  }
+
+  /**
+   * Hand the terminal to $EDITOR until it exits - returns an error message or null
+   */
+  openInEditor(file) {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+    }
+    process.stdout.write('\x1B[2J\x1B[H\x1B[?25h');
+    // The shell splits $EDITOR (e.g. "code --wait"); the path goes in as "$1", never parsed
+    const result = spawnSync('sh', ['-c', `${editor} "$1"`, 'sh', file], { stdio: 'inherit' });
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    
+    if (result.error || result.status !== 0) {
+      return `Editor '${editor}' failed: ${result.error ? result.error.message : `exit code ${result.status}`}`;
+    }
+    return null;
+  }
+
+  showAbout() {
+    this.addMessage('system', gradient(['#667eea', '#764ba2'])('╔══════════════════════════════════════╗'));
+    this.addMessage('system', gradient(['#667eea', '#764ba2'])('║         ORION CLI v2.0.0             ║'));
+    this.addMessage('system', gradient(['#667eea', '#764ba2'])('╚══════════════════════════════════════╝'));
+    this.addMessage('system', '');
+    this.addMessage('system', colors.primary.bold('Enhanced Azure OpenAI CLI'));
+    this.addMessage('system', colors.dim('A better fork of grok-cli with all features preserved'));
+    this.addMessage('system', '');
+    this.addMessage('system', colors.accent('Features:'));
+    this.addMessage('system', '• 6 Azure OpenAI models');
+    this.addMessage('system', '• Beautiful, flicker-free UI');
+    this.addMessage('system', '• Rich markdown rendering');
+    this.addMessage('system', '• Intelligent model routing');
+    this.addMessage('system', '• Command suggestions');
+    this.addMessage('system', '• Session memory');
+    this.addMessage('system', '• Tool integration');
+    this.addMessage('system', '');
+    this.addMessage('system', colors.info('Created with ❤️ for the AI community'));
+  }
+
+  async switchModel(modelName) {
+    const validModels = this.modelRegistry.getModelNames();
+    
+    if (!validModels.includes(modelName)) {
+      this.addMessage('error', `Invalid model: ${modelName}`);
+      this.addMessage('system', colors.dim('Valid models: ' + validModels.join(', ')));
+      return;
+    }
+    
+    // Check if required API key exists for the model
+    process.env.MODEL = modelName;
+    const newConfig = this.loadConfig(modelName);
+    
+    const missing = this.modelRegistry.missingSetting(modelName);
+    if (missing) {
+      this.addMessage('error', `${modelName} isn't configured: ${missing}`);
+      this.addMessage('system', colors.dim('Please set the required environment variable in .env, or configure the model in ~/.orion/models.json'));
+      return;
+    }
+    
+    this.config = newConfig;
+    this.client = this.createClient();
+    
+    this.addMessage('system', `${colors.success('✓')} Switched to ${this.config.color(this.config.icon + ' ' + modelName)}`);
+    if (this.config.description) {
+      this.addMessage('system', colors.dim(this.config.description));
+    }
+    this.persistSession();
+  }
+
+  /**
+   * Journal new conversation messages and CLI state to the session file
+   */
+  persistSession() {
+    // Don't create session files until there is something to save
+    if (!this.sessionManager.sessionId) {
+      if (this.conversationHistory.length === 0) return;
+      this.sessionManager.start({ model: this.config.model });
+    }
+    
+    this.sessionManager.sync(this.conversationHistory, {
+      model: this.config.model,
+      activeFile: this.activeFile,
+      currentTokens: this.currentTokens,
+      context: this.contextManager.exportState(),
+      todos: this.todoTools.getTodos(),
+      usage: this.usageTracker.toJSON()
+    });
+  }
+
+  async showSessions() {
+    const sessions = await this.sessionManager.list(15);
+    if (sessions.length === 0) {
+      this.addMessage('system', colors.dim('No saved sessions yet'));
+      return;
+    }
+    
+    this.addMessage('system', colors.primary.bold('Saved Sessions:'));
+    this.addMessage('system', '');
+    for (const session of sessions) {
+      const current = session.id === this.sessionManager.sessionId;
+      const indicator = current ? colors.success('▸') : ' ';
+      const updated = session.updated ? new Date(session.updated).toLocaleString() : 'unknown';
+      const model = session.state.model || session.meta.model || 'unknown';
+      this.addMessage('system', `${indicator} ${colors.accent(session.id)} ${session.title}`);
+      this.addMessage('system', colors.dim(`     ${updated} • ${model} • ${session.history.length} messages • ${session.meta.cwd || ''}`));
+    }
+    this.addMessage('system', '');
+    this.addMessage('system', colors.dim('Use /resume <id> (a unique prefix is enough)'));
+  }
+
+  /**
+   * Restore a saved session - the latest one for this directory when no id is given
+   */
+  async resumeSession(id) {
+    let session;
+    try {
+      session = id ? await this.sessionManager.load(id) : await this.sessionManager.latest();
+    } catch (error) {
+      this.addMessage('error', error.message);
+      return;
+    }
+    
+    if (!session) {
+      this.addMessage('system', colors.dim('No previous session found for this directory'));
+      return;
+    }
+    
+    const state = session.state;
+    this.conversationHistory = session.history;
+    this.activeFile = state.activeFile || null;
+    this.currentTokens = state.currentTokens || this.contextManager.countMessageTokens(session.history);
+    this.contextManager.importState(state.context);
+    this.todoTools.setTodos(state.todos || []);
+    this.usageTracker.restore(state.usage);
+    
+    const model = state.model || session.meta.model;
+    if (model && model !== this.config.model && this.modelRegistry.isAvailable(model)) {
+      this.config = this.loadConfig(model);
+      this.client = this.createClient();
+    }
+    
+    this.sessionManager.attach(session, this.conversationHistory);
+    
+    // Replay the visible conversation
+    this.messages = [];
+    for (const msg of session.history) {
+      const text = messageText(msg.content);
+      if (!text) continue;
+      if (msg.role === 'user') {
+        const images = Array.isArray(msg.content) ? msg.content.filter(part => part.type === 'image_url').length : 0;
+        this.addMessage('user', images > 0 ? `${text}\n🖼️ ${images} image${images > 1 ? 's' : ''}` : text, true);
+      } else if (msg.role === 'assistant' && !msg.tool_calls) {
+        this.addMessage('assistant', text, true);
+      }
+    }
+    
+    this.addMessage('system', `${colors.success('✓')} Resumed session ${colors.accent(session.id)} (${session.history.length} messages, ${this.config.color(this.config.icon + ' ' + this.config.model)})`);
+    if (this.activeFile) {
+      this.addMessage('system', `Active file: ${colors.accent(this.activeFile)}`);
+    }
+  }
+
+  // Smart model selection
+  selectModelForTask(input, hints = {}) {
+    // Models registered with autoRoute: false (like DeepSeek) are never routed away from
+    if (this.config.autoRoute === false) {
+      return this.config.model; // Always use the selected custom model
+    }
+    
+    // Attached images go to a vision model unless the current one can already see
+    if (hints.images && this.config.supportsVision) {
+      return this.config.model;
+    }
+    const category = hints.images ? 'vision' : this.classifyTaskForRouting(input);
+    if (!category) {
+      // Default to gpt-5-chat for better tool execution
+      const fallback = this.config.model === 'o4-mini' ? 'gpt-5-chat' : this.config.model;
+      return this.modelRegistry.isAvailable(fallback) ? fallback : this.config.model;
+    }
+    
+    // Categories map to models through the registry's routing table (models.json "routing")
+    const candidate = this.modelRegistry.getRouteTarget(category);
+    if (!candidate || !this.modelRegistry.isAvailable(candidate)) {
+      return this.config.model;
+    }
+    
+    // Never route an image task to a model that cannot see
+    if (category === 'vision' && !this.modelRegistry.get(candidate).capabilities.vision) {
+      return this.config.model;
+    }
+    
+    return candidate;
+  }
+  
+  classifyTaskForRouting(input) {
+    const lowerInput = input.toLowerCase();
+    
+    // Code tasks -> gpt-5
+    if (/\b(code|function|class|debug|typescript|javascript|python|error|bug|syntax|implement|fix)\b/.test(lowerInput)) {
+      return 'code';
+    }
+    
+    // Complex reasoning, planning, orchestration -> o3
+    if (/\b(analyze|think|reason|logic|complex|strategy|plan|architecture|design|solve|orchestrat|build|create|implement|develop|organize|structure)\b/.test(lowerInput)) {
+      return 'reasoning';
+    }
+    
+    // File operations that need understanding -> use gpt-5-chat for speed
+    if (/\b(what is|explain|understand|describe|summarize|review)\b.*\b(file|code|content|about)\b/i.test(lowerInput)) {
+      return 'explain';  // Fast and capable for file operations
+    }
+    
+    // Multi-step tasks -> use gpt-5-chat for better tool execution
+    if (/\b(step|then|after|next|first|second|finally|todo|tasks?)\b/.test(lowerInput)) {
+      return 'multistep';  // Better at executing multiple tools
+    }
+    
+    // Visual content -> gpt-4o
+    if (/\b(image|visual|picture|diagram|chart|see|view|look|screenshot|photo)\b/.test(lowerInput)) {
+      return 'vision';
+    }
+    
+    // Quick/simple questions -> gpt-4o-mini for efficiency
     if (input.length < 50 && /\b(what|when|where|who|how|simple|quick)\b/.test(lowerInput)) {
-      return 'gpt-4o-mini';
+      return 'quick';
     }
     
     // Ultra-simple commands -> o4-mini
     if (input.length < 30 && /^(ls|pwd|date|time|help)$/i.test(input.trim())) {
-      return 'o4-mini';
+      return 'trivial';
     }
     
-    // Default to gpt-5-chat for better tool execution
-    return this.config.model === 'o4-mini' ? 'gpt-5-chat' : this.config.model;
+    return null;
   }
 
   isDirectCommand(input) {
@@ -1372,89 +2195,118 @@ class OrionCLI {
         this.addMessage('system', stdout.trim());
       }
       if (stderr) {
-        // Suppress stderr during orchestration for cleaner output
-        if (!this.isOrchestrationMode) {
-          this.addMessage('error', stderr.trim());
-        }
+        this.addMessage('error', stderr.trim());
       }
     } catch (error) {
-      // Suppress execution errors during orchestration
-      if (!this.isOrchestrationMode) {
-        this.addMessage('error', error.message);
-      }
+      this.addMessage('error', error.message);
     }
   }
 
-  async processWithAI(input) {
+  async processWithAI(input, options = {}) {
+    // Over a stop-mode budget nothing more is sent
+    if (!this.enforceBudget()) {
+      return;
+    }
+    this.usageTracker.beginTurn();
     this.isProcessing = true;
+    this.abortController = new AbortController();
     this.startSpinner();
     
-    // Debug: Log when processing starts
-    if (process.env.DEBUG_TOOLS) {
-      console.log(colors.dim(`\n🔍 Processing input: "${input.slice(0, 100)}..."`));
-      console.log(colors.dim(`   Input length: ${input.length} chars`));
-    }
+    // Everything from here on runs inside try so a failure can't leave the spinner running
+    let promptBlocked = false;
+    try {
+      // UserPromptSubmit hooks may rewrite or block the prompt
+      const promptHook = await this.hooksManager.runHook('UserPromptSubmit', {
+        prompt: input,
+        sessionId: this.sessionManager.sessionId
+      });
+      this.showHookMessages(promptHook);
+      if (promptHook.blocked) {
+        this.addMessage('system', colors.warning(`🪝 Prompt blocked by hook ${promptHook.hook}: ${promptHook.message}`));
+        this.lastError = new Error(`Prompt blocked by hook ${promptHook.hook}: ${promptHook.message}`);
+        promptBlocked = true;
+        return;
+      }
+      if (promptHook.modifiedPrompt) {
+        input = promptHook.modifiedPrompt;
+      }
     
-    // Check for mega tasks FIRST - they must use SimpleOrchestrator with gpt-5-chat
-    const needsOrchestration = this.simpleOrchestrator.needsOrchestration(input);
+      // Pick up ORION.md edits made since the last request
+      this.projectMemory.load();
     
-    if (process.env.DEBUG_TOOLS) {
-      console.log(colors.dim(`\n🔍 EARLY Orchestration check: ${needsOrchestration ? 'YES - Mega task!' : 'NO - Regular task'}`));
-      console.log(colors.dim(`   Numbered items found: ${(input.match(/\d+\./g) || []).length}`));
-    }
+      // @file, @dir/, @file#L10-40 and images attach content to what the model sees
+      const { prompt, images } = await this.attachMentions(input);
     
-    // Use intelligent task understanding system
-    const intentAnalysis = await this.taskUnderstanding.analyzeIntent(input);
+      // One checkpoint per turn - only written if a tool changes a file
+      this.checkpointManager.beginTurn(input, { sessionId: this.sessionManager.sessionId });
     
-    // Fallback to basic analysis if needed
-    const taskInfo = intentAnalysis.primaryIntent ? 
-      {
-        type: intentAnalysis.primaryIntent,
-        needsTools: intentAnalysis.suggestedTools && intentAnalysis.suggestedTools.length > 0,
-        tools: intentAnalysis.suggestedTools || [],
-        priority: intentAnalysis.confidence > 0.8 ? 'high' : intentAnalysis.confidence > 0.5 ? 'medium' : 'low'
-      } : 
-      this.analyzeTask(input);
+      // Debug: Log when processing starts
+      if (process.env.DEBUG_TOOLS) {
+        console.log(colors.dim(`\n🔍 Processing input: "${input.slice(0, 100)}..."`));
+        console.log(colors.dim(`   Input length: ${input.length} chars`));
+      }
     
-    // Force gpt-5-chat for mega tasks, otherwise use optimal model
-    const optimalModel = needsOrchestration ? 'gpt-5-chat' : this.selectModelForTask(input);
+      // Multi-step requests (or /plan) go through the planner first - plan steps are text only,
+      // so prompts with images run as one request
+      const needsOrchestration = images.length === 0 && (options.plan || this.simpleOrchestrator.needsOrchestration(input));
     
-    if (process.env.DEBUG_TOOLS) {
-      console.log(colors.dim(`   Selected model: ${optimalModel} (forced: ${needsOrchestration ? 'YES' : 'NO'})`));
-    }
-    let usingClient = this.client;
-    let usingConfig = this.config;
+      if (process.env.DEBUG_TOOLS) {
+        console.log(colors.dim(`\n🔍 EARLY Orchestration check: ${needsOrchestration ? 'YES - Mega task!' : 'NO - Regular task'}`));
+        console.log(colors.dim(`   Numbered items found: ${(input.match(/\d+\./g) || []).length}`));
+      }
+    
+      // Use intelligent task understanding system
+      const intentAnalysis = await this.taskUnderstanding.analyzeIntent(input);
+    
+      // Fallback to basic analysis if needed
+      const taskInfo = intentAnalysis.primaryIntent ? 
+        {
+          type: intentAnalysis.primaryIntent,
+          needsTools: intentAnalysis.suggestedTools && intentAnalysis.suggestedTools.length > 0,
+          tools: intentAnalysis.suggestedTools || [],
+          priority: intentAnalysis.confidence > 0.8 ? 'high' : intentAnalysis.confidence > 0.5 ? 'medium' : 'low'
+        } : 
+        this.analyzeTask(input);
     
-    // Switch model if needed (no UI message spam)
-    if (optimalModel !== this.config.model) {
-      process.env.MODEL = optimalModel;
-      usingConfig = this.loadConfig();
-      usingClient = this.createClient();
+      // Planned tasks prefer gpt-5-chat (unless the model opts out of routing), otherwise use optimal model
+      const optimalModel = needsOrchestration && this.config.autoRoute !== false && this.modelRegistry.isAvailable('gpt-5-chat') ?
+        'gpt-5-chat' : this.selectModelForTask(input, { images: images.length > 0 });
+    
+      if (process.env.DEBUG_TOOLS) {
+        console.log(colors.dim(`   Selected model: ${optimalModel} (forced: ${needsOrchestration ? 'YES' : 'NO'})`));
+      }
+      let usingClient = this.client;
+      let usingConfig = this.config;
+    
+      // Switch model if needed (no UI message spam)
+      if (optimalModel !== this.config.model) {
+        process.env.MODEL = optimalModel;
+        usingConfig = this.loadConfig(optimalModel);
+        usingClient = this.createClient(usingConfig);
       
-      // Track the active model for status display
-      this.activeModel = optimalModel;
-      this.render(); // Update status bar
-    }
+        // Track the active model for status display
+        this.activeModel = optimalModel;
+        this.render(); // Update status bar
+      }
     
-    // Only show tools if needed and high priority
-    if (taskInfo.needsTools && taskInfo.priority === 'high') {
-      this.addMessage('system', colors.accent(`🔧 ${taskInfo.tools.join(', ')}`));
-      this.render();
-    }
+      // Only show tools if needed and high priority
+      if (taskInfo.needsTools && taskInfo.priority === 'high') {
+        this.addMessage('system', colors.accent(`🔧 ${taskInfo.tools.join(', ')}`));
+        this.render();
+      }
     
-    // Show smart suggestions if available
-    if (intentAnalysis && intentAnalysis.suggestions && intentAnalysis.suggestions.length > 0) {
-      this.addMessage('system', colors.info('💡 ' + intentAnalysis.suggestions[0]));
-      this.render();
-    }
+      // Show smart suggestions if available
+      if (intentAnalysis && intentAnalysis.suggestions && intentAnalysis.suggestions.length > 0) {
+        this.addMessage('system', colors.info('💡 ' + intentAnalysis.suggestions[0]));
+        this.render();
+      }
     
-    // Show thinking indicator with confidence
-    const confidenceText = intentAnalysis && intentAnalysis.confidence > 0.8 ? ' (high confidence)' : 
-                           intentAnalysis && intentAnalysis.confidence > 0.5 ? ' (medium confidence)' : '';
-    this.addMessage('system', colors.info(`💭 Thinking${confidenceText}...`));
-    this.render();
+      // Show thinking indicator with confidence
+      const confidenceText = intentAnalysis && intentAnalysis.confidence > 0.8 ? ' (high confidence)' : 
+                             intentAnalysis && intentAnalysis.confidence > 0.5 ? ' (medium confidence)' : '';
+      this.addMessage('system', colors.info(`💭 Thinking${confidenceText}...`));
+      this.render();
     
-    try {
       // Build enhanced context with intelligence
       const contextInfo = this.buildContext(input, taskInfo);
       if (intentAnalysis && intentAnalysis.context) {
@@ -1465,131 +2317,369 @@ class OrionCLI {
         console.log(colors.dim(`\n🔍 Orchestration check: ${needsOrchestration ? 'YES - Mega task!' : 'NO - Regular task'}`));
       }
       
-      if (needsOrchestration) {
-        // Use simple orchestrator for reliability
-        this.addMessage('system', colors.info('🎯 Mega task detected - using orchestration'));
-        this.render();
-        
-        // Set orchestration mode to reduce error noise
-        this.isOrchestrationMode = true;
-        
-        // Pass the config so orchestrator can create proper clients
-        const orchestrationResult = await this.simpleOrchestrator.orchestrate(
-          input,
-          { client: usingClient, config: this.loadConfig.bind(this), createClient: this.createClient.bind(this) },
-          this.buildSystemPrompt(taskInfo, contextInfo),
-          async (toolResponse) => {
-            // Process tool execution from orchestrator
-            const parsed = JsonToolParser.processResponse(toolResponse);
-            if (parsed.hasTools && parsed.toolCalls.length > 0) {
-              for (const toolCall of parsed.toolCalls) {
-                await this.handleToolCalls([toolCall]);
-              }
-            }
-          }
-        );
-        
-        // Reset orchestration mode
-        this.isOrchestrationMode = false;
-        
-        if (orchestrationResult) {
-          if (orchestrationResult.success) {
-            this.addMessage('assistant', `✅ Completed ${orchestrationResult.completedSteps} steps successfully!`);
-          } else {
-            this.addMessage('assistant', `Completed ${orchestrationResult.completedSteps || 0} steps with ${orchestrationResult.errors || 0} errors.`);
-          }
-          this.render();
-          return; // IMPORTANT: Exit here to prevent regular execution
-        } else {
-          this.addMessage('system', colors.warning('⚠️ Orchestration failed, falling back to regular execution'));
-        }
+      // Images need a model that can see them
+      if (images.length > 0 && !usingConfig.supportsVision) {
+        const visionModels = this.modelRegistry.list().filter(m => m.capabilities.vision).map(m => m.name);
+        this.lastError = new Error(`${usingConfig.model} can't read images`);
+        this.addMessage('error', `🖼️ ${usingConfig.model} can't read images - switch to a vision model with /model${visionModels.length ? ` (${visionModels.join(', ')})` : ''}`);
+        return;
+      }
+      
+      // Planned execution; falls through when the planner calls the request simple
+      if (needsOrchestration && await this.runPlannedTask(prompt, taskInfo, contextInfo, usingClient, usingConfig)) {
+        return;
       }
       
       // For non-mega tasks, proceed with regular AI processing
       
-      // Add user message to conversation history
+      // Add user message to conversation history - images go along as base64 content parts
       this.conversationHistory.push({
         role: 'user',
-        content: input
+        content: images.length > 0 ? [
+          { type: 'text', text: prompt },
+          ...images.map(a => ({ type: 'image_url', image_url: { url: a.image.url } }))
+        ] : prompt
       });
       
       // Update token count (rough estimation: 1 token ≈ 4 chars)
-      this.currentTokens += Math.ceil(input.length / 4);
+      this.currentTokens += Math.ceil(prompt.length / 4);
+      this.maxTokens = this.contextManager.modelLimits[usingConfig.model] || this.maxTokens;
       
-      // Smart context management - handles up to 1M tokens then compacts
+      // Compact before the history outgrows the model's context (minus room for the reply)
+      const history = this.conversationHistory;
       this.conversationHistory = await this.contextManager.manageContext(
-        this.conversationHistory, 
+        history,
+        usingConfig.model,
+        this.compactionOptions(usingClient, usingConfig)
+      );
+      if (this.conversationHistory !== history) {
+        this.reportCompaction();
+      }
+      
+      // Get context statistics
+      const contextStats = this.contextManager.getRemainingSpace(
+        this.contextManager.countMessageTokens(this.conversationHistory),
         usingConfig.model
       );
       
-      // Recalculate tokens after context management
-      if (this.currentTokens > this.maxTokens * 0.8) {
-        this.currentTokens = this.conversationHistory.reduce((sum, msg) => {
-          return sum + Math.ceil(msg.content.length / 4);
-        }, 0);
+      // Show context status if getting full
+      if (contextStats.status === 'critical') {
+        this.addMessage('system', colors.warning(`⚠️ Context ${contextStats.percentage}% full - may compact soon`));
+      }
+      
+      // Enhanced system prompt with tool awareness  
+      const systemPrompt = this.buildSystemPrompt(taskInfo, contextInfo);
+      
+      // Build messages array with smart context
+      const messages = [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        // Use intelligently managed conversation history
+        ...this.conversationHistory
+      ];
+
+      // Build completion params based on model capabilities
+      const completionParams = {
+        model: usingConfig.deployment,
+        messages
+      };
+      
+      // Add temperature only if model supports it
+      if (usingConfig.supportsTemperature) {
+        completionParams.temperature = 0.7;
+      }
+      
+      // Add tools if task requires them - models without native tool calling
+      // get none and fall back to the JSON tool format from the system prompt
+      // (MCP tools are always offered once their servers are connected)
+      await this.mcpReady;
+      if (usingConfig.supportsTools) {
+        const toolDefs = this.toolRegistry.getToolDefinitions(taskInfo.needsTools ? taskInfo.tools : []);
+        if (toolDefs && toolDefs.length > 0) {
+          completionParams.tools = toolDefs;
+          completionParams.tool_choice = 'auto'; // Let AI decide when to use tools
+          
+          // Debug: Show what tools are being provided
+          if (process.env.DEBUG_TOOLS) {
+            console.log(colors.dim(`📦 Providing ${toolDefs.length} tools to AI for: ${taskInfo.type}`));
+            toolDefs.forEach(t => {
+              console.log(colors.dim(`  - ${t.function.name}: ${t.function.description}`));
+            });
+          }
+        }
+      }
+
+      // Debug: Log API call attempt
+      if (process.env.DEBUG_TOOLS) {
+        console.log(colors.dim(`\n📡 Calling Azure OpenAI API...`));
+        console.log(colors.dim(`  Model: ${completionParams.model}`));
+        console.log(colors.dim(`  Tools provided: ${completionParams.tools ? completionParams.tools.length : 0}`));
+      }
+      
+      // Agentic loop: keep calling the model until it stops requesting tools
+      const { finished, cancelled, budgetExceeded } = await this.runAgentLoop(usingClient, completionParams, this.conversationHistory, usingConfig);
+      // Running out of iterations leaves the task unfinished - headless runs fail on it
+      // (a budget stop has already set lastError)
+      if (!finished && !cancelled && !budgetExceeded) {
+        this.lastError = Object.assign(
+          new Error(`Stopped after ${this.maxToolIterations} tool iterations without a final answer`),
+          { stopReason: 'max-turns' }
+        );
+      }
+    } catch (error) {
+      // An aborted request isn't an error - the finally block reports the cancellation
+      if (!this.isCancelled()) {
+        console.error('Error in processWithAI:', error);
+        this.lastError = error;
+        this.addMessage('error', `Error: ${error.message}`);
+        
+        // More detailed error info in debug mode
+        if (process.env.DEBUG_TOOLS) {
+          console.error('Full error stack:', error.stack);
+        }
+      }
+    } finally {
+      // Debug: Confirm finally block executes
+      if (process.env.DEBUG_TOOLS) {
+        console.log(colors.dim('\n🏁 Finally block: Stopping spinner and clearing processing flag'));
+      }
+      if (this.isCancelled()) {
+        this.addMessage('system', colors.warning('⏹ Cancelled - partial results are kept in the conversation'));
+      }
+      this.abortController = null;
+      this.isProcessing = false;
+      this.stopSpinner();
+      this.checkpointManager.endTurn();
+      this.persistSession();
+      
+      // A blocked prompt never reached the model, so there's nothing for Stop hooks
+      if (!promptBlocked) {
+        const lastAnswer = [...this.conversationHistory].reverse().find(m => m.role === 'assistant' && !m.tool_calls);
+        this.showHookMessages(await this.hooksManager.runHook('Stop', {
+          prompt: input,
+          response: lastAnswer ? lastAnswer.content : null,
+          sessionId: this.sessionManager.sessionId
+        }), true);
+      }
+      
+      // Ensure input buffer is ready for next input
+      this.inputBuffer = '';
+      this.cursorPosition = 0;
+      
+      // Force immediate render to show completed response - bypass throttling
+      this._performRender();
+    }
+  }
+
+  /**
+   * Plan a multi-step request, let the user review it, then run each step in its own
+   * tool loop. Returns false if the planner says the request is simple or planning fails.
+   */
+  async runPlannedTask(input, taskInfo, contextInfo, usingClient, usingConfig) {
+    // Steps get every tool - the plan names the ones it expects
+    const stepTaskInfo = { ...taskInfo, needsTools: true, tools: ['bash', ...this.toolRegistry.getAvailableCategories()] };
+    const systemPrompt = this.buildSystemPrompt(stepTaskInfo, contextInfo);
+    await this.mcpReady;
+    const allTools = this.toolRegistry.getToolDefinitions(stepTaskInfo.tools);
+    const toolDefs = usingConfig.supportsTools ? allTools : [];
+    
+    let result;
+    try {
+      result = await this.simpleOrchestrator.orchestrate(input, {
+        client: usingClient,
+        model: usingConfig.deployment,
+        tools: allTools.map(tool => tool.function.name),
+        context: `Working directory: ${contextInfo.workingDir}\nActive file: ${contextInfo.activeFile || 'none'}`,
+        todoTools: this.todoTools,
+        signal: this.abortController && this.abortController.signal,
+        onUsage: usage => this.trackUsage(usingConfig.model, usage, false)
+      }, {
+        onStatus: text => {
+          this.addMessage('system', colors.info(text));
+          this.render();
+        },
+        reviewPlan: plan => this.reviewPlan(plan),
+        runStep: async (step, plan, prompt) => {
+          const history = [{ role: 'user', content: prompt }];
+          const params = {
+            model: usingConfig.deployment,
+            messages: [{ role: 'system', content: systemPrompt }, ...history]
+          };
+          if (usingConfig.supportsTemperature) {
+            params.temperature = 0.7;
+          }
+          if (toolDefs.length > 0) {
+            params.tools = toolDefs;
+            params.tool_choice = 'auto';
+          }
+          
+          const { finished, cancelled, budgetExceeded, response } = await this.runAgentLoop(usingClient, params, history, usingConfig);
+          if (cancelled) {
+            return { status: 'cancelled', verification: 'Cancelled by the user', summary: response || '' };
+          }
+          if (budgetExceeded) {
+            return { status: 'failed', verification: 'Stopped - budget reached' };
+          }
+          if (!finished) {
+            return { status: 'failed', verification: `Stopped after ${this.maxToolIterations} tool iterations` };
+          }
+          return this.simpleOrchestrator.parseStepReport(response);
+        }
+      });
+    } catch (error) {
+      if (this.isCancelled()) {
+        return true;
+      }
+      this.addMessage('system', colors.warning(`⚠️ Planning failed (${error.message}) - running the request directly`));
+      return false;
+    }
+    
+    if (!result) {
+      return false;
+    }
+    if (!result.plan) {
+      this.addMessage('system', colors.dim('Plan cancelled'));
+      return true;
+    }
+    
+    // The conversation keeps the request and the outcome, not every step's tool calls
+    const summary = this.simpleOrchestrator.formatSummary(result.plan);
+    this.addMessage('assistant', summary);
+    this.conversationHistory.push({ role: 'user', content: input }, { role: 'assistant', content: summary });
+    this.currentTokens += Math.ceil((input.length + summary.length) / 4);
+    return true;
+  }
+
+  /**
+   * Let the user run, edit (as JSON in $EDITOR) or cancel a plan. Headless runs it as is.
+   */
+  async reviewPlan(plan) {
+    if (this.headless) {
+      this.addMessage('system', ['🧭 Plan:', ...this.simpleOrchestrator.formatPlan(plan)].join('\n'));
+      return plan;
+    }
+    
+    let note = null;
+    while (true) {
+      const choice = await this.promptForPlanReview(plan, note);
+      if (choice === 'run') return plan;
+      if (choice === 'cancel') return null;
+      
+      try {
+        plan = await this.editPlan(plan);
+        note = null;
+      } catch (error) {
+        note = `Plan not changed: ${error.message}`;
+      }
+    }
+  }
+
+  async promptForPlanReview(plan, note) {
+    const wasSpinning = !!this.spinnerInterval;
+    this.stopSpinner();
+    this.awaitingPermission = true; // Suspends TUI rendering, like the permission prompt
+    
+    try {
+      process.stdout.write('\x1B[2J\x1B[H');
+      console.log(colors.primary.bold('🧭 Proposed plan'));
+      console.log(colors.dim('━'.repeat(Math.min(80, this.terminalWidth))));
+      for (const line of this.simpleOrchestrator.formatPlan(plan)) {
+        console.log(/^\d/.test(line) ? colors.accent(line) : colors.dim(line));
       }
+      if (note) {
+        console.log('\n' + colors.warning(note));
+      }
+      process.stdout.write('\n' + colors.info('Run this plan? [y]es (Enter) / [e]dit / [n]o: '));
       
-      // Get context statistics
-      const contextStats = this.contextManager.getRemainingSpace(
-        this.contextManager.countMessageTokens(this.conversationHistory),
-        usingConfig.model
-      );
-      
-      // Show context status if getting full
-      if (contextStats.status === 'critical') {
-        this.addMessage('system', colors.warning(`⚠️ Context ${contextStats.percentage}% full - may compact soon`));
+      process.stdin.resume();
+      const key = await new Promise(resolve => process.stdin.once('data', data => resolve(data.toString().toLowerCase())));
+      if (key === 'y' || key === '\r' || key === '\n') return 'run';
+      if (key === 'e') return 'edit';
+      return 'cancel';
+    } finally {
+      this.awaitingPermission = false;
+      if (wasSpinning) {
+        this.startSpinner();
+      }
+      this.render(true);
+    }
+  }
+
+  async editPlan(plan) {
+    const file = path.join(require('os').tmpdir(), `orion-plan-${process.pid}.json`);
+    await fs.writeFile(file, this.simpleOrchestrator.toEditableJson(plan));
+    try {
+      const error = this.openInEditor(file);
+      if (error) {
+        throw new Error(error);
+      }
+      const edited = this.simpleOrchestrator.parsePlan(await fs.readFile(file, 'utf8'), plan.request);
+      if (!edited) {
+        throw new Error('the plan has no steps');
+      }
+      return edited;
+    } finally {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+
+  /**
+   * Agentic loop: call the model until it stops requesting tools, appending
+   * assistant turns and tool results to history. Returns the final answer.
+   */
+  async runAgentLoop(usingClient, completionParams, history, usingConfig = this.config) {
+    const systemMessage = completionParams.messages[0];
+    let finished = false;
+    let finalResponse = null;
+    for (let iteration = 1; iteration <= this.maxToolIterations; iteration++) {
+      if (process.env.DEBUG_TOOLS) {
+        console.log(colors.dim(`\n🔁 Tool loop iteration ${iteration}/${this.maxToolIterations}`));
       }
       
-      // Enhanced system prompt with tool awareness  
-      const systemPrompt = this.buildSystemPrompt(taskInfo, contextInfo);
+      // Esc: stop before the next model call, keeping what the tools already did
+      if (this.isCancelled()) {
+        return this.recordCancellation(history, null);
+      }
       
-      // Build messages array with smart context
-      const messages = [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        // Use intelligently managed conversation history
-        ...this.conversationHistory
-      ];
-
-      // Build completion params based on model capabilities
-      const completionParams = {
-        model: usingConfig.deployment,
-        messages
-      };
+      // Budget cap in stop mode - end the turn cleanly before spending more
+      if (!this.enforceBudget()) {
+        history.push({ role: 'assistant', content: '[Stopped - budget reached]' });
+        return { finished: false, budgetExceeded: true, response: null };
+      }
       
-      // Add temperature only if model supports it
-      if (usingConfig.supportsTemperature) {
-        completionParams.temperature = 0.7;
+      // Long tool loops can outgrow the context mid-turn - compact in place before the next call
+      if (iteration > 1 && this.contextManager.needsCompaction(history, usingConfig.model)) {
+        const compacted = await this.contextManager.manageContext(history, usingConfig.model, this.compactionOptions(usingClient, usingConfig));
+        history.splice(0, history.length, ...compacted);
+        completionParams.messages = [systemMessage, ...history];
+        if (history === this.conversationHistory) {
+          this.sessionManager.invalidate();
+          this.reportCompaction();
+        }
       }
       
-      // Add tools if task requires them
-      if (taskInfo.needsTools) {
-        const toolDefs = this.toolRegistry.getToolDefinitions(taskInfo.tools);
-        if (toolDefs && toolDefs.length > 0) {
-          completionParams.tools = toolDefs;
-          completionParams.tool_choice = 'auto'; // Let AI decide when to use tools
-          
-          // Debug: Show what tools are being provided
-          if (process.env.DEBUG_TOOLS) {
-            console.log(colors.dim(`📦 Providing ${toolDefs.length} tools to AI for: ${taskInfo.type}`));
-            toolDefs.forEach(t => {
-              console.log(colors.dim(`  - ${t.function.name}: ${t.function.description}`));
-            });
-          }
+      let message;
+      let usage = null;
+      const request = { ...completionParams, messages: this.messagesForModel(completionParams.messages, usingConfig) };
+      try {
+        if (this.streamingEnabled) {
+          ({ message, usage } = await this.streamCompletion(usingClient, request));
+        } else {
+          const completion = await usingClient.chat.completions.create(request, this.requestOptions());
+          message = completion.choices[0].message;
+          usage = completion.usage;
         }
+      } catch (error) {
+        if (!this.isCancelled()) throw error;
+        message = { content: null };
       }
-
-      // Debug: Log API call attempt
-      if (process.env.DEBUG_TOOLS) {
-        console.log(colors.dim(`\n📡 Calling Azure OpenAI API...`));
-        console.log(colors.dim(`  Model: ${completionParams.model}`));
-        console.log(colors.dim(`  Tools provided: ${completionParams.tools ? completionParams.tools.length : 0}`));
+      this.trackUsage(usingConfig.model, usage, history === this.conversationHistory);
+      if (this.isCancelled()) {
+        return this.recordCancellation(history, message.content);
       }
-      
-      const completion = await usingClient.chat.completions.create(completionParams);
-      let response = completion.choices[0].message.content;
+      let response = message.content;
       
       // Parse and format DeepSeek thinking tags
       if (response && response.includes('<think>')) {
@@ -1619,108 +2709,276 @@ class OrionCLI {
       }
       
       // Handle tool calls if present (proper OpenAI format)
-      if (completion.choices[0].message.tool_calls) {
-        await this.handleToolCalls(completion.choices[0].message.tool_calls);
+      if (message.tool_calls && message.tool_calls.length > 0) {
+        if (response && response.trim()) {
+          this.addMessage('assistant', response);
+        }
+        
+        // The assistant turn must carry its tool_calls so the tool results can reference them
+        history.push({
+          role: 'assistant',
+          content: response || null,
+          tool_calls: message.tool_calls
+        });
+        
+        const results = await this.handleToolCalls(message.tool_calls);
+        for (const result of results) {
+          history.push({
+            role: 'tool',
+            tool_call_id: result.id,
+            content: result.content
+          });
+          this.currentTokens += Math.ceil(result.content.length / 4);
+        }
+        this.persistSession();
+        
+        completionParams.messages = [systemMessage, ...history];
+        continue;
       }
       
       // Check for JSON tool calls in response (Azure OpenAI fallback)
-      let parsed = { toolCalls: [], cleanText: '', hasTools: false };
-      if (response) {
-        parsed = JsonToolParser.processResponse(response);
-        
-        // Debug logging
-        if (process.env.DEBUG_TOOLS) {
-          console.log(colors.dim(`🔍 Parsing response for JSON tools...`));
-          console.log(colors.dim(`  Response length: ${response.length}`));
-          console.log(colors.dim(`  Has tools: ${parsed.hasTools}`));
-          console.log(colors.dim(`  Tool calls found: ${parsed.toolCalls.length}`));
-          if (parsed.hasTools) {
-            parsed.toolCalls.forEach(tc => {
-              console.log(colors.dim(`  → ${tc.function.name}`));
-            });
-          }
+      const parsed = JsonToolParser.processResponse(response);
+      
+      // Debug logging
+      if (process.env.DEBUG_TOOLS && response) {
+        console.log(colors.dim(`🔍 Parsing response for JSON tools...`));
+        console.log(colors.dim(`  Response length: ${response.length}`));
+        console.log(colors.dim(`  Has tools: ${parsed.hasTools}`));
+        console.log(colors.dim(`  Tool calls found: ${parsed.toolCalls.length}`));
+        if (parsed.hasTools) {
+          parsed.toolCalls.forEach(tc => {
+            console.log(colors.dim(`  → ${tc.function.name}`));
+          });
         }
-        
-        // If JSON tools were found, execute them
-        if (parsed.hasTools && parsed.toolCalls.length > 0) {
-          // Execute the extracted tool calls
-          for (const toolCall of parsed.toolCalls) {
-            await this.handleToolCalls([toolCall]);
-          }
-          
-          // Show cleaned response if there is any
-          if (parsed.cleanText && parsed.cleanText.trim()) {
-            // Add as single message to avoid multiple renders
-            this.addMessage('assistant', parsed.cleanText);
-          } else if (parsed.toolCalls.length > 0) {
-            // If ONLY tools were executed (no text), add success confirmation
-            const toolNames = parsed.toolCalls.map(tc => tc.function.name);
-            if (toolNames.includes('write_file') || toolNames.includes('create_file')) {
-              this.addMessage('assistant', '✅ File created successfully!');
-            } else if (toolNames.includes('edit_file')) {
-              this.addMessage('assistant', '✅ File updated successfully!');
-            } else if (toolNames.includes('execute_bash')) {
-              // Bash output is already shown, just confirm
-              this.addMessage('assistant', '✅ Command executed!');
-            } else if (toolNames.length > 0) {
-              this.addMessage('assistant', '✅ Done!');
-            }
-          }
-          
-          // Auto-continuation disabled - use SimpleOrchestrator for mega tasks
-        } else if (response) {
-          // No JSON tools found - but check if response IS just JSON (shouldn't show it)
-          // Skip showing response if it looks like a failed tool JSON
-          const looksLikeJson = response.trim().startsWith('{') && response.includes('"tool"');
-          if (!looksLikeJson) {
-            // Only show non-JSON responses
-            this.addMessage('assistant', response);
-          } else {
-            // Log that we're skipping JSON that wasn't parsed
-            if (process.env.DEBUG_TOOLS) {
-              console.log(colors.warning('⚠️ Skipping unparsed JSON response'));
-            }
-          }
+      }
+      
+      // If JSON tools were found, execute them and send the results back as text
+      if (parsed.hasTools && parsed.toolCalls.length > 0) {
+        // Show cleaned response if there is any
+        if (parsed.cleanText && parsed.cleanText.trim()) {
+          this.addMessage('assistant', parsed.cleanText);
         }
         
-        // Add assistant response to conversation history
-        const assistantContent = parsed.cleanText || response;
-        this.conversationHistory.push({
+        const results = await this.handleToolCalls(parsed.toolCalls);
+        const resultsText = this.formatToolResultsAsText(results);
+        
+        history.push({
           role: 'assistant',
-          content: assistantContent
+          content: response
         });
+        history.push({
+          role: 'user',
+          content: resultsText
+        });
+        this.currentTokens += Math.ceil((response.length + resultsText.length) / 4);
+        this.persistSession();
         
-        // Update token count
-        this.currentTokens += Math.ceil(assistantContent.length / 4);
-      }
-    } catch (error) {
-      console.error('Error in processWithAI:', error);
-      // Suppress main processing errors during orchestration
-      if (!this.isOrchestrationMode) {
-        this.addMessage('error', `Error: ${error.message}`);
+        completionParams.messages = [systemMessage, ...history];
+        continue;
       }
       
-      // More detailed error info in debug mode
-      if (process.env.DEBUG_TOOLS) {
-        console.error('Full error stack:', error.stack);
-      }
-    } finally {
-      // Debug: Confirm finally block executes
-      if (process.env.DEBUG_TOOLS) {
-        console.log(colors.dim('\n🏁 Finally block: Stopping spinner and clearing processing flag'));
+      // No tools requested - this is the final answer
+      if (response) {
+        // Skip showing response if it looks like a failed tool JSON
+        const looksLikeJson = response.trim().startsWith('{') && response.includes('"tool"');
+        if (!looksLikeJson) {
+          this.addMessage('assistant', response);
+        } else if (process.env.DEBUG_TOOLS) {
+          console.log(colors.warning('⚠️ Skipping unparsed JSON response'));
+        }
       }
-      this.isProcessing = false;
-      this.stopSpinner();
       
-      // Ensure input buffer is ready for next input
-      this.inputBuffer = '';
-      this.cursorPosition = 0;
+      // Add assistant response to conversation history
+      const assistantContent = parsed.cleanText || response || '';
+      history.push({
+        role: 'assistant',
+        content: assistantContent
+      });
       
-      // Force immediate render to show completed response - bypass throttling
-      this._performRender();
+      // Update token count
+      this.currentTokens += Math.ceil(assistantContent.length / 4);
+      finalResponse = assistantContent;
+      finished = true;
+      break;
+    }
+    
+    if (!finished) {
+      this.addMessage('system', colors.warning(`⚠️ Stopped after ${this.maxToolIterations} tool iterations - ask me to continue if the task is not done`));
+    }
+    
+    return { finished, response: finalResponse };
+  }
+
+  /**
+   * Close the turn after Esc - partial text stays in history so the next prompt can build on it
+   */
+  recordCancellation(history, partial) {
+    const text = partial ? partial.trim() : '';
+    if (text) {
+      this.addMessage('assistant', text);
+    }
+    const content = `${text ? `${text}\n\n` : ''}[Cancelled by the user]`;
+    history.push({ role: 'assistant', content });
+    this.currentTokens += Math.ceil(content.length / 4);
+    this.persistSession();
+    return { finished: false, cancelled: true, response: text || null };
+  }
+
+  isCancelled() {
+    return !!(this.abortController && this.abortController.signal.aborted);
+  }
+
+  /**
+   * Record a response's usage. For the main conversation the prompt size is the
+   * real context in use, replacing the length/4 estimate.
+   */
+  trackUsage(model, usage, mainConversation = true) {
+    const call = this.usageTracker.record(model, usage);
+    if (!call) return;
+    if (mainConversation) {
+      this.currentTokens = call.promptTokens;
     }
+    this.enforceBudget();
+  }
+
+  /**
+   * Budget cap (ORION_BUDGET_USD): warn once, or in stop mode refuse further model calls
+   */
+  enforceBudget() {
+    const status = this.usageTracker.checkBudget();
+    if (status === 'ok') return true;
+    
+    const spent = `${formatCost(this.usageTracker.session.cost)} of ${formatCost(this.usageTracker.budget)}`;
+    if (status === 'warn') {
+      this.addMessage('system', colors.warning(`💰 Budget reached (${spent} spent) - continuing; see /cost`));
+      return true;
+    }
+    this.lastError = Object.assign(new Error(`Budget reached (${spent} spent)`), { stopReason: 'budget' });
+    this.addMessage('error', `💰 Budget reached (${spent} spent) - raise it with /cost budget <usd> or remove it with /cost budget off`);
+    return false;
+  }
+
+  // Per-request options for the OpenAI client - the abort signal for Esc
+  requestOptions() {
+    return this.abortController ? { signal: this.abortController.signal } : undefined;
   }
 
+  /**
+   * Esc while processing: abort the model call, kill running tool processes,
+   * and let the plan stop between steps
+   */
+  abortCurrentOperation() {
+    if (!this.abortController || this.abortController.signal.aborted) {
+      return false;
+    }
+    this.abortController.abort();
+    const killed = killAll();
+    const detail = killed > 0 ? ` (stopped ${killed} running process${killed === 1 ? '' : 'es'})` : '';
+    this.addMessage('system', colors.warning(`⏹ Cancelling${detail}...`));
+    return true;
+  }
+
+  /**
+   * Stream a chat completion, rendering deltas live; returns the assembled message and its usage
+   */
+  async streamCompletion(client, params) {
+    const stream = await client.chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true } // Final chunk carries the token usage
+    }, this.requestOptions());
+    const message = { role: 'assistant', content: '', tool_calls: [] };
+    let usage = null;
+    
+    // Live placeholders, replaced by the final formatted messages once the stream ends
+    const liveThinking = { type: 'thinking', content: '', live: true };
+    const liveAnswer = { type: 'assistant', content: '', prefix: this.config.color(`${this.config.icon} Orion: `), live: true };
+    
+    try {
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+        if (!delta) continue;
+        
+        if (delta.content) {
+          message.content += delta.content;
+          this.updateStreamingMessages(message.content, liveThinking, liveAnswer);
+        }
+        
+        // Tool call arguments arrive as fragments keyed by index
+        if (delta.tool_calls) {
+          for (const fragment of delta.tool_calls) {
+            const index = fragment.index || 0;
+            if (!message.tool_calls[index]) {
+              message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+            }
+            const slot = message.tool_calls[index];
+            if (fragment.id) slot.id = fragment.id;
+            if (fragment.function && fragment.function.name) slot.function.name += fragment.function.name;
+            if (fragment.function && fragment.function.arguments) slot.function.arguments += fragment.function.arguments;
+          }
+        }
+      }
+    } catch (error) {
+      // Esc mid-stream - keep the text so far, drop half-received tool calls
+      if (!this.isCancelled()) throw error;
+      message.tool_calls = [];
+    } finally {
+      this.messages = this.messages.filter(msg => msg !== liveThinking && msg !== liveAnswer);
+      this.scheduleRender();
+    }
+    
+    message.tool_calls = message.tool_calls.filter(Boolean);
+    if (message.tool_calls.length === 0) {
+      delete message.tool_calls;
+    }
+    if (!message.content) {
+      message.content = null;
+    }
+    return { message, usage };
+  }
+  
+  /**
+   * Split streamed text into <think> reasoning and answer, and refresh the live messages
+   */
+  updateStreamingMessages(text, liveThinking, liveAnswer) {
+    let thinking = '';
+    let answer = text;
+    
+    const thinkStart = text.indexOf('<think>');
+    if (thinkStart !== -1) {
+      const thinkEnd = text.indexOf('</think>');
+      if (thinkEnd === -1) {
+        thinking = text.substring(thinkStart + 7);
+        answer = text.substring(0, thinkStart);
+      } else {
+        thinking = text.substring(thinkStart + 7, thinkEnd);
+        answer = text.substring(0, thinkStart) + text.substring(thinkEnd + 8);
+      }
+    }
+    
+    if (thinking.trim()) {
+      const recentThoughts = thinking.trim().split('\n').filter(line => line.trim()).slice(-3);
+      liveThinking.content = colors.dim('🧠 ' + recentThoughts.join('\n   '));
+      if (!this.messages.includes(liveThinking)) {
+        this.messages.push(liveThinking);
+      }
+    }
+    
+    // Tool JSON from the fallback parser is not worth showing while it streams in
+    const trimmed = answer.trim();
+    if (trimmed && !trimmed.startsWith('{')) {
+      liveAnswer.content = colors.text(trimmed);
+      if (!this.messages.includes(liveAnswer)) {
+        this.messages.push(liveAnswer);
+      }
+    }
+    
+    this.scheduleRender();
+  }
+  
   // Smart Assistant Helper Functions
   
   sleep(ms) {
@@ -1747,7 +3005,7 @@ class OrionCLI {
       return {
         type: 'file operation',
         needsTools: true,
-        tools: ['file-tools', 'bash'],
+        tools: ['file-tools', 'edit-tools', 'search-tools', 'bash'],
         priority: 'high'
       };
     }
@@ -1757,7 +3015,7 @@ class OrionCLI {
       return {
         type: 'coding task',
         needsTools: true,
-        tools: ['code-tools', 'file-tools', 'git-tools', 'bash'],
+        tools: ['code-tools', 'file-tools', 'edit-tools', 'search-tools', 'git-tools', 'bash'],
         priority: 'high'
       };
     }
@@ -1942,7 +3200,7 @@ TOOL OUTPUT RULES:
 • When using tools, output ONLY valid JSON - nothing else
 • JSON must be complete and valid: {"tool": "write_file", "args": {"filename": "test.txt", "content": "content here"}}
 • Do NOT output text before or after the JSON
-• The system will confirm success automatically - you don't need to
+• Tool results are sent back to you - read them, then continue or give your final answer
 
 MULTI-TOOL EXECUTION:
 • For complex tasks requiring multiple tools, execute them ALL in sequence
@@ -2024,14 +3282,20 @@ ALWAYS read the file directly!`;
     // Add comprehensive tool usage instructions
     prompt += `\n\n📚 TOOL USAGE GUIDE:
 
+PLANNING:
+• todo_write → For work with 3+ steps, write the plan first, keep one item in_progress, mark items completed as you go (shown live to the user)
+
 FILE TOOLS:
 • read_file → Use when user asks "what is X about", "explain X", "show me X"
 • write_file → Create new files with content
-• edit_file → Modify existing file content by replacing text
+• edit_file → Modify existing file content by replacing text (old_text must match exactly once)
+• multi_edit → Several exact replacements in one file, all or nothing
+• replace_lines / insert_at_line → Edit by line number (read the file with view_file first)
 • delete_file → Remove files (always confirm first unless force:true)
 • update_file → Append/prepend to existing files
 • file_exists → ONLY when asked if file exists, NOT for reading content
 • list_files → Show directory contents
+• search → Find code (text or regex, with context lines) or files by name across the project
 
 GIT TOOLS:
 • git_status → Check repo status
@@ -2075,6 +3339,7 @@ CONVERSION TOOLS:
 
 WEB SEARCH:
 • web_search → Current information
+• web_fetch → Read a web page as markdown
 • search_programming → Code examples
 • search_security → Security info
 • search_documentation → Technical docs
@@ -2091,6 +3356,9 @@ FILE OPERATIONS (use these exact structures):
 • Create file in directory: {"tool": "write_file", "args": {"filename": "dir/name.ext", "content": "content"}}
 • Read file: {"tool": "read_file", "args": {"filename": "name.ext"}}  
 • Edit file: {"tool": "edit_file", "args": {"filename": "name.ext", "old_text": "text to find", "new_text": "replacement"}}
+• Several edits: {"tool": "multi_edit", "args": {"path": "name.ext", "edits": [{"old_text": "a", "new_text": "b"}, {"old_text": "c", "new_text": "d"}]}}
+• Replace lines: {"tool": "replace_lines", "args": {"path": "name.ext", "start_line": 10, "end_line": 12, "new_content": "new lines"}}
+• Insert lines: {"tool": "insert_at_line", "args": {"path": "name.ext", "line": 5, "content": "new line"}}
 • List files: {"tool": "list_files", "args": {"directory": "."}}
 • Delete file: {"tool": "delete_file", "args": {"filename": "name.ext", "force": false}}
 • Append to file: {"tool": "update_file", "args": {"filename": "name.ext", "content": "text to add", "mode": "append"}}
@@ -2107,6 +3375,8 @@ GIT OPERATIONS:
 • Pull: {"tool": "git_pull", "args": {}}
 
 SEARCH:
+• Code search: {"tool": "search", "args": {"query": "functionName", "include": "*.js", "context": 2}}
+• Find files: {"tool": "search", "args": {"query": "config", "mode": "files"}}
 • Web search: {"tool": "web_search", "args": {"query": "search terms"}}
 
 ABSOLUTE REQUIREMENTS:
@@ -2120,6 +3390,9 @@ ABSOLUTE REQUIREMENTS:
 ❌ NEVER use placeholder values
 ❌ NEVER explain the JSON before/after outputting it`;
     
+    // Project instructions go last so they take precedence
+    prompt += this.projectMemory.getPromptSection();
+    
     return prompt;
   }
   
@@ -2129,13 +3402,102 @@ ABSOLUTE REQUIREMENTS:
     if (process.env.DEBUG_TOOLS) {
       console.log(colors.dim(`\n🔨 handleToolCalls invoked with ${toolCalls ? toolCalls.length : 0} tool(s)`));
     }
-    for (const toolCall of toolCalls) {
+    // Collected outputs in call order, fed back to the model by the agentic loop
+    const results = new Array(toolCalls.length);
+    const recordResult = async (toolCall, result, isError = !!(result && typeof result === 'object' && result.error), args = null) => {
+      let content = this.formatToolResultForModel(result);
+      
+      // PostToolUse hooks see every executed call - their feedback (e.g. lint errors) reaches the model too
+      if (args) {
+        const postHook = await this.hooksManager.runHook('PostToolUse', {
+          tool: toolCall.function.name,
+          args,
+          result: content,
+          isError,
+          sessionId: this.sessionManager.sessionId
+        });
+        if (postHook.blocked) {
+          // The call already ran - a failing hook reports the problem instead
+          postHook.messages.push({ hook: postHook.hook, text: postHook.message });
+          isError = true;
+        }
+        const feedback = this.showHookMessages(postHook);
+        if (feedback) {
+          content += `\n\n${feedback}`;
+        }
+      }
+      
+      const record = {
+        id: toolCall.id,
+        name: toolCall.function.name,
+        content,
+        isError
+      };
+      results[toolCalls.indexOf(toolCall)] = record;
+      if (this.onToolResult) {
+        this.onToolResult(record);
+      }
+    };
+    
+    const runCall = async (toolCall) => {
+      // Esc: calls that haven't started get an answer without running
+      if (this.isCancelled()) {
+        await recordResult(toolCall, { error: 'Cancelled by the user before it ran' }, true);
+        return;
+      }
+      
       // Show minimal tool execution indicator
       this.addMessage('system', colors.tool(`🔧 ${toolCall.function.name}`));
       // Don't render for each tool - batch at the end
       
+      let args = null;
+      let authorized = false; // args have been through the hooks and the permission check
       try {
-        const args = JSON.parse(toolCall.function.arguments);
+        args = JSON.parse(toolCall.function.arguments);
+        
+        // PreToolUse hooks can deny the call or rewrite its arguments
+        const preHook = await this.hooksManager.runHook('PreToolUse', {
+          tool: toolCall.function.name,
+          args,
+          sessionId: this.sessionManager.sessionId
+        });
+        this.showHookMessages(preHook);
+        if (preHook.blocked) {
+          this.addMessage('system', colors.warning(`🪝 ${toolCall.function.name} blocked by hook ${preHook.hook}: ${preHook.message}`));
+          await recordResult(toolCall, JSON.stringify({
+            status: 'blocked_by_hook',
+            tool: toolCall.function.name,
+            hook: preHook.hook,
+            reason: preHook.message,
+            instruction: 'Do not retry this call unchanged. Address the reason or ask the user how to proceed.'
+          }), true);
+          return;
+        }
+        if (preHook.modifiedArgs) {
+          args = preHook.modifiedArgs;
+        }
+        
+        // Every tool call (native, JSON fallback or orchestrated) must pass the permission check
+        const permission = await this.authorizeToolCall(toolCall.function.name, args);
+        if (!permission.allowed) {
+          this.addMessage('system', colors.warning(`🚫 ${toolCall.function.name} blocked: ${permission.reason}`));
+          await recordResult(toolCall, JSON.stringify({
+            status: 'permission_denied',
+            tool: toolCall.function.name,
+            reason: permission.reason,
+            instruction: 'Do not retry this call. Continue without it or ask the user how to proceed.'
+          }), true);
+          return;
+        }
+        authorized = true;
+        
+        // Snapshot files before they change so /undo can put them back
+        try {
+          await this.checkpointManager.snapshotForTool(toolCall.function.name, args);
+        } catch (error) {
+          this.addMessage('system', colors.warning(`⚠️ Checkpoint failed (${error.message}) - /undo won't cover this change`));
+        }
+        
         let result = '';
         let retries = 0;
         const maxRetries = 2;
@@ -2146,8 +3508,6 @@ ABSOLUTE REQUIREMENTS:
             // Handle built-in tools
             if (toolCall.function.name === 'execute_bash') {
               result = await this.executeBashCommand(args.command);
-            } else if (toolCall.function.name === 'web_search') {
-              result = `Web search for "${args.query}" would be performed here`;
             } else {
               // Use modular tool registry for all other tools
               result = await this.toolRegistry.executeTool(toolCall.function.name, args);
@@ -2156,12 +3516,11 @@ ABSOLUTE REQUIREMENTS:
             // Success - break retry loop
             break;
           } catch (toolError) {
+            // A process killed by Esc isn't worth retrying
+            if (this.isCancelled()) throw toolError;
             retries++;
             if (retries > maxRetries) {
-              // Max retries reached, try to recover (suppress message during orchestration)
-              if (!this.isOrchestrationMode) {
-                this.addMessage('system', colors.warning(`⚠️ Tool failed, attempting smart recovery...`));
-              }
+              this.addMessage('system', colors.warning(`⚠️ Tool failed, attempting smart recovery...`));
               
               // Smart recovery based on error type and tool
               if (toolCall.function.name === 'write_file' || toolCall.function.name === 'create_file') {
@@ -2170,19 +3529,18 @@ ABSOLUTE REQUIREMENTS:
                 const dir = path.dirname(args.filename || args.path);
                 if (dir && dir !== '.') {
                   try {
-                    await this.executeBashCommand(`mkdir -p ${dir}`);
+                    await execFileAsync('mkdir', ['-p', '--', dir]);
                     this.addMessage('system', colors.success(`✅ Created directory: ${dir}`));
                   } catch (e) {
                     // Directory creation failed, but continue anyway
                   }
                 }
                 
-                // Try bash echo as fallback
+                // Try tee as fallback - the content goes in on stdin, never through a shell
                 try {
                   const filename = args.filename || args.path;
-                  const content = (args.content || '').replace(/'/g, "'\\''");
-                  await this.executeBashCommand(`echo '${content}' > ${filename}`);
-                  result = { output: `✅ File created via bash: ${filename}` };
+                  await execFileAsync('tee', ['--', filename], { input: `${args.content || ''}\n` });
+                  result = { output: `✅ File created via tee: ${filename}` };
                 } catch (e) {
                   // Last resort - basic file write
                   const fs = require('fs').promises;
@@ -2192,16 +3550,16 @@ ABSOLUTE REQUIREMENTS:
               } else if (toolCall.function.name === 'read_file') {
                 // Try bash cat as fallback
                 try {
-                  const output = await this.executeBashCommand(`cat ${args.filename}`);
-                  result = { output };
+                  const { stdout } = await execFileAsync('cat', ['--', args.filename]);
+                  result = { output: stdout.trim() };
                 } catch (e) {
                   throw toolError;
                 }
               } else if (toolCall.function.name === 'list_files') {
                 // Try bash ls as fallback
                 try {
-                  const output = await this.executeBashCommand(`ls -la ${args.directory || '.'}`);
-                  result = { output };
+                  const { stdout } = await execFileAsync('ls', ['-la', '--', args.directory || '.']);
+                  result = { output: stdout.trim() };
                 } catch (e) {
                   throw toolError;
                 }
@@ -2222,12 +3580,11 @@ ABSOLUTE REQUIREMENTS:
           // Handle object results from tools
           if (typeof result === 'object') {
             if (result.output) {
-              displayMessage = result.output;
+              // Tools can show the user something richer than what the model reads (e.g. a table)
+              displayMessage = result.display || result.output;
             } else if (result.error) {
-              // Suppress errors during orchestration for cleaner output
-              if (!this.isOrchestrationMode) {
-                this.addMessage('error', result.error);
-              }
+              this.addMessage('error', result.error);
+              await recordResult(toolCall, result, undefined, args);
               return;
             } else {
               // Fallback for other objects
@@ -2238,18 +3595,27 @@ ABSOLUTE REQUIREMENTS:
             displayMessage = String(result);
           }
           
-          // Smart display for very long outputs
-          displayMessage = this.formatLongOutput(displayMessage);
+          // The pinned panel shows the plan - keep the chat to one line
+          if (toolCall.function.name === 'todo_write') {
+            const { completed, total } = this.todoTools.getProgress();
+            displayMessage = `📋 Plan updated (${completed}/${total} completed)`;
+          }
+          
+          // Smart display for very long outputs - edit diffs are already cut to size
+          if (!(typeof result === 'object' && result.diff)) {
+            displayMessage = this.formatLongOutput(displayMessage);
+          }
           
           this.addMessage('tool', colors.success(displayMessage));
         } else {
           this.addMessage('tool', colors.warning('Tool executed but returned no output'));
         }
+        await recordResult(toolCall, result, undefined, args);
         // Don't render inside loop
         
       } catch (error) {
         // Try ToolForge if enabled and it looks like a missing tool
-        if (this.toolForgeEnabled && this.toolForge.enabled) {
+        if (authorized && this.toolForgeEnabled && this.toolForge.enabled && !this.isCancelled()) {
           const shouldRetry = await this.toolForge.handleToolError(error, {
             toolCall,
             input: this.messages[this.messages.length - 1]
@@ -2258,43 +3624,154 @@ ABSOLUTE REQUIREMENTS:
           if (shouldRetry) {
             // Retry the tool call with the newly forged tool
             this.addMessage('system', colors.dim('🔄 Retrying with forged tool...'));
-            // Re-execute the same tool with same args
+            // Re-execute with the arguments the hooks and the permission check approved
             try {
-              const result = await this.toolRegistry.executeTool(toolCall.function.name, JSON.parse(toolCall.function.arguments));
-              let displayMessage = typeof result === 'object' ? (result.output || JSON.stringify(result, null, 2)) : String(result);
+              const result = await this.toolRegistry.executeTool(toolCall.function.name, args);
+              let displayMessage = typeof result === 'object' ? (result.display || result.output || JSON.stringify(result, null, 2)) : String(result);
               displayMessage = this.formatLongOutput(displayMessage);
               this.addMessage('tool', colors.success(displayMessage));
-              continue; // Skip the error message below
+              await recordResult(toolCall, result, undefined, args);
+              return; // Skip the error message below
             } catch (retryError) {
               // Forged tool still failed
-              if (!this.isOrchestrationMode) {
-                this.addMessage('error', `Forged tool failed: ${retryError.message}`);
-              }
+              this.addMessage('error', `Forged tool failed: ${retryError.message}`);
             }
           }
         }
         
-        // Suppress tool errors during orchestration
-        if (!this.isOrchestrationMode) {
-          this.addMessage('error', `${error.message}`);
-        }
+        // Killed by Esc - tell the model why rather than the raw signal error
+        const message = this.isCancelled() ? 'Cancelled by the user while it was running' : error.message;
+        this.addMessage('error', `${message}`);
+        await recordResult(toolCall, { error: message }, true, args);
         // Don't render inside loop
       }
-    }
+    };
+    
+    // Independent calls run side by side; calls touching the same files keep the model's order
+    await Promise.all(toolCalls.map(toolCall => {
+      let args = null;
+      try {
+        args = JSON.parse(toolCall.function.arguments);
+      } catch {
+        // runCall reports the bad arguments
+      }
+      return this.toolScheduler.run(this.toolScheduler.describe(toolCall.function.name, args), () => runCall(toolCall));
+    }));
     // Single render after all tools complete
     this.render();
+    return results;
+  }
+  
+  /**
+   * Resolve the permission decision for a tool call, prompting the user on 'ask'
+   */
+  async authorizeToolCall(toolName, args) {
+    const decision = await this.permissionManager.checkPermission(toolName, args);
+    
+    if (decision === 'allow') {
+      return { allowed: true };
+    }
+    if (decision === 'deny') {
+      return { allowed: false, reason: 'denied by permission rules' };
+    }
+    
+    // Nobody to ask when headless - only tools approved with --allowed-tools run
+    if (this.headless) {
+      return this.allowedTools.includes(toolName) ?
+        { allowed: true } :
+        { allowed: false, reason: 'needs approval - pass it with --allowed-tools' };
+    }
+    
+    // One prompt at a time - an "always" answer to an earlier prompt may already cover this call
+    const turn = this.permissionQueue.then(async () => {
+      const current = await this.permissionManager.checkPermission(toolName, args);
+      if (current !== 'ask') {
+        return current === 'allow' ? { allowed: true } : { allowed: false, reason: 'denied by permission rules' };
+      }
+      
+      const description = this.permissionManager.formatPermissionRequest(toolName, args);
+      const answer = await this.promptForPermission(toolName, args, description);
+      
+      if (answer.remember) {
+        await this.permissionManager.addPermission(
+          toolName,
+          answer.allow ? 'allow' : 'deny',
+          null,
+          answer.duration
+        );
+      }
+      
+      return answer.allow ? { allowed: true } : { allowed: false, reason: 'denied by the user' };
+    });
+    this.permissionQueue = turn.catch(() => {});
+    return turn;
+  }
+  
+  /**
+   * Show the interactive permission prompt with TUI rendering suspended
+   */
+  async promptForPermission(toolName, args, description) {
+    const wasSpinning = !!this.spinnerInterval;
+    this.stopSpinner();
+    this.awaitingPermission = true;
+    
+    try {
+      return await this.permissionPrompt.requestPermission(toolName, args, description);
+    } finally {
+      this.awaitingPermission = false;
+      if (wasSpinning) {
+        this.startSpinner();
+      }
+      // The prompt drew over the screen - repaint everything
+      this.render(true);
+    }
+  }
+  
+  /**
+   * Convert a raw tool result into the text the model sees in a tool message
+   */
+  formatToolResultForModel(result) {
+    let text;
+    if (result === null || result === undefined) {
+      text = 'Tool executed but returned no output';
+    } else if (typeof result === 'object') {
+      if (result.output) {
+        text = result.output;
+      } else if (result.error) {
+        text = `Error: ${result.error}`;
+      } else {
+        text = JSON.stringify(result, null, 2);
+      }
+    } else {
+      text = String(result);
+    }
+    
+    text = stripAnsi(text);
+    if (text.length > this.maxToolResultChars) {
+      const omitted = text.length - this.maxToolResultChars;
+      text = text.substring(0, this.maxToolResultChars) + `\n\n[... ${omitted} more characters truncated]`;
+    }
+    return text;
   }
   
+  /**
+   * Models using the JSON fallback have no tool_call ids, so results go back as a user turn
+   */
+  formatToolResultsAsText(results) {
+    const blocks = results.map(r => `[Result of ${r.name}]\n${r.content}`);
+    return `${blocks.join('\n\n')}\n\nContinue the task using these results. If the task is complete, reply with your final answer and no tool JSON.`;
+  }
+  
+  
   async executeBashCommand(command) {
     return new Promise((resolve, reject) => {
-      const { exec } = require('child_process');
       // Increase buffer size to 10MB for large outputs
       const options = {
         maxBuffer: 10 * 1024 * 1024, // 10MB buffer
         timeout: 30000 // 30 second timeout
       };
       
-      exec(command, options, (error, stdout, stderr) => {
+      execTracked(command, options, (error, stdout, stderr) => {
         if (error) {
           // Handle buffer overflow gracefully
           if (error.message.includes('maxBuffer')) {
@@ -2500,25 +3977,58 @@ ABSOLUTE REQUIREMENTS:
     console.log(colors.primary.bold('\n        Thank you for using OrionCLI! 👋\n'));
     console.log(colors.dim('        May your code be bug-free and your'));
     console.log(colors.dim('        deployments always successful! 🚀\n'));
-    process.exit(0);
+    
+    // Run SessionEnd hooks, then let pending session writes land and MCP servers stop
+    this.hooksManager.runHook('SessionEnd', { sessionId: this.sessionManager.sessionId })
+      .catch(() => {})
+      .then(() => Promise.all([this.sessionManager.flush(), this.mcpManager.shutdown()]))
+      .then(() => process.exit(0));
   }
 }
 
-// Check environment
-if (!process.env.ORION_DEFAULT_KEY && !process.env.ORION_O3_KEY) {
+// Check environment - at least one registered model needs an endpoint and credentials
+const startupRegistry = new ModelRegistry();
+if (!startupRegistry.getModelNames().some(name => startupRegistry.isAvailable(name))) {
   console.error(colors.error(`
-❌ No API keys found!
+❌ No models configured!
 
 Please create a .env file with:
+  ORION_DEFAULT_ENDPOINT=https://your-resource.openai.azure.com
   ORION_DEFAULT_KEY=your_azure_key_here
-  ORION_O3_KEY=your_o3_key_here
+
+or configure models in ~/.orion/models.json
 `));
   process.exit(1);
 }
 
 // Start CLI
-const cli = new OrionCLI();
-cli.start().catch(error => {
-  console.error(colors.error('Failed to start:'), error);
-  process.exit(1);
-});
\ No newline at end of file
+const argv = minimist(process.argv.slice(2), {
+  boolean: ['continue'],
+  string: ['resume', 'print', 'output-format', 'model', 'max-turns', 'allowed-tools'],
+  alias: { c: 'continue', r: 'resume', p: 'print' },
+  default: { 'output-format': 'text' }
+});
+
+if (argv.print !== undefined) {
+  // Headless: orion -p "prompt" (or pipe the prompt on stdin)
+  const cli = new OrionCLI({ headless: true });
+  const runner = new HeadlessRunner(cli, {
+    prompt: [argv.print, ...argv._].filter(Boolean).join(' '),
+    outputFormat: argv['output-format'],
+    model: argv.model,
+    maxTurns: argv['max-turns'],
+    allowedTools: (argv['allowed-tools'] || '').split(',').map(t => t.trim()).filter(Boolean),
+    continueSession: argv.continue,
+    resumeId: argv.resume
+  });
+  runner.run().then(code => process.exit(code)).catch(error => {
+    console.error(colors.error('Headless run failed:'), error);
+    process.exit(HeadlessRunner.EXIT_CODES.ERROR);
+  });
+} else {
+  const cli = new OrionCLI();
+  cli.start({ continueSession: argv.continue, resumeId: argv.resume }).catch(error => {
+    console.error(colors.error('Failed to start:'), error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Checkpoint Manager - Snapshots files before the first mutation in each turn
+ * Stored under <project>/.orion/checkpoints/<id>/ so undo works without git
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files a mutating tool is about to touch, from its arguments
+const MUTATING_TOOLS = {
+  write_file: args => [args.filename],
+  edit_file: args => [args.filename],
+  update_file: args => [args.filename],
+  delete_file: args => [args.filename],
+  str_replace_editor: args => [args.path],
+  multi_edit: args => [args.path],
+  replace_lines: args => [args.path],
+  insert_at_line: args => [args.path],
+  create_file: args => [args.path],
+  base64_decode: args => [args.output_file],
+  bulk_rename: args => {
+    if (args.dry_run) return [];
+    const directory = args.directory || '.';
+    let regex;
+    try {
+      regex = new RegExp(args.pattern);
+    } catch {
+      return [];
+    }
+    // Both the old names (content) and the new names (so restore removes them)
+    const paths = [];
+    for (const file of fsSync.readdirSync(directory)) {
+      if (regex.test(file)) {
+        paths.push(path.join(directory, file), path.join(directory, file.replace(regex, args.rename_pattern)));
+      }
+    }
+    return paths;
+  }
+};
+
+class CheckpointManager {
+  constructor(options = {}) {
+    this.checkpointsDir = options.checkpointsDir || path.join(process.cwd(), '.orion', 'checkpoints');
+    this.maxCheckpoints = parseInt(process.env.ORION_MAX_CHECKPOINTS, 10) || 50;
+    this.maxFileBytes = 5 * 1024 * 1024; // Larger files are recorded but not copied
+    this.currentTurn = null;
+  }
+
+  generateId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  isMutatingTool(toolName) {
+    return Object.prototype.hasOwnProperty.call(MUTATING_TOOLS, toolName);
+  }
+
+  /**
+   * Start a turn - nothing is written until the first file is snapshotted
+   */
+  beginTurn(label, meta = {}) {
+    this.currentTurn = this.createTurn(label, meta);
+  }
+
+  createTurn(label, meta = {}) {
+    return {
+      id: null,
+      label: (label || '').split('\n')[0].slice(0, 80),
+      meta,
+      files: new Map(), // absolute path -> snapshot entry
+      written: Promise.resolve() // Manifest writes, chained so parallel tool calls don't interleave
+    };
+  }
+
+  endTurn() {
+    this.currentTurn = null;
+  }
+
+  /**
+   * Snapshot the files a tool call is about to change (once per file per turn)
+   */
+  async snapshotForTool(toolName, args) {
+    if (!this.isMutatingTool(toolName)) return [];
+
+    let paths;
+    try {
+      paths = MUTATING_TOOLS[toolName](args || {}).filter(Boolean);
+    } catch {
+      paths = [];
+    }
+
+    // Calls outside a turn (e.g. slash commands) get their own checkpoint
+    const turn = this.currentTurn || this.createTurn(`${toolName} (manual)`);
+    const added = [];
+    for (const filePath of paths) {
+      if (await this.snapshotFile(filePath, turn)) {
+        added.push(filePath);
+      }
+    }
+    return added;
+  }
+
+  async snapshotFile(filePath, turn = this.currentTurn) {
+    const absolute = path.resolve(filePath);
+    if (turn.files.has(absolute)) return false;
+
+    // Claim the entry and blob name before the first await - tool calls can snapshot in parallel
+    const entry = { path: absolute, existed: false };
+    const blob = String(turn.files.size);
+    turn.files.set(absolute, entry);
+
+    if (!turn.id) {
+      turn.id = this.generateId();
+      turn.created = new Date().toISOString();
+      turn.ready = fs.mkdir(path.join(this.checkpointsDir, turn.id, 'files'), { recursive: true })
+        .then(() => this.ensureIgnored());
+    }
+    await turn.ready;
+
+    let stat = null;
+    try {
+      stat = await fs.stat(absolute);
+    } catch {
+      // Doesn't exist yet - restoring removes it
+    }
+
+    if (stat && stat.isFile()) {
+      entry.existed = true;
+      entry.mode = stat.mode;
+      if (stat.size > this.maxFileBytes) {
+        entry.skipped = `larger than ${Math.round(this.maxFileBytes / 1024 / 1024)}MB`;
+      } else {
+        await fs.copyFile(absolute, path.join(this.checkpointsDir, turn.id, 'files', blob));
+        entry.blob = blob;
+      }
+    } else if (stat) {
+      entry.existed = true;
+      entry.skipped = 'not a regular file';
+    }
+
+    await this.writeManifest(turn);
+    return true;
+  }
+
+  writeManifest(turn) {
+    turn.written = turn.written.catch(() => {}).then(async () => {
+      const manifest = {
+        id: turn.id,
+        label: turn.label,
+        created: turn.created,
+        ...turn.meta,
+        files: [...turn.files.values()]
+      };
+      await fs.writeFile(path.join(this.checkpointsDir, turn.id, 'manifest.json'), JSON.stringify(manifest, null, 2));
+      await this.prune();
+    });
+    return turn.written;
+  }
+
+  /**
+   * Checkpoints are local state - keep them out of git even if .orion is committed
+   */
+  async ensureIgnored() {
+    const ignoreFile = path.join(this.checkpointsDir, '.gitignore');
+    if (!fsSync.existsSync(ignoreFile)) {
+      await fs.writeFile(ignoreFile, '*\n');
+    }
+  }
+
+  /**
+   * All checkpoints, newest first
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.checkpointsDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const checkpoints = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(this.checkpointsDir, entry.name, 'manifest.json'), 'utf8'));
+        checkpoints.push(manifest);
+      } catch {
+        // Incomplete checkpoint - ignore it
+      }
+    }
+    // Ids only have second resolution, so order by creation time
+    return checkpoints.sort((a, b) => b.created.localeCompare(a.created) || b.id.localeCompare(a.id));
+  }
+
+  async prune() {
+    const checkpoints = await this.list();
+    for (const checkpoint of checkpoints.slice(this.maxCheckpoints)) {
+      await this.remove(checkpoint.id);
+    }
+  }
+
+  async remove(id) {
+    await fs.rm(path.join(this.checkpointsDir, id), { recursive: true, force: true });
+  }
+
+  async find(idOrPrefix) {
+    const checkpoints = await this.list();
+    const matches = checkpoints.filter(c => c.id === idOrPrefix || c.id.startsWith(idOrPrefix));
+    if (matches.length === 0) {
+      throw new Error(`Checkpoint '${idOrPrefix}' not found`);
+    }
+    if (matches.length > 1 && !matches.some(c => c.id === idOrPrefix)) {
+      throw new Error(`Checkpoint id '${idOrPrefix}' is ambiguous (${matches.length} matches)`);
+    }
+    return matches.find(c => c.id === idOrPrefix) || matches[0];
+  }
+
+  /**
+   * Put every file in a checkpoint back the way it was before its turn
+   */
+  async applyCheckpoint(checkpoint) {
+    const restored = [];
+    const skipped = [];
+
+    for (const entry of checkpoint.files) {
+      if (entry.skipped) {
+        skipped.push(`${entry.path} (${entry.skipped})`);
+        continue;
+      }
+      if (entry.existed) {
+        await fs.mkdir(path.dirname(entry.path), { recursive: true });
+        await fs.copyFile(path.join(this.checkpointsDir, checkpoint.id, 'files', entry.blob), entry.path);
+        if (entry.mode) {
+          await fs.chmod(entry.path, entry.mode & 0o7777).catch(() => {});
+        }
+      } else {
+        await fs.rm(entry.path, { force: true });
+      }
+      restored.push(entry.path);
+    }
+    return { restored, skipped };
+  }
+
+  /**
+   * Revert the most recent checkpoint and drop it
+   */
+  async undo() {
+    const [latest] = await this.list();
+    if (!latest) return null;
+
+    const result = await this.applyCheckpoint(latest);
+    await this.remove(latest.id);
+    return { checkpoint: latest, ...result };
+  }
+
+  /**
+   * Rewind to the state before checkpoint <id>, reverting every newer checkpoint too.
+   * The current state is saved first, so the restore itself can be undone.
+   */
+  async restore(idOrPrefix) {
+    const target = await this.find(idOrPrefix);
+    const checkpoints = await this.list();
+    const toRevert = checkpoints.slice(0, checkpoints.findIndex(c => c.id === target.id) + 1); // Newest first
+
+    const safetyLabel = `before /restore ${target.id}`;
+    const touched = [...new Set(toRevert.flatMap(c => c.files.map(f => f.path)))];
+    const safety = this.createTurn(safetyLabel, { kind: 'restore' });
+    for (const filePath of touched) {
+      await this.snapshotFile(filePath, safety);
+    }
+
+    const restored = new Set();
+    const skipped = new Set();
+    for (const checkpoint of toRevert) {
+      const result = await this.applyCheckpoint(checkpoint);
+      result.restored.forEach(p => restored.add(p));
+      result.skipped.forEach(p => skipped.add(p));
+      await this.remove(checkpoint.id);
+    }
+
+    return { checkpoint: target, reverted: toRevert.length, restored: [...restored], skipped: [...skipped] };
+  }
+}
+
+module.exports = CheckpointManager;
+module.exports.MUTATING_TOOLS = MUTATING_TOOLS;
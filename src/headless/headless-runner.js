@@ -0,0 +1,245 @@
+/**
+ * Headless Runner - Non-interactive `orion -p "prompt"` for scripts and CI
+ * Runs a single prompt through the agentic loop and prints the result
+ */
+
+const fs = require('fs');
+const stripAnsi = require('strip-ansi');
+
+const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+
+// Exit codes scripts can rely on
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,        // API/model error or no answer produced
+  USAGE: 2,        // Bad flags, unknown or unconfigured model, empty prompt
+  TOOL_FAILURE: 3, // The run finished but one or more tool calls failed or were denied
+  STOPPED: 4       // Stopped before finishing: --max-turns or the budget ran out
+};
+
+// How each early stop is explained on stderr and in the JSON result
+const STOP_HINTS = {
+  'max-turns': 'raise --max-turns (or ORION_MAX_TOOL_ITERATIONS) to let it finish',
+  budget: 'raise ORION_BUDGET_USD or set ORION_BUDGET_MODE=warn'
+};
+
+class HeadlessRunner {
+  constructor(cli, options = {}) {
+    this.cli = cli;
+    this.options = {
+      prompt: '',
+      outputFormat: 'text',
+      model: null,
+      maxTurns: null,
+      allowedTools: [],
+      continueSession: false,
+      resumeId: null,
+      ...options
+    };
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.toolResults = [];
+    this.answers = [];
+  }
+
+  /**
+   * Read piped or redirected stdin (empty for a terminal or an inherited, never-closing stdin)
+   */
+  async readStdin(stdin = process.stdin) {
+    if (stdin.isTTY) return '';
+    try {
+      const stat = fs.fstatSync(0);
+      if (!stat.isFIFO() && !stat.isFile()) return '';
+    } catch {
+      return '';
+    }
+
+    let data = '';
+    stdin.setEncoding('utf8');
+    for await (const chunk of stdin) {
+      data += chunk;
+    }
+    return data.trim();
+  }
+
+  /**
+   * Argv prompt first, piped input appended as context
+   */
+  async resolvePrompt() {
+    const piped = await this.readStdin();
+    const prompt = (this.options.prompt || '').trim();
+    if (prompt && piped) {
+      return `${prompt}\n\n${piped}`;
+    }
+    return prompt || piped;
+  }
+
+  write(line) {
+    this.stdout.write(line + '\n');
+  }
+
+  emit(event) {
+    if (this.options.outputFormat === 'stream-json') {
+      this.write(JSON.stringify(event));
+    }
+  }
+
+  usageError(message) {
+    this.stderr.write(`orion: ${message}\n`);
+    this.stderr.write('Usage: orion -p "prompt" [--output-format text|json|stream-json] [--model <name>] [--max-turns <n>] [--allowed-tools a,b] [--continue | --resume <id>]\n');
+    return EXIT_CODES.USAGE;
+  }
+
+  /**
+   * Apply flags to the CLI instance - returns an error message or null
+   */
+  async configure() {
+    const { cli, options } = this;
+
+    if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+      return `unknown output format '${options.outputFormat}' (expected ${OUTPUT_FORMATS.join(', ')})`;
+    }
+
+    if (options.maxTurns !== null && options.maxTurns !== undefined) {
+      const maxTurns = parseInt(options.maxTurns, 10);
+      if (!(maxTurns > 0)) {
+        return `--max-turns must be a positive number, got '${options.maxTurns}'`;
+      }
+      cli.maxToolIterations = maxTurns;
+    }
+
+    cli.allowedTools = options.allowedTools;
+
+    if (options.resumeId) {
+      await cli.resumeSession(options.resumeId);
+    } else if (options.continueSession) {
+      await cli.resumeSession();
+    }
+
+    if (options.model) {
+      if (!cli.modelRegistry.has(options.model)) {
+        return `unknown model '${options.model}' (available: ${cli.modelRegistry.getModelNames().join(', ')})`;
+      }
+      cli.config = cli.loadConfig(options.model);
+      cli.config.autoRoute = false; // An explicit --model is never routed away from
+      cli.client = null;
+    }
+
+    // The CLI leaves the client to us (a resumed session may have made one) -
+    // checked here because createClient exits the process on a missing setting
+    if (!cli.client) {
+      const missing = cli.modelRegistry.missingSetting(cli.config.model);
+      if (missing) {
+        return `${cli.config.model} isn't configured: ${missing}`;
+      }
+      cli.client = cli.createClient();
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the prompt and return the process exit code
+   */
+  async run() {
+    const { cli, options } = this;
+
+    const configError = await this.configure();
+    if (configError) {
+      return this.usageError(configError);
+    }
+
+    const prompt = await this.resolvePrompt();
+    if (!prompt) {
+      return this.usageError('no prompt given (pass -p "prompt" or pipe it on stdin)');
+    }
+
+    cli.onMessage = message => {
+      if (message.type === 'assistant') {
+        this.answers.push(message.raw);
+      }
+      this.emit({ type: message.type, content: stripAnsi(message.raw) });
+    };
+    cli.onToolResult = record => {
+      this.toolResults.push(record);
+      this.emit({ type: 'tool_result', tool: record.name, id: record.id, is_error: record.isError, content: record.content });
+    };
+
+    // Keep stdout machine-readable - stray logging from deeper modules goes to stderr
+    const originalLog = console.log;
+    console.log = console.error;
+    try {
+      cli.lastError = null;
+      await cli.connectMCPServers();
+      await cli.runSessionStartHooks(options.resumeId || options.continueSession ? 'resume' : 'startup');
+      await cli.processWithAI(prompt);
+      await cli.sessionManager.flush();
+    } finally {
+      console.log = originalLog;
+      await cli.hooksManager.runHook('SessionEnd', { sessionId: cli.sessionManager.sessionId }).catch(() => {});
+      await cli.mcpManager.shutdown();
+    }
+
+    return this.report();
+  }
+
+  /**
+   * Print the final result in the requested format
+   */
+  report() {
+    const { cli } = this;
+    const failedTools = this.toolResults.filter(r => r.isError);
+    const result = this.answers.join('\n\n');
+
+    let exitCode = EXIT_CODES.SUCCESS;
+    let error = null;
+    if (cli.lastError && cli.lastError.stopReason) {
+      exitCode = EXIT_CODES.STOPPED;
+      error = `${cli.lastError.message} - ${STOP_HINTS[cli.lastError.stopReason]}`;
+    } else if (cli.lastError) {
+      exitCode = EXIT_CODES.ERROR;
+      error = cli.lastError.message;
+    } else if (!result) {
+      exitCode = EXIT_CODES.ERROR;
+      error = 'no answer was produced';
+    } else if (failedTools.length > 0) {
+      exitCode = EXIT_CODES.TOOL_FAILURE;
+      error = `${failedTools.length} tool call(s) failed: ${[...new Set(failedTools.map(r => r.name))].join(', ')}`;
+    }
+
+    if (this.options.outputFormat === 'text') {
+      if (result) {
+        this.write(result);
+      }
+      if (error) {
+        this.stderr.write(`orion: ${error}\n`);
+      }
+      return exitCode;
+    }
+
+    const summary = {
+      type: 'result',
+      is_error: exitCode !== EXIT_CODES.SUCCESS,
+      exit_code: exitCode,
+      result,
+      error,
+      model: cli.config.model,
+      session_id: cli.sessionManager.sessionId,
+      tool_calls: this.toolResults.map(r => ({ tool: r.name, id: r.id, is_error: r.isError })),
+      usage: {
+        api_calls: cli.usageTracker.turn.calls,
+        input_tokens: cli.usageTracker.turn.promptTokens,
+        cached_input_tokens: cli.usageTracker.turn.cachedTokens,
+        output_tokens: cli.usageTracker.turn.completionTokens,
+        reasoning_tokens: cli.usageTracker.turn.reasoningTokens
+      },
+      total_cost_usd: Number(cli.usageTracker.turn.cost.toFixed(6))
+    };
+    this.write(this.options.outputFormat === 'json' ? JSON.stringify(summary, null, 2) : JSON.stringify(summary));
+    return exitCode;
+  }
+}
+
+module.exports = HeadlessRunner;
+module.exports.EXIT_CODES = EXIT_CODES;
+module.exports.OUTPUT_FORMATS = OUTPUT_FORMATS;
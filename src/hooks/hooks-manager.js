@@ -0,0 +1,233 @@
+/**
+ * Hooks Manager - JS port of manager.ts for the running CLI
+ * Runs user-defined shell commands at lifecycle events. Each hook gets the event
+ * payload as JSON in ORION_HOOK_DATA (and on stdin); a non-zero exit blocks.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { isTrustedProject, isProjectFile, untrustedNote } = require('../permissions/project-trust');
+
+const HOOK_EVENTS = ['SessionStart', 'UserPromptSubmit', 'PreToolUse', 'PostToolUse', 'Stop', 'SessionEnd'];
+
+class HooksManager {
+  constructor(options = {}) {
+    this.hooksDir = options.hooksDir || path.join(process.cwd(), '.orion', 'hooks');
+    this.settingsFiles = options.settingsFiles || [
+      path.join(os.homedir(), '.orion', 'settings.json'),
+      path.join(process.cwd(), '.orion', 'settings.json')
+    ];
+    this.hooks = new Map(); // event -> [{ name, command, matcher, timeout, source }]
+    this.errors = [];
+    this.loadHooks();
+  }
+
+  /**
+   * (Re)load hooks from the settings files and .orion/hooks/*.json - the
+   * project's own hooks only when the project is trusted
+   */
+  loadHooks() {
+    this.hooks = new Map();
+    this.errors = [];
+    const trusted = isTrustedProject();
+
+    // Settings: { "hooks": { "PreToolUse": [{ "name": ..., "command": ..., "matcher": ... }] } }
+    for (const file of this.settingsFiles) {
+      const settings = this.readJson(file);
+      if (!settings || !settings.hooks) continue;
+      if (!trusted && isProjectFile(file)) {
+        this.errors.push(untrustedNote(file, 'its hooks'));
+        continue;
+      }
+      for (const [event, hooks] of Object.entries(settings.hooks)) {
+        for (const hook of [].concat(hooks)) {
+          this.addHook(event, hook, file);
+        }
+      }
+    }
+
+    // Hook files: <Event>.json, or any name with an "event" field - one hook or an array
+    let files = [];
+    try {
+      files = fs.readdirSync(this.hooksDir).filter(f => f.endsWith('.json')).sort();
+    } catch {
+      // No hooks directory - that's ok
+    }
+    if (files.length > 0 && !trusted && isProjectFile(this.hooksDir)) {
+      this.errors.push(untrustedNote(this.hooksDir, `${files.length} hook file(s)`));
+      files = [];
+    }
+    for (const file of files) {
+      const hookPath = path.join(this.hooksDir, file);
+      const content = this.readJson(hookPath);
+      if (!content) continue;
+      for (const hook of [].concat(content)) {
+        this.addHook(hook.event || path.basename(file, '.json'), hook, hookPath);
+      }
+    }
+  }
+
+  readJson(file) {
+    try {
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      this.errors.push(`${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  addHook(event, hook, source) {
+    if (!HOOK_EVENTS.includes(event)) {
+      this.errors.push(`${source}: unknown hook event '${event}' (expected ${HOOK_EVENTS.join(', ')})`);
+      return;
+    }
+    if (!hook || !hook.command) {
+      this.errors.push(`${source}: ${event} hook is missing a command`);
+      return;
+    }
+
+    const hooks = this.hooks.get(event) || [];
+    hooks.push({
+      name: hook.name || path.basename(source),
+      command: hook.command,
+      matcher: hook.matcher || null, // Regex on the tool name (tool events only)
+      timeout: hook.timeout || 5000,
+      source
+    });
+    this.hooks.set(event, hooks);
+  }
+
+  getHooks(event, toolName) {
+    return (this.hooks.get(event) || []).filter(hook => {
+      if (!hook.matcher || !toolName) return true;
+      try {
+        return new RegExp(`^(?:${hook.matcher})$`).test(toolName);
+      } catch {
+        return hook.matcher === toolName;
+      }
+    });
+  }
+
+  hasHooks(event) {
+    return (this.hooks.get(event) || []).length > 0;
+  }
+
+  /**
+   * Run every hook for an event in order. Stops at the first block.
+   * Returns { blocked, hook, message, messages, modifiedPrompt, modifiedArgs, data } -
+   * messages holds output from hooks that did not block
+   */
+  async runHook(event, data = {}) {
+    const result = { blocked: false, messages: [] };
+    const payload = { event, cwd: process.cwd(), ...data };
+
+    for (const hook of this.getHooks(event, data.tool)) {
+      let hookResult;
+      try {
+        hookResult = await this.executeHook(hook, payload);
+      } catch (error) {
+        hookResult = { blocked: true, message: `Hook failed to run: ${error.message}` };
+      }
+
+      if (hookResult.blocked) {
+        result.blocked = true;
+        result.message = hookResult.message || `Blocked by hook ${hook.name}`;
+        result.hook = hook.name;
+        break;
+      }
+      if (hookResult.message) {
+        result.messages.push({ hook: hook.name, text: hookResult.message });
+      }
+
+      // Later hooks see earlier rewrites
+      if (hookResult.modifiedPrompt && event === 'UserPromptSubmit') {
+        payload.prompt = hookResult.modifiedPrompt;
+        result.modifiedPrompt = hookResult.modifiedPrompt;
+      }
+      if (hookResult.modifiedArgs && event === 'PreToolUse') {
+        payload.args = hookResult.modifiedArgs;
+        result.modifiedArgs = hookResult.modifiedArgs;
+      }
+      if (hookResult.data) {
+        result.data = { ...result.data, ...hookResult.data };
+      }
+    }
+
+    return result;
+  }
+
+  executeHook(hook, payload) {
+    return new Promise((resolve, reject) => {
+      const json = JSON.stringify(payload);
+      const child = spawn(hook.command, [], {
+        shell: true,
+        cwd: process.cwd(),
+        env: {
+          ...process.env,
+          ORION_HOOK_DATA: json,
+          ORION_HOOK_EVENT: payload.event,
+          ORION_HOOK_NAME: hook.name
+        }
+      });
+
+      let output = '';
+      let error = '';
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, hook.timeout);
+
+      child.stdout.on('data', chunk => { output += chunk.toString(); });
+      child.stderr.on('data', chunk => { error += chunk.toString(); });
+      child.stdin.on('error', () => {}); // Hooks that ignore stdin may close it early
+      child.stdin.end(json);
+
+      child.on('error', err => {
+        clearTimeout(timer);
+        reject(err);
+      });
+
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (timedOut) {
+          resolve({ blocked: true, message: `Hook ${hook.name} timed out after ${hook.timeout}ms` });
+        } else if (code !== 0) {
+          // Non-zero exit code means block
+          resolve({
+            blocked: true,
+            message: (error || output).trim() || `Hook ${hook.name} blocked with code ${code}`
+          });
+        } else {
+          resolve(this.parseOutput(output.trim(), payload.event));
+        }
+      });
+    });
+  }
+
+  /**
+   * JSON output is a HookResult; plain text rewrites the prompt on
+   * UserPromptSubmit and is shown as a message everywhere else
+   */
+  parseOutput(output, event) {
+    if (!output) return {};
+    try {
+      const parsed = JSON.parse(output);
+      if (parsed && typeof parsed === 'object') return parsed;
+    } catch {
+      // Plain text
+    }
+    return event === 'UserPromptSubmit' ? { modifiedPrompt: output } : { message: output };
+  }
+
+  getSummary() {
+    return HOOK_EVENTS.map(event => ({ event, hooks: this.hooks.get(event) || [] }))
+      .filter(entry => entry.hooks.length > 0);
+  }
+}
+
+module.exports = HooksManager;
+module.exports.HOOK_EVENTS = HOOK_EVENTS;
@@ -0,0 +1,196 @@
+/**
+ * Completion Provider - Tab completion for the input box
+ * Completes slash commands, @file paths (skipping .gitignore'd files), /model names
+ * and /forge-rollback tool names. Prefix matches rank first, then fuzzy matches.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadIgnoreRules, isIgnored } = require('../tools/ignore-rules');
+
+// Slash commands with the argument hint shown in the popup
+const SLASH_COMMANDS = {
+  help: '',
+  clear: '',
+  sessions: '',
+  resume: '[id]',
+  plan: '<task>',
+  undo: '',
+  checkpoints: '',
+  restore: '<id>',
+  models: '[reload]',
+  model: '<name>',
+  file: '<path>',
+  auto: '',
+  stream: '',
+  history: '',
+  context: '',
+  compact: '[focus]',
+  cost: '[budget <usd|off> [warn|stop]]',
+  tools: '',
+  permissions: '',
+  mcp: '[restart|tools]',
+  memory: '[add|edit]',
+  hooks: '[reload]',
+  forge: '',
+  'forge-list': '',
+  'forge-rollback': '<tool> [version]',
+  about: '',
+  exit: ''
+};
+
+const MAX_CANDIDATES = 50;
+
+class CompletionProvider {
+  /**
+   * options: { fuzzyScore(search, target), getModels(), getForgeTools(), cwd }
+   */
+  constructor(options = {}) {
+    this.fuzzyScore = options.fuzzyScore || ((search, target) => (target.includes(search) ? 1 : 0));
+    this.getModels = options.getModels || (() => []);
+    this.getForgeTools = options.getForgeTools || (async () => []);
+    this.cwd = options.cwd || process.cwd();
+  }
+
+  /**
+   * Candidates for the word before the cursor:
+   * { start, end, candidates: [{ value, label, hint }] } or null when nothing applies
+   */
+  async complete(input, cursor = input.length) {
+    const before = input.slice(0, cursor);
+
+    // /command - the whole input is the command so far
+    const command = before.match(/^\/([\w-]*)$/);
+    if (command) {
+      const names = Object.keys(SLASH_COMMANDS);
+      const candidates = this.rank(command[1], names).map(name => ({
+        value: `/${name}${SLASH_COMMANDS[name] ? ' ' : ''}`,
+        label: `/${name}`,
+        hint: SLASH_COMMANDS[name]
+      }));
+      return this.result(0, cursor, candidates);
+    }
+
+    // /command argument
+    const argument = before.match(/^\/([\w-]+)\s+(\S*)$/);
+    if (argument) {
+      const [, name, partial] = argument;
+      const start = cursor - partial.length;
+      if (name === 'model') {
+        return this.result(start, cursor, this.rank(partial, this.getModels()).map(value => ({ value, label: value })));
+      }
+      if (name === 'forge-rollback') {
+        let tools = [];
+        try {
+          tools = await this.getForgeTools();
+        } catch {
+          // ToolForge not ready - nothing to offer
+        }
+        return this.result(start, cursor, this.rank(partial, tools).map(value => ({ value, label: value })));
+      }
+      if (name === 'file') {
+        return this.result(start, cursor, await this.completePath(partial));
+      }
+      return null;
+    }
+
+    // @path anywhere in the prompt
+    const mention = before.match(/(?:^|\s)@(\S*)$/);
+    if (mention) {
+      const candidates = (await this.completePath(mention[1])).map(candidate => ({
+        ...candidate,
+        value: `@${candidate.value}`
+      }));
+      return this.result(cursor - mention[1].length - 1, cursor, candidates);
+    }
+
+    return null;
+  }
+
+  result(start, end, candidates) {
+    return candidates.length > 0 ? { start, end, candidates: candidates.slice(0, MAX_CANDIDATES) } : null;
+  }
+
+  /**
+   * Entries of the partial path's directory, relative to cwd. Directories end in '/'.
+   */
+  async completePath(partial) {
+    const slash = partial.lastIndexOf('/');
+    const dirPart = slash >= 0 ? partial.slice(0, slash + 1) : '';
+    const namePart = slash >= 0 ? partial.slice(slash + 1) : partial;
+    const directory = path.resolve(this.cwd, dirPart || '.');
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const rules = await loadIgnoreRules(this.cwd);
+    const names = new Map();
+    for (const entry of entries) {
+      // Hidden files only when asked for
+      if (entry.name.startsWith('.') && !namePart.startsWith('.')) continue;
+
+      const fullPath = path.join(directory, entry.name);
+      let isDir = entry.isDirectory();
+      if (entry.isSymbolicLink()) {
+        isDir = await fs.stat(fullPath).then(stat => stat.isDirectory(), () => false);
+      }
+      if (isIgnored(rules, this.cwd, fullPath, isDir)) continue;
+
+      names.set(entry.name, isDir);
+    }
+
+    return this.rank(namePart, [...names.keys()]).map(name => {
+      const suffix = names.get(name) ? '/' : '';
+      return { value: `${dirPart}${name}${suffix}`, label: `${name}${suffix}` };
+    });
+  }
+
+  /**
+   * Prefix matches first, then fuzzy matches (every character in order), shortest first
+   */
+  rank(partial, values) {
+    const search = partial.toLowerCase();
+    if (!search) {
+      return [...values].sort((a, b) => a.localeCompare(b));
+    }
+
+    const prefixed = [];
+    const fuzzy = [];
+    for (const value of values) {
+      const target = value.toLowerCase();
+      if (target.startsWith(search)) {
+        prefixed.push(value);
+      } else {
+        const score = this.fuzzyScore(search, target);
+        if (score >= 0.999) { // Every character found in order
+          fuzzy.push({ value, spread: target.length });
+        }
+      }
+    }
+    prefixed.sort((a, b) => a.length - b.length || a.localeCompare(b));
+    fuzzy.sort((a, b) => a.spread - b.spread || a.value.localeCompare(b.value));
+    return [...prefixed, ...fuzzy.map(match => match.value)];
+  }
+}
+
+/**
+ * Longest prefix shared by every value
+ */
+function commonPrefix(values) {
+  if (values.length === 0) return '';
+  let prefix = values[0];
+  for (const value of values.slice(1)) {
+    while (!value.startsWith(prefix)) {
+      prefix = prefix.slice(0, -1);
+    }
+  }
+  return prefix;
+}
+
+module.exports = CompletionProvider;
+module.exports.SLASH_COMMANDS = SLASH_COMMANDS;
+module.exports.commonPrefix = commonPrefix;
@@ -5,9 +5,35 @@
 
 const tiktoken = require('tiktoken');
 
+const SUMMARY_MARK = '[CONTEXT SUMMARY';
+const IMAGE_TOKENS = 765; // What a 1024x1024 image part costs at detail auto
+const TOOL_DIGEST_MARK = '[...compacted:';
+
+// Tool arguments that name a file worth pinning
+const FILE_ARGUMENTS = ['filename', 'path', 'file1', 'file2', 'source', 'destination'];
+
+const SUMMARY_INSTRUCTIONS = `You compact a coding session so it fits in the model's context window.
+Summarize the conversation for the assistant that will continue it. Reply in markdown with these sections:
+## Summary - what the user asked for, what was done and where things stand
+## Decisions - choices made and constraints agreed with the user
+## Open TODOs - work that is not finished yet
+## Files - paths that were created, read or changed, and why they matter
+Carry forward everything from an earlier summary that is still true. Keep exact names, paths,
+commands and error messages. Leave out pleasantries and tool output that no longer matters.
+Stay under 800 words.`;
+
+/**
+ * Text of a message's content - plain string, or the text parts of a multimodal array
+ */
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
 class ContextManager {
-  constructor() {
-    // Token limits for different models
+  constructor(options = {}) {
+    // Token limits for different models (overridden by the model registry when provided)
     this.modelLimits = {
       'gpt-5': 128000,       // 128K context
       'gpt-5-chat': 128000,  // 128K context
@@ -16,14 +42,24 @@ class ContextManager {
       'gpt-4o': 128000,      // 128K context
       'o4-mini': 128000      // 128K context
     };
+    if (options.modelRegistry) {
+      this.setModelLimits(options.modelRegistry.getModelLimits());
+    }
     
-    // Target context sizes
+    // Context budget - compaction is triggered from the model's own limit
     this.targets = {
-      maxContext: 1000000,        // 1M tokens target before compaction
-      compactTarget: 50000,       // 50K tokens after compaction
-      summaryChunkSize: 10000,    // Summarize every 10K tokens
-      keepRecentTokens: 20000,    // Always keep last 20K tokens intact
-      systemPromptReserve: 5000   // Reserve 5K for system prompt
+      outputReserve: 16000,       // Room kept free for the model's reply
+      systemPromptReserve: 8000,  // System prompt plus tool schemas, sent outside the history
+      compactThreshold: parseFloat(process.env.ORION_COMPACT_THRESHOLD) || 0.85, // Share of the history budget that triggers compaction
+      compactTarget: 0.5,         // Tool result compaction alone is enough below this share
+      keepRecentTokens: 20000,    // Always keep the last 20K tokens intact
+      toolResultTokens: 400,      // Older tool results above this are cut down to a digest
+      summaryChunkSize: 30000     // Older dialogue is summarized in segments of this size
+    };
+    
+    // Pinned across compactions: files touched so far
+    this.pinned = {
+      files: []
     };
     
     // Conversation segments for intelligent compression
@@ -39,7 +75,8 @@ class ContextManager {
     this.stats = {
       totalTokensProcessed: 0,
       compactionCount: 0,
-      currentContextSize: 0
+      currentContextSize: 0,
+      lastCompaction: null
     };
     
     // Initialize tokenizer (using cl100k_base encoding)
@@ -71,132 +108,298 @@ class ContextManager {
       // Each message has overhead: role (1 token) + content + formatting (~4 tokens)
       total += 5; // Message overhead
       total += this.countTokens(msg.role);
-      total += this.countTokens(msg.content || '');
+      total += this.countTokens(messageText(msg.content));
+      if (Array.isArray(msg.content)) {
+        total += msg.content.filter(part => part.type === 'image_url').length * IMAGE_TOKENS;
+      }
       
       // Tool calls have additional overhead
       if (msg.tool_calls) {
         total += msg.tool_calls.length * 10; // Approximate tool call overhead
+        for (const call of msg.tool_calls) {
+          total += this.countTokens((call.function && call.function.arguments) || '');
+        }
       }
     }
     return total;
   }
   
   /**
-   * Intelligent context management - decide what to keep, compress, or discard
+   * Tokens the history may use: the model's limit minus the reply and system prompt reserves
+   */
+  getHistoryBudget(model = 'gpt-5-chat') {
+    const limit = this.modelLimits[model] || 128000;
+    const outputReserve = Math.min(this.targets.outputReserve, Math.floor(limit * 0.25));
+    return limit - outputReserve - this.targets.systemPromptReserve;
+  }
+
+  /**
+   * History size that triggers compaction for a model
+   */
+  getCompactionThreshold(model = 'gpt-5-chat') {
+    return Math.floor(this.getHistoryBudget(model) * this.targets.compactThreshold);
+  }
+
+  needsCompaction(conversationHistory, model = 'gpt-5-chat') {
+    return this.countMessageTokens(conversationHistory) > this.getCompactionThreshold(model);
+  }
+
+  /**
+   * Intelligent context management - compact once the history nears the model's limit.
+   * options: { summarize(messages) -> text, focus, todos, signal }
    */
-  async manageContext(conversationHistory, currentModel = 'gpt-5-chat') {
+  async manageContext(conversationHistory, currentModel = 'gpt-5-chat', options = {}) {
     const currentTokens = this.countMessageTokens(conversationHistory);
-    const modelLimit = this.modelLimits[currentModel] || 128000;
-    
     this.stats.currentContextSize = currentTokens;
-    
-    // If we're approaching 1M tokens, trigger compaction
-    if (currentTokens > this.targets.maxContext) {
-      return await this.compactContext(conversationHistory);
+
+    if (currentTokens <= this.getCompactionThreshold(currentModel)) {
+      return conversationHistory;
     }
-    
-    // If approaching model limit, do smart trimming
-    if (currentTokens > modelLimit * 0.8) {
-      return this.smartTrim(conversationHistory, modelLimit);
+
+    let compacted = await this.compactContext(conversationHistory, { ...options, model: currentModel });
+
+    // One huge turn can still be too big - cut every tool result, then drop the oldest messages
+    const budget = this.getHistoryBudget(currentModel);
+    if (this.countMessageTokens(compacted) > budget) {
+      compacted = this.smartTrim(this.compactToolResults(compacted, compacted.length).history, budget);
     }
-    
-    // Context is fine, return as-is
-    return conversationHistory;
+
+    this.stats.currentContextSize = this.countMessageTokens(compacted);
+    return compacted;
   }
-  
+
   /**
-   * Compact context when approaching 1M tokens
+   * Compact the history: older tool results first, then a model-written summary of the
+   * older dialogue. The recent window is kept verbatim and never splits a tool call
+   * from its results. Falls back to the heuristic summary when no summarizer is given
+   * or it fails. options.force summarizes even if tool result compaction was enough.
    */
-  async compactContext(conversationHistory) {
-    console.log(`🗜️ Compacting context: ${this.stats.currentContextSize} tokens → ${this.targets.compactTarget} tokens`);
-    
-    this.stats.compactionCount++;
-    
-    // Segment the conversation
-    const segments = this.segmentConversation(conversationHistory);
-    
-    // Keep recent messages intact
-    const recentMessages = segments.recent;
-    const recentTokens = this.countMessageTokens(recentMessages);
-    
-    // Calculate how many tokens we can use for summaries
-    const summaryBudget = this.targets.compactTarget - recentTokens - this.targets.systemPromptReserve;
-    
-    // Create summaries for different segments
-    const summaries = [];
-    
-    // Summarize old conversations
-    if (segments.old.length > 0) {
-      const oldSummary = await this.createSummary(segments.old, 'conversation_history', summaryBudget * 0.3);
-      summaries.push({
-        role: 'system',
-        content: `[CONTEXT SUMMARY - Previous Conversations]\n${oldSummary}`
-      });
-    }
-    
-    // Summarize tool interactions
-    if (segments.tools.length > 0) {
-      const toolSummary = await this.createSummary(segments.tools, 'tool_usage', summaryBudget * 0.2);
-      summaries.push({
+  async compactContext(conversationHistory, options = {}) {
+    const model = options.model || 'gpt-5-chat';
+    const budget = this.getHistoryBudget(model);
+    const before = this.countMessageTokens(conversationHistory);
+    const keepTokens = Math.min(this.targets.keepRecentTokens, Math.floor(budget * 0.3));
+
+    // Tool results - cheap and often enough on its own
+    const split = this.findRecentBoundary(conversationHistory, keepTokens);
+    const toolPass = this.compactToolResults(conversationHistory, split);
+    let compacted = toolPass.history;
+    this.rememberFiles(conversationHistory);
+
+    const summarizeDialogue = options.force || this.countMessageTokens(compacted) > budget * this.targets.compactTarget;
+    const older = compacted.slice(0, split);
+    const recent = compacted.slice(split);
+    let summarizedBy = null;
+
+    if (summarizeDialogue && older.length > 0) {
+      let summary = null;
+      if (options.summarize) {
+        try {
+          summary = await this.summarizeWithModel(older, options);
+          summarizedBy = 'model';
+        } catch (error) {
+          if (options.signal && options.signal.aborted) throw error;
+          this.stats.lastSummaryError = error.message;
+        }
+      }
+      if (!summary) {
+        summary = await this.heuristicSummary(older);
+        summarizedBy = 'heuristic';
+      }
+
+      const summaryMessage = {
         role: 'system',
-        content: `[TOOL USAGE SUMMARY]\n${toolSummary}`
-      });
+        content: this.formatSummary(summary, older.length, options.todos)
+      };
+      this.segments.summaries = [summaryMessage];
+      compacted = [summaryMessage, ...recent];
     }
-    
-    // Extract and preserve key information
-    const keyInfo = this.extractKeyInformation(segments.middle);
-    if (keyInfo) {
-      summaries.push({
-        role: 'system',
-        content: `[KEY INFORMATION]\n${keyInfo}`
-      });
+
+    if (compacted === conversationHistory) {
+      return conversationHistory;
     }
-    
-    // Build compacted context
-    const compacted = [
-      ...summaries,
-      ...recentMessages
-    ];
-    
-    console.log(`✅ Compaction complete: ${this.countMessageTokens(compacted)} tokens`);
-    
+
+    this.stats.compactionCount++;
+    this.stats.lastCompaction = {
+      before,
+      after: this.countMessageTokens(compacted),
+      toolResults: toolPass.count,
+      summarizedMessages: summarizedBy ? older.length : 0,
+      summarizedBy,
+      at: new Date().toISOString()
+    };
     return compacted;
   }
-  
+
   /**
-   * Segment conversation into categories
+   * First index of the recent window (about keepTokens at the end). The window starts
+   * at a user message when possible, otherwise at any message that isn't a tool result.
    */
-  segmentConversation(conversationHistory) {
-    const totalMessages = conversationHistory.length;
-    const recentCount = Math.min(20, Math.floor(totalMessages * 0.3)); // Keep 30% or last 20 messages
-    
-    const segments = {
-      old: [],      // Very old messages (first 40%)
-      middle: [],   // Middle messages (30%)
-      recent: [],   // Recent messages (last 30%)
-      tools: []     // Tool-related messages
-    };
-    
-    // Categorize messages
-    conversationHistory.forEach((msg, index) => {
-      // Extract tool messages
-      if (msg.tool_calls || msg.content?.includes('🔧') || msg.content?.includes('Tool:')) {
-        segments.tools.push(msg);
+  findRecentBoundary(conversationHistory, keepTokens) {
+    let index = conversationHistory.length;
+    let tokens = 0;
+    while (index > 0) {
+      tokens += this.countMessageTokens([conversationHistory[index - 1]]);
+      if (tokens > keepTokens) break;
+      index--;
+    }
+
+    for (let i = index; i < conversationHistory.length; i++) {
+      if (conversationHistory[i].role === 'user') return i;
+    }
+    for (let i = index; i < conversationHistory.length; i++) {
+      if (conversationHistory[i].role !== 'tool') return i;
+    }
+    return conversationHistory.length;
+  }
+
+  /**
+   * Cut tool results before index `end` down to a short digest. The messages stay in
+   * place, so every tool call keeps its answer.
+   */
+  compactToolResults(conversationHistory, end) {
+    let count = 0;
+    const limit = this.targets.toolResultTokens;
+    const history = conversationHistory.map((msg, index) => {
+      if (index >= end || msg.role !== 'tool' || typeof msg.content !== 'string') return msg;
+      if (msg.content.includes(TOOL_DIGEST_MARK) || this.countTokens(msg.content) <= limit) return msg;
+
+      count++;
+      const head = msg.content.slice(0, limit * 2);
+      const omitted = msg.content.length - head.length;
+      return {
+        ...msg,
+        content: `${head}\n${TOOL_DIGEST_MARK} ${omitted} more characters omitted - run the tool again if you need them]`
+      };
+    });
+    return { history: count > 0 ? history : conversationHistory, count };
+  }
+
+  /**
+   * Summarize older messages segment by segment, each call extending the summary so far
+   */
+  async summarizeWithModel(messages, options) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    for (const line of messages.map(msg => this.renderForSummary(msg))) {
+      const tokens = this.countTokens(line);
+      if (current.length > 0 && currentTokens + tokens > this.targets.summaryChunkSize) {
+        chunks.push(current.join('\n\n'));
+        current = [];
+        currentTokens = 0;
       }
-      
-      // Segment by position
-      if (index < totalMessages * 0.4) {
-        segments.old.push(msg);
-      } else if (index < totalMessages * 0.7) {
-        segments.middle.push(msg);
-      } else {
-        segments.recent.push(msg);
+      current.push(line);
+      currentTokens += tokens;
+    }
+    if (current.length > 0) {
+      chunks.push(current.join('\n\n'));
+    }
+
+    let summary = '';
+    for (const [index, chunk] of chunks.entries()) {
+      const request = [
+        summary ? `Summary so far:\n${summary}` : null,
+        `Conversation${chunks.length > 1 ? ` (part ${index + 1} of ${chunks.length})` : ''}:\n${chunk}`,
+        options.focus ? `Focus the summary on: ${options.focus}` : null
+      ].filter(Boolean).join('\n\n');
+
+      const text = await options.summarize([
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        { role: 'user', content: request }
+      ]);
+      summary = (text || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+      if (!summary) {
+        throw new Error('Summarizer returned an empty summary');
       }
-    });
-    
-    return segments;
+    }
+    return summary;
   }
-  
+
+  /**
+   * One message as summarizer input - tool output is cut short, it was compacted separately
+   */
+  renderForSummary(msg) {
+    const clip = (text, max) => text.length > max ? `${text.slice(0, max)}…` : text;
+    let content = messageText(msg.content);
+    if (Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url')) {
+      content += ' [image attached]';
+    }
+
+    if (msg.role === 'tool') {
+      return `TOOL RESULT: ${clip(content, 300)}`;
+    }
+    const lines = [];
+    if (content) {
+      lines.push(`${msg.role.toUpperCase()}: ${clip(content, 6000)}`);
+    }
+    for (const call of msg.tool_calls || []) {
+      const fn = call.function || {};
+      lines.push(`TOOL CALL: ${fn.name}(${clip(fn.arguments || '', 200)})`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Summary without a model, from the older keyword heuristics
+   */
+  async heuristicSummary(messages) {
+    messages = messages.map(msg => Array.isArray(msg.content) ? { ...msg, content: messageText(msg.content) } : msg);
+    const parts = [await this.createSummary(messages, 'conversation_history', 2000)];
+    const toolSummary = this.summarizeToolUsage(messages);
+    if (toolSummary) {
+      parts.push(toolSummary);
+    }
+    const keyInfo = this.extractKeyInformation(messages);
+    if (keyInfo) {
+      parts.push(keyInfo);
+    }
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Files named in tool call arguments - pinned in every summary from now on
+   */
+  rememberFiles(messages) {
+    const files = new Set(this.pinned.files);
+    for (const msg of messages) {
+      for (const call of msg.tool_calls || []) {
+        let args;
+        try {
+          args = JSON.parse((call.function && call.function.arguments) || '{}');
+        } catch {
+          continue;
+        }
+        for (const key of FILE_ARGUMENTS) {
+          if (typeof args[key] === 'string' && args[key]) {
+            files.delete(args[key]); // Re-added at the end - most recent last
+            files.add(args[key]);
+          }
+        }
+      }
+    }
+    this.pinned.files = [...files].slice(-50);
+  }
+
+  formatSummary(summary, messageCount, todos = []) {
+    const sections = [`${SUMMARY_MARK} - ${messageCount} earlier messages compacted]`, summary];
+    const pinned = [];
+    if (this.pinned.files.length > 0) {
+      pinned.push(`Files: ${this.pinned.files.join(', ')}`);
+    }
+    if (todos.length > 0) {
+      pinned.push(`Open TODOs:\n${todos.map(todo => `- ${todo}`).join('\n')}`);
+    }
+    if (pinned.length > 0) {
+      sections.push(`[PINNED]\n${pinned.join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  isSummary(msg) {
+    return Boolean(msg && msg.role === 'system' && typeof msg.content === 'string' && msg.content.startsWith(SUMMARY_MARK));
+  }
+
   /**
    * Create intelligent summary of messages
    */
@@ -400,33 +603,75 @@ class ContextManager {
   }
   
   /**
-   * Smart trim when approaching model limits
+   * Last resort when compaction isn't enough - drop the oldest messages, keeping a
+   * leading summary and never leaving tool results without their call
    */
-  smartTrim(conversationHistory, modelLimit) {
-    const targetTokens = Math.floor(modelLimit * 0.7); // Keep 70% of limit
-    const currentTokens = this.countMessageTokens(conversationHistory);
-    
-    if (currentTokens <= targetTokens) {
+  smartTrim(conversationHistory, targetTokens) {
+    const sizes = conversationHistory.map(msg => this.countMessageTokens([msg]));
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    if (total <= targetTokens) {
       return conversationHistory;
     }
-    
-    // Calculate how many messages to keep
-    const keepRecent = Math.max(10, Math.floor(conversationHistory.length * 0.5));
-    
-    // Keep system messages and recent conversation
-    const trimmed = conversationHistory.slice(-keepRecent);
-    
-    // Add context summary at the beginning
-    const droppedCount = conversationHistory.length - keepRecent;
-    if (droppedCount > 0) {
-      trimmed.unshift({
-        role: 'system',
-        content: `[Context: ${droppedCount} previous messages trimmed for token management]`
-      });
+
+    const first = this.isSummary(conversationHistory[0]) ? 1 : 0;
+    let start = first;
+    while (start < conversationHistory.length - 1 && total > targetTokens) {
+      // A message and the tool results that answer it go together
+      do {
+        total -= sizes[start++];
+      } while (start < conversationHistory.length - 1 && conversationHistory[start].role === 'tool');
     }
-    
+
+    const trimmed = [
+      ...conversationHistory.slice(0, first),
+      {
+        role: 'system',
+        content: `[Context: ${start - first} previous messages trimmed for token management]`
+      },
+      ...conversationHistory.slice(start)
+    ];
     return trimmed;
   }
+
+  /**
+   * Replace model context limits (e.g. after the model registry reloads)
+   */
+  setModelLimits(limits) {
+    this.modelLimits = { ...limits };
+  }
+  
+  /**
+   * Forget pinned files and summaries when a new conversation starts
+   */
+  reset() {
+    this.pinned = { files: [] };
+    this.segments.summaries = [];
+    this.stats.lastCompaction = null;
+  }
+  
+  /**
+   * Serializable state for session persistence
+   */
+  exportState() {
+    return {
+      stats: { ...this.stats },
+      summaries: this.segments.summaries,
+      pinned: this.pinned
+    };
+  }
+  
+  /**
+   * Restore state saved by exportState()
+   */
+  importState(state = {}) {
+    if (state.stats) {
+      this.stats = { ...this.stats, ...state.stats };
+    }
+    if (Array.isArray(state.summaries)) {
+      this.segments.summaries = state.summaries;
+    }
+    this.pinned = { files: (state.pinned && state.pinned.files) || [] };
+  }
   
   /**
    * Get context statistics
@@ -458,4 +703,6 @@ class ContextManager {
   }
 }
 
-module.exports = ContextManager;
\ No newline at end of file
+module.exports = ContextManager;
+module.exports.messageText = messageText;
+module.exports.IMAGE_TOKENS = IMAGE_TOKENS;
\ No newline at end of file
@@ -0,0 +1,307 @@
+/**
+ * Mention Resolver - @file, @dir/ and @file#L10-40 in a prompt become attachments
+ * Files are numbered by AdvancedFileTools.viewFile and cut to a token budget;
+ * directories attach a tree listing that skips .gitignore'd entries. Images
+ * (@shot.png, or a pasted path) are read as base64 for vision models.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AdvancedFileTools = require('../tools/advanced-file-tools');
+const { loadIgnoreRules, isIgnored } = require('../tools/ignore-rules');
+const { IMAGE_TOKENS } = require('./context-manager');
+
+// @ at the start of the prompt or after whitespace, so emails aren't mentions
+const MENTION_PATTERN = /(^|\s)@([^\s@]+)/g;
+const RANGE_PATTERN = /#L(\d+)(?:-L?(\d+))?$/;
+const TRAILING_PUNCTUATION = /[,.;:!?)\]'"]+$/;
+const MAX_FILE_BYTES = 10 * 1024 * 1024; // Larger text files aren't read at all
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp)$/i;
+// Pasted or dragged-in image paths: quoted, or with backslash-escaped spaces
+const IMAGE_PATH_PATTERN = /(?:^|\s)(?:(['"])([^'"\n]+\.(?:png|jpe?g|gif|webp))\1|((?:[^\s'"@\\]|\\ )+\.(?:png|jpe?g|gif|webp)))(?=$|[\s,.;:!?)])/gi;
+
+// The type from the file's first bytes - the extension alone isn't trusted
+function imageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+class MentionResolver {
+  constructor(options = {}) {
+    this.countTokens = options.countTokens || (text => Math.ceil(text.length / 4));
+    this.cwd = options.cwd || process.cwd();
+    this.maxFileTokens = options.maxFileTokens || parseInt(process.env.ORION_MENTION_MAX_TOKENS, 10) || 8000;
+    this.maxTotalTokens = options.maxTotalTokens || this.maxFileTokens * 4;
+    this.maxImageBytes = (options.maxImageMB || parseFloat(process.env.ORION_IMAGE_MAX_MB) || 20) * 1024 * 1024;
+    this.maxTreeEntries = 200;
+    this.maxTreeDepth = 4;
+  }
+
+  /**
+   * Mentions in a prompt, once each: [{ raw, path, startLine, endLine }]
+   */
+  parse(input) {
+    const mentions = new Map();
+    for (const match of (input || '').matchAll(MENTION_PATTERN)) {
+      const raw = match[2].replace(TRAILING_PUNCTUATION, '');
+      if (!raw || mentions.has(raw)) continue;
+
+      const range = raw.match(RANGE_PATTERN);
+      const mentionPath = range ? raw.slice(0, range.index) : raw;
+      if (!mentionPath) continue;
+      mentions.set(raw, {
+        raw: `@${raw}`,
+        path: mentionPath,
+        startLine: range ? parseInt(range[1], 10) : null,
+        endLine: range ? parseInt(range[2] || range[1], 10) : null
+      });
+    }
+    return [...mentions.values()];
+  }
+
+  /**
+   * Image paths pasted into a prompt without an @: [{ raw, path }]
+   */
+  parseImagePaths(input) {
+    const found = new Map();
+    for (const match of (input || '').matchAll(IMAGE_PATH_PATTERN)) {
+      const raw = match[2] || match[3];
+      let imagePath = match[2] || match[3].replace(/\\ /g, ' ');
+      if (imagePath.startsWith('~/')) {
+        imagePath = path.join(os.homedir(), imagePath.slice(2));
+      }
+      if (!found.has(imagePath)) {
+        found.set(imagePath, { raw, path: imagePath });
+      }
+    }
+    return [...found.values()];
+  }
+
+  /**
+   * Read everything a prompt mentions: { attachments, missing }.
+   * Mentions that aren't paths (e.g. @types/node) end up in missing; pasted
+   * image paths that don't exist are just text.
+   */
+  async resolve(input) {
+    const attachments = [];
+    const missing = [];
+    let remaining = this.maxTotalTokens;
+
+    for (const pasted of this.parseImagePaths(input)) {
+      const absolute = path.resolve(this.cwd, pasted.path);
+      const stat = await fs.stat(absolute).catch(() => null);
+      if (stat && stat.isFile()) {
+        attachments.push(await this.attachImage({ raw: pasted.raw, path: pasted.path }, absolute, stat));
+      }
+    }
+
+    for (const mention of this.parse(input)) {
+      const absolute = path.resolve(this.cwd, mention.path);
+      let stat;
+      try {
+        stat = await fs.stat(absolute);
+      } catch {
+        missing.push(mention.raw);
+        continue;
+      }
+
+      if (stat.isFile() && IMAGE_EXTENSIONS.test(mention.path)) {
+        attachments.push(await this.attachImage(mention, absolute, stat));
+        continue;
+      }
+
+      const budget = Math.min(this.maxFileTokens, remaining);
+      const attachment = stat.isDirectory()
+        ? await this.attachDirectory(mention, absolute, budget)
+        : await this.attachFile(mention, absolute, budget, stat);
+      remaining -= attachment.tokens;
+      attachments.push(attachment);
+    }
+    return { attachments, missing };
+  }
+
+  async attachFile(mention, absolute, budget, stat) {
+    const attachment = { mention: mention.raw, path: mention.path, kind: 'file', content: null, tokens: 0, truncated: false, note: null };
+    if (budget <= 0) {
+      attachment.note = 'skipped - attachment budget used up';
+      return attachment;
+    }
+    if (stat.size > MAX_FILE_BYTES) {
+      attachment.note = `${(stat.size / 1024 / 1024).toFixed(1)} MB is over the ${MAX_FILE_BYTES / 1024 / 1024} MB limit for attached files - not attached (search or view it with tools instead)`;
+      return attachment;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(absolute);
+    } catch (error) {
+      attachment.note = `can't read it (${error.code || error.message}) - not attached`;
+      return attachment;
+    }
+    if (buffer.includes(0)) {
+      attachment.note = 'binary file - not attached';
+      return attachment;
+    }
+
+    // A final newline ends the last line rather than starting another
+    const lines = buffer.toString('utf8').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const lineCount = lines.length;
+    const start = mention.startLine || 1;
+    const requestedEnd = mention.endLine ? Math.max(start, mention.endLine) : lineCount;
+    if (start > lineCount) {
+      attachment.note = `line ${start} is past the end (${lineCount} lines) - not attached`;
+      return attachment;
+    }
+
+    // Shrink the range until the numbered view fits the budget
+    let end = Math.min(requestedEnd, lineCount);
+    const displayPath = path.relative(process.cwd(), absolute) || absolute;
+    let view = await AdvancedFileTools.viewFile(displayPath, start, end);
+    if (view.error) {
+      attachment.note = view.error;
+      return attachment;
+    }
+    let tokens = this.countTokens(view.output);
+    while (tokens > budget && end > start) {
+      end = start + Math.max(0, Math.floor((end - start + 1) * (budget / tokens) * 0.95) - 1);
+      view = await AdvancedFileTools.viewFile(displayPath, start, end);
+      tokens = this.countTokens(view.output);
+      attachment.truncated = true;
+    }
+
+    // Down to one line that still doesn't fit (minified code, one-line JSON) - cut it by characters
+    let content = view.output;
+    let clipped = false;
+    while (tokens > budget && content.length > 0) {
+      content = content.slice(0, Math.floor(content.length * (budget / tokens) * 0.95));
+      tokens = this.countTokens(content);
+      clipped = true;
+    }
+
+    attachment.kind = mention.startLine ? 'range' : 'file';
+    attachment.content = content;
+    attachment.tokens = tokens;
+    attachment.lines = { start, end, total: lineCount };
+    attachment.truncated = attachment.truncated || clipped;
+    const rest = end < Math.min(requestedEnd, lineCount) ? ` - mention @${mention.path}#L${end + 1}-${Math.min(requestedEnd, lineCount)} for the rest` : '';
+    if (clipped) {
+      const shown = Math.max(0, lines[start - 1].length - (view.output.length - content.length));
+      attachment.note = `line ${start} cut to its first ${shown.toLocaleString()} of ${lines[start - 1].length.toLocaleString()} characters${rest}`;
+    } else if (attachment.truncated) {
+      attachment.note = `cut to lines ${start}-${end} of ${lineCount}${rest}`;
+    }
+    return attachment;
+  }
+
+  /**
+   * Base64 data URL for an image, after checking its size and real type
+   */
+  async attachImage(mention, absolute, stat) {
+    const attachment = { mention: mention.raw, path: mention.path, kind: 'image', content: null, tokens: 0, truncated: false, note: null };
+    const megabytes = bytes => (bytes / 1024 / 1024).toFixed(1);
+    if (stat.size > this.maxImageBytes) {
+      attachment.note = `${megabytes(stat.size)} MB is over the ${megabytes(this.maxImageBytes)} MB image limit - not attached`;
+      return attachment;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(absolute);
+    } catch (error) {
+      attachment.note = `can't read it (${error.code || error.message}) - not attached`;
+      return attachment;
+    }
+    const mimeType = imageType(buffer);
+    if (!mimeType) {
+      attachment.note = 'not a PNG, JPEG, GIF or WebP image - not attached';
+      return attachment;
+    }
+
+    attachment.image = {
+      mimeType,
+      bytes: stat.size,
+      url: `data:${mimeType};base64,${buffer.toString('base64')}`
+    };
+    attachment.tokens = IMAGE_TOKENS;
+    return attachment;
+  }
+
+  async attachDirectory(mention, absolute, budget) {
+    const attachment = { mention: mention.raw, path: mention.path, kind: 'directory', content: null, tokens: 0, truncated: false, note: null };
+    if (budget <= 0) {
+      attachment.note = 'skipped - attachment budget used up';
+      return attachment;
+    }
+
+    const rules = await loadIgnoreRules(this.cwd);
+    const lines = [];
+    const walk = async (directory, prefix, depth) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      entries = entries
+        .filter(entry => !isIgnored(rules, this.cwd, path.join(directory, entry.name), entry.isDirectory()))
+        .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+
+      for (const [index, entry] of entries.entries()) {
+        if (lines.length >= this.maxTreeEntries) {
+          attachment.truncated = true;
+          return;
+        }
+        const last = index === entries.length - 1;
+        lines.push(`${prefix}${last ? '└── ' : '├── '}${entry.name}${entry.isDirectory() ? '/' : ''}`);
+        if (entry.isDirectory()) {
+          if (depth < this.maxTreeDepth) {
+            await walk(path.join(directory, entry.name), prefix + (last ? '    ' : '│   '), depth + 1);
+          } else {
+            attachment.truncated = true;
+          }
+        }
+      }
+    };
+    await walk(absolute, '', 1);
+
+    const root = `${mention.path.replace(/\/+$/, '')}/`;
+    let content = [root, ...lines].join('\n');
+    let tokens = this.countTokens(content);
+    let shown = lines.length;
+    while (tokens > budget && shown > 0) {
+      shown = Math.floor(shown * (budget / tokens) * 0.95);
+      content = [root, ...lines.slice(0, shown)].join('\n');
+      tokens = this.countTokens(content);
+      attachment.truncated = true;
+    }
+
+    attachment.content = content;
+    attachment.tokens = tokens;
+    attachment.entries = shown;
+    if (attachment.truncated) {
+      attachment.note = `listing cut short (${this.maxTreeEntries} entries, ${this.maxTreeDepth} levels deep at most)`;
+    }
+    return attachment;
+  }
+
+  /**
+   * The prompt with attachment blocks appended after it
+   */
+  expand(input, attachments) {
+    const blocks = attachments.filter(a => a.content).map(a => {
+      const range = a.lines && a.kind === 'range' ? ` lines="${a.lines.start}-${a.lines.end}"` : '';
+      const truncated = a.truncated ? ' truncated="true"' : '';
+      return `<attachment path="${a.path}" type="${a.kind === 'directory' ? 'directory' : 'file'}"${range}${truncated}>\n${a.content}\n</attachment>`;
+    });
+    return blocks.length > 0 ? `${input}\n\n${blocks.join('\n\n')}` : input;
+  }
+}
+
+module.exports = MentionResolver;
+module.exports.imageType = imageType;
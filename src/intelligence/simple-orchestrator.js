@@ -1,305 +1,330 @@
-// Simplified Multi-Model Orchestrator
-// Uses gpt-5-chat for both planning and execution to avoid complexity
+// Plan-and-execute Orchestrator
+// The model turns a request into a JSON plan (steps, dependencies, expected tools),
+// the user reviews it, then each step runs in its own tool loop and reports back
+// how it verified the result.
 
-const colors = require('../utils/colors');
+const MAX_STEPS = 25;
+
+const PLANNER_PROMPT = `You are the planning phase of OrionCLI, a coding assistant with tools.
+Turn the user's request into a plan. Output ONLY a JSON object, no prose:
+
+{
+  "goal": "one sentence describing the end result",
+  "steps": [
+    {
+      "id": "1",
+      "title": "short imperative title",
+      "description": "what to do, with concrete file names, commands and content",
+      "depends_on": [],
+      "tools": ["write_file"],
+      "verification": "how to check this step worked (e.g. read the file back, run the tests)"
+    }
+  ]
+}
+
+Rules:
+- Each step must be doable in a few tool calls; split bigger ones
+- depends_on lists ids of steps that must finish first
+- Use only tool names from the list below
+- At most ${MAX_STEPS} steps
+- If the request is a question or a single quick action, output {"simple": true}`;
 
 class SimpleOrchestrator {
   constructor() {
-    this.executionCount = 0;
-    this.maxExecutions = 50; // Prevent infinite loops
+    this.maxSteps = MAX_STEPS;
+    this.maxParallelSteps = Math.max(1, parseInt(process.env.ORION_MAX_PARALLEL_STEPS, 10) || 3);
   }
-  
-  // Check if task needs orchestration (10+ operations)
+
+  // Cheap check before spending a planning call - the planner itself can still answer "simple"
   needsOrchestration(input) {
-    // Count numbered items
-    const numberedItems = (input.match(/\d+\./g) || []).length;
-    if (numberedItems >= 10) return true;
-    
-    // Check for explicit operation count
+    // Numbered items (inline "1. foo 2. bar" too) or bullet lines
+    const numbered = (input.match(/(?:^|\s)\d+[.)]\s+\S/g) || []).length;
+    const bullets = (input.match(/^\s*[-*•]\s+\S/gm) || []).length;
+    if (numbered >= 3 || bullets >= 3) return true;
+
+    // Explicit operation count ("create 12 files")
     if (input.match(/\b(\d{2,})\s+(operations?|steps?|tasks?|files?)/i)) return true;
-    
-    return false;
+
+    // Long requests chaining several actions
+    const sequencing = (input.match(/\b(then|after that|afterwards|next|finally|step by step)\b/gi) || []).length;
+    return input.length > 200 && sequencing >= 2;
   }
-  
-  // Parse a single step
-  parseStep(stepNumber, stepText) {
-    let action = 'unknown';
-    let target = '';
-    let content = '';
-    
-    // Directory creation
-    if (stepText.match(/create\s+(directory|dir|folder)/i)) {
-      action = 'create_dir';
-      target = stepText.match(/(?:directory|dir|folder)\s+(\S+)/i)?.[1] || '';
-    } 
-    // File creation with various formats (including Dockerfile without extension)
-    else if (stepText.match(/create\s+(?:file\s+)?(\S+(?:\.\w+|Dockerfile|SUMMARY\.md|README\.md))/i)) {
-      action = 'create_file';
-      // Match various file patterns including special files
-      const fileMatch = stepText.match(/(\S+\/?\S*?(?:Dockerfile|SUMMARY\.md|README\.md|\.\w+))\s+(?:with\s+)?(?:"([^"]+)"|'([^']+)'|(.+?)(?:\s|$))/i);
-      if (fileMatch) {
-        target = fileMatch[1];
-        content = fileMatch[2] || fileMatch[3] || fileMatch[4] || '';
-        
-        // Handle JSON content
-        if (stepText.includes('{') && stepText.includes('}')) {
-          const jsonMatch = stepText.match(/\{[^}]+\}/);
-          if (jsonMatch) {
-            content = jsonMatch[0];
-          }
-        }
-        
-        // Special handling for SUMMARY.md
-        if (target.includes('SUMMARY.md') && stepText.match(/listing|list/i)) {
-          content = '# Summary\n\nAll files and directories created in this project.';
-        }
-      }
+
+  // Ask the model for a plan - returns null when it says no plan is needed
+  async createPlan(input, { client, model, tools = [], context = '', signal, onUsage }) {
+    const toolList = tools.length > 0 ? `\n\nAvailable tools: ${tools.join(', ')}` : '';
+    const response = await client.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: PLANNER_PROMPT + toolList + (context ? `\n\nContext:\n${context}` : '') },
+        { role: 'user', content: input }
+      ]
+    }, signal ? { signal } : undefined);
+    if (onUsage && response.usage) {
+      onUsage(response.usage);
     }
-    // List files
-    else if (stepText.match(/list\s+(all\s+)?files/i)) {
-      action = 'list_files';
-      target = stepText.match(/in\s+(\S+)/i)?.[1] || '.';
+    return this.parsePlan(response.choices[0].message.content || '', input);
+  }
+
+  // Extract and validate the JSON plan from a model reply (or an edited plan file)
+  parsePlan(text, request) {
+    const cleaned = String(text).replace(/```(?:json)?/g, '');
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Planner did not return a JSON plan');
     }
-    // Read file
-    else if (stepText.match(/read\s+(\S+)/i)) {
-      action = 'read_file';
-      target = stepText.match(/read\s+(\S+)/i)?.[1] || '';
+
+    let raw;
+    try {
+      raw = JSON.parse(cleaned.slice(start, end + 1));
+    } catch (error) {
+      throw new Error(`Plan is not valid JSON: ${error.message}`);
+    }
+    if (raw.simple === true || !Array.isArray(raw.steps) || raw.steps.length === 0) {
+      return null;
     }
-    // Execute bash command
-    else if (stepText.match(/execute\s+bash|bash:|echo|find|wc|date/i)) {
-      action = 'bash_command';
-      // Extract command after colon or "command:"
-      const cmdMatch = stepText.match(/(?:bash\s+command:|bash:)\s*(.+)/i) || 
-                       stepText.match(/(?:echo|find|wc|date).*/i);
-      if (cmdMatch) {
-        content = cmdMatch[1] || cmdMatch[0];
+
+    return this.validatePlan({ goal: raw.goal || request, request, steps: raw.steps });
+  }
+
+  // Normalize steps, check dependencies and put them in execution order
+  validatePlan(plan) {
+    if (plan.steps.length > this.maxSteps) {
+      throw new Error(`Plan has ${plan.steps.length} steps (max ${this.maxSteps})`);
+    }
+
+    const steps = plan.steps.map((step, index) => {
+      if (!step || !(step.title || step.description)) {
+        throw new Error(`Step ${index + 1} needs a title`);
       }
+      return {
+        id: String(step.id !== undefined && step.id !== null ? step.id : index + 1),
+        title: String(step.title || step.description).trim(),
+        description: String(step.description || '').trim(),
+        depends_on: [].concat(step.depends_on || step.dependsOn || step.dependencies || []).map(String),
+        tools: [].concat(step.tools || []).map(String),
+        verification: String(step.verification || '').trim(),
+        // Progress is ours to track - whatever the planner wrote here is ignored
+        status: 'pending',
+        result: null
+      };
+    });
+
+    const ids = new Set();
+    for (const step of steps) {
+      if (ids.has(step.id)) {
+        throw new Error(`Duplicate step id '${step.id}'`);
+      }
+      ids.add(step.id);
     }
-    // Count files
-    else if (stepText.match(/count\s+(total\s+)?files/i)) {
-      action = 'bash_command';
-      const dirMatch = stepText.match(/(?:in|from)\s+(\S+)/i);
-      const dir = dirMatch ? dirMatch[1] : 'mega-test';
-      content = `find ${dir} -type f | wc -l`;
+    for (const step of steps) {
+      const unknown = step.depends_on.find(id => !ids.has(id));
+      if (unknown) {
+        throw new Error(`Step ${step.id} depends on unknown step '${unknown}'`);
+      }
     }
-    
-    return {
-      number: parseInt(stepNumber),
-      text: stepText,
-      action,
-      target,
-      content
-    };
+
+    // Topological order, keeping the planner's order among ready steps
+    const ordered = [];
+    const done = new Set();
+    while (ordered.length < steps.length) {
+      const next = steps.find(step => !done.has(step.id) && step.depends_on.every(id => done.has(id)));
+      if (!next) {
+        const stuck = steps.filter(step => !done.has(step.id)).map(step => step.id);
+        throw new Error(`Circular dependencies between steps ${stuck.join(', ')}`);
+      }
+      ordered.push(next);
+      done.add(next.id);
+    }
+
+    return { goal: plan.goal, request: plan.request, steps: ordered };
   }
-  
-  // Parse numbered list into steps
-  parseSteps(input) {
-    const steps = [];
-    
-    // Check if it's a single line with multiple numbered items
-    if (input.includes('1.') && input.includes('2.') && !input.includes('\n')) {
-      // Split by numbered patterns (e.g., "1. ", "2. ", etc.)
-      const parts = input.split(/(?=\d+\.\s)/);
-      for (const part of parts) {
-        const match = part.match(/^(\d+)\.\s+(.+)/);
-        if (match) {
-          const stepText = match[2].trim();
-          steps.push(this.parseStep(match[1], stepText));
-        }
+
+  // Plan as the editable JSON the user sees in $EDITOR
+  toEditableJson(plan) {
+    return JSON.stringify({
+      goal: plan.goal,
+      steps: plan.steps.map(({ id, title, description, depends_on, tools, verification }) =>
+        ({ id, title, description, depends_on, tools, verification }))
+    }, null, 2);
+  }
+
+  // Plain-text lines for the review screen
+  formatPlan(plan) {
+    const lines = [`Goal: ${plan.goal}`, ''];
+    for (const step of plan.steps) {
+      const after = step.depends_on.length > 0 ? `  (after ${step.depends_on.join(', ')})` : '';
+      lines.push(`${step.id}. ${step.title}${after}`);
+      if (step.description && step.description !== step.title) {
+        lines.push(`   ${step.description}`);
       }
-    } else {
-      // Multi-line format
-      const lines = input.split('\n');
-      for (const line of lines) {
-        const match = line.match(/^(\d+)\.\s+(.+)/);
-        if (match) {
-          const stepText = match[2];
-          steps.push(this.parseStep(match[1], stepText));
-        }
+      if (step.tools.length > 0) {
+        lines.push(`   tools: ${step.tools.join(', ')}`);
+      }
+      if (step.verification) {
+        lines.push(`   verify: ${step.verification}`);
       }
     }
-    
-    return steps;
+    return lines;
   }
-  
-  // Execute a single step
-  async executeStep(step, clientInfo, onToolExecution) {
-    this.executionCount++;
-    
-    // Safety check
-    if (this.executionCount > this.maxExecutions) {
-      console.log(colors.error('❌ Execution limit reached'));
-      return false;
+
+  // The user turn for one step's tool loop
+  buildStepPrompt(plan, step) {
+    const marks = { completed: '[x]', failed: '[!]', skipped: '[-]', cancelled: '[-]', in_progress: '[>]', pending: '[ ]' };
+    const overview = plan.steps.map(s => `${marks[s.status] || '[ ]'} ${s.id}. ${s.title}`).join('\n');
+    const inputs = step.depends_on
+      .map(id => plan.steps.find(s => s.id === id))
+      .filter(s => s && s.result)
+      .map(s => `- Step ${s.id}: ${s.result}`);
+
+    const lines = [
+      `Overall goal: ${plan.goal}`,
+      '',
+      'Plan:',
+      overview,
+      '',
+      `Do step ${step.id} now, and only this step: ${step.title}`
+    ];
+    if (this.maxParallelSteps > 1) {
+      lines.push('Other independent steps may be running at the same time - leave their files alone.');
     }
-    
-    // Only show step in debug mode to reduce noise
-    if (process.env.DEBUG_TOOLS) {
-      console.log(colors.dim(`⚙️ Step ${step.number}: ${step.text}`));
+    if (step.description && step.description !== step.title) {
+      lines.push(step.description);
     }
-    
-    // Generate appropriate tool JSON based on action
-    let toolJson = '';
-    
-    switch (step.action) {
-      case 'create_dir':
-        toolJson = JSON.stringify({
-          tool: 'execute_bash',
-          args: { command: `mkdir -p ${step.target}` }
-        });
-        break;
-        
-      case 'create_file':
-        // Ensure directory exists for files in subdirectories
-        if (step.target.includes('/')) {
-          const dir = step.target.substring(0, step.target.lastIndexOf('/'));
-          // First create the directory
-          await onToolExecution(JSON.stringify({
-            tool: 'execute_bash',
-            args: { command: `mkdir -p ${dir}` }
-          }));
-          // Small delay to ensure directory is created
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-        
-        toolJson = JSON.stringify({
-          tool: 'write_file',
-          args: { 
-            filename: step.target,
-            content: step.content
-          }
-        });
-        break;
-        
-      case 'list_files':
-        toolJson = JSON.stringify({
-          tool: 'list_files',
-          args: { path: step.target }
-        });
-        break;
-        
-      case 'read_file':
-        toolJson = JSON.stringify({
-          tool: 'read_file',
-          args: { filename: step.target }
-        });
-        break;
-        
-      case 'bash_command':
-        toolJson = JSON.stringify({
-          tool: 'execute_bash',
-          args: { command: step.content }
-        });
-        break;
-        
-      default:
-        // For unknown actions, try to use gpt-5-chat to figure it out
-        const client = this.getClient(clientInfo);
-        try {
-          const response = await client.chat.completions.create({
-            model: 'gpt-5-chat',
-            messages: [
-              { role: 'system', content: 'Output only the tool JSON.' },
-              { role: 'user', content: `Execute: ${step.text}\nOutput the appropriate tool JSON.` }
-            ]
-          });
-          toolJson = response.choices[0].message.content;
-        } catch (error) {
-          console.log(colors.error(`Failed to generate tool for: ${step.text}`));
-          return false;
-        }
+    if (step.tools.length > 0) {
+      lines.push(`Expected tools: ${step.tools.join(', ')}`);
     }
-    
-    // Execute the tool
-    if (toolJson && onToolExecution) {
+    if (inputs.length > 0) {
+      lines.push('', 'Results from earlier steps:', ...inputs);
+    }
+    lines.push(
+      '',
+      `When the work is done, verify it${step.verification ? ` (${step.verification})` : ''} and end your final reply with:`,
+      `{"step": "${step.id}", "status": "done" or "failed", "verification": "what you checked and what you found"}`
+    );
+    return lines.join('\n');
+  }
+
+  // Read the step's closing {"status", "verification"} block
+  parseStepReport(text) {
+    const matches = String(text || '').match(/\{[^{}]*"status"[^{}]*\}/g);
+    if (matches) {
       try {
-        await onToolExecution(toolJson);
-        return true;
-      } catch (error) {
-        console.log(colors.warning(`⚠️ Step ${step.number} failed: ${error.message}`));
-        return false;
+        const report = JSON.parse(matches[matches.length - 1]);
+        const summary = String(text).replace(matches[matches.length - 1], '').trim();
+        return {
+          status: /^(done|completed|success)$/i.test(report.status) ? 'completed' : 'failed',
+          verification: report.verification || 'No details reported',
+          summary
+        };
+      } catch {
+        // Fall through - treat as unreported
       }
     }
-    
-    return false;
+    return { status: 'completed', verification: 'Finished without a verification report', summary: String(text || '').trim() };
   }
-  
-  // Get client for model
-  getClient(clientInfo) {
-    if (clientInfo.createClient) {
-      process.env.MODEL = 'gpt-5-chat';
-      return clientInfo.createClient.call({ 
-        config: clientInfo.config 
-      });
-    }
-    return clientInfo.client || clientInfo;
+
+  // Mirror the plan into the pinned todo list
+  syncTodos(plan, todoTools) {
+    if (!todoTools) return;
+    todoTools.setTodos(plan.steps.map(step => ({
+      id: step.id,
+      content: ['failed', 'skipped', 'cancelled'].includes(step.status) ? `${step.title} (${step.status})` : step.title,
+      status: step.status === 'completed' || step.status === 'in_progress' ? step.status : 'pending',
+      priority: 'medium'
+    })));
   }
-  
-  // Main orchestration
-  async orchestrate(input, clientInfo, systemPrompt, onToolExecution) {
-    console.log(colors.info('🚀 Starting simplified orchestration...'));
-    
-    // Reset counter
-    this.executionCount = 0;
-    
-    // Parse steps from input
-    const steps = this.parseSteps(input);
-    
-    if (steps.length === 0) {
-      console.log(colors.warning('No steps found to execute'));
-      return { completedSteps: 0, errors: 0, success: false };
+
+  // Main orchestration: plan, review, run the steps (independent ones in parallel), collect verification
+  async orchestrate(input, { client, model, tools, context, todoTools, signal, onUsage }, { reviewPlan, runStep, onStatus = () => {} }) {
+    onStatus('🧭 Planning...');
+    let plan = await this.createPlan(input, { client, model, tools, context, signal, onUsage });
+    if (!plan) {
+      return null; // Simple request - the regular tool loop handles it
     }
-    
-    console.log(colors.dim(`📋 Found ${steps.length} steps to execute`));
-    
-    // Execute each step
-    let completed = 0;
-    let errors = 0;
-    const startTime = Date.now();
-    
-    for (const step of steps) {
-      // Add small delay to avoid overwhelming the system
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
+
+    if (reviewPlan) {
+      plan = await reviewPlan(plan);
+      if (!plan) {
+        return { plan: null, cancelled: true, completedSteps: 0, errors: 0, success: false };
+      }
+    }
+
+    const byId = id => plan.steps.find(s => s.id === id);
+    const runStepAndRecord = async (step) => {
+      step.status = 'in_progress';
+      this.syncTodos(plan, todoTools);
+      onStatus(`▶ Step ${step.id}/${plan.steps.length}: ${step.title}`);
+
       try {
-        const success = await this.executeStep(step, clientInfo, onToolExecution);
-        if (success) {
-          completed++;
-          // Show minimal progress indicator
-          process.stdout.write('.');
-        } else {
-          errors++;
-          // Only show failures in debug mode
-          if (process.env.DEBUG_TOOLS) {
-            console.log(colors.warning(`⚠️ Step ${step.number}: ${step.action} failed`));
-          }
-        }
+        const report = await runStep(step, plan, this.buildStepPrompt(plan, step));
+        step.status = report.status;
+        step.result = report.verification;
+        step.summary = report.summary;
       } catch (error) {
-        errors++;
-        // Only show step errors in debug mode
-        if (process.env.DEBUG_TOOLS) {
-          console.log(colors.error(`❌ Step ${step.number} error: ${error.message}`));
+        step.status = 'failed';
+        step.result = error.message;
+      }
+      this.syncTodos(plan, todoTools);
+    };
+
+    // A step starts once all its dependencies completed, up to maxParallelSteps at a time
+    this.syncTodos(plan, todoTools);
+    const running = new Map(); // step id -> promise
+    while (true) {
+      // Cancelled: running steps wind down on their own, nothing new starts
+      if (signal && signal.aborted) {
+        for (const step of plan.steps.filter(s => s.status === 'pending')) {
+          step.status = 'cancelled';
+          step.result = 'Cancelled before it started';
         }
+        this.syncTodos(plan, todoTools);
       }
-      
-      // Progress update every 5 steps or at milestones
-      if (completed % 5 === 0 || completed === 10 || completed === 20) {
-        const elapsed = Math.round((Date.now() - startTime) / 1000);
-        console.log(colors.info(`📊 Progress: ${completed}/${steps.length} completed (${elapsed}s)`));
+
+      // Steps whose inputs failed can't run (plan order is topological, so this cascades)
+      for (const step of plan.steps.filter(s => s.status === 'pending')) {
+        const blocker = step.depends_on.map(byId).find(s => ['failed', 'skipped', 'cancelled'].includes(s.status));
+        if (blocker) {
+          step.status = 'skipped';
+          step.result = `Skipped - step ${blocker.id} did not complete`;
+          this.syncTodos(plan, todoTools);
+        }
       }
+
+      const ready = plan.steps.filter(step =>
+        step.status === 'pending' && step.depends_on.every(id => byId(id).status === 'completed'));
+      for (const step of ready.slice(0, this.maxParallelSteps - running.size)) {
+        running.set(step.id, runStepAndRecord(step).finally(() => running.delete(step.id)));
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
     }
-    
-    // Final summary - clean and concise
-    const successRate = completed / steps.length;
-    console.log(`\n📊 Completed ${completed}/${steps.length} steps` + 
-                (successRate === 1.0 ? ' successfully!' : 
-                 ` (${Math.round(successRate * 100)}% success rate)`));
-    
+
+    const completedSteps = plan.steps.filter(step => step.status === 'completed').length;
     return {
-      completedSteps: completed,
-      errors: errors,
-      success: successRate >= 0.8
+      plan,
+      completedSteps,
+      errors: plan.steps.length - completedSteps,
+      success: completedSteps === plan.steps.length,
+      cancelled: !!(signal && signal.aborted)
     };
   }
+
+  // Results for the chat and the conversation history
+  formatSummary(plan) {
+    const icons = { completed: '✅', failed: '❌', skipped: '⏭️', cancelled: '⏹️' };
+    const completed = plan.steps.filter(step => step.status === 'completed').length;
+    const lines = [`**Plan: ${plan.goal}** - ${completed}/${plan.steps.length} steps completed`, ''];
+    for (const step of plan.steps) {
+      lines.push(`${icons[step.status] || '○'} ${step.id}. ${step.title}`);
+      if (step.result) {
+        lines.push(`   ${step.result}`);
+      }
+    }
+    return lines.join('\n');
+  }
 }
 
-module.exports = SimpleOrchestrator;
\ No newline at end of file
+module.exports = SimpleOrchestrator;
@@ -0,0 +1,230 @@
+/**
+ * MCP Manager - Connects configured Model Context Protocol servers
+ * and exposes their tools to the tool registry as mcp__<server>__<tool>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createTransport, normalizeTransportConfig } = require('./mcp-transports');
+const { isTrustedProject, isProjectFile, untrustedNote } = require('../permissions/project-trust');
+
+const TOOL_PREFIX = 'mcp__';
+
+/**
+ * Load mcpServers from ~/.orion/settings.json and .orion/settings.json (project wins).
+ * The project file's servers are only used when the project is trusted.
+ */
+function loadMCPConfig(files = [
+  path.join(os.homedir(), '.orion', 'settings.json'),
+  path.join(process.cwd(), '.orion', 'settings.json')
+], trustProject = isTrustedProject()) {
+  const servers = {};
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      if (!fs.existsSync(file)) continue;
+      const settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const names = Object.keys(settings.mcpServers || {});
+      if (names.length > 0 && !trustProject && isProjectFile(file)) {
+        errors.push(untrustedNote(file, `MCP servers ${names.join(', ')}`));
+        continue;
+      }
+      for (const [name, config] of Object.entries(settings.mcpServers || {})) {
+        if (config === null || config.disabled) {
+          delete servers[name];
+          continue;
+        }
+        servers[name] = { ...config, name };
+      }
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  return { servers, errors };
+}
+
+/**
+ * OpenAI function names allow [a-zA-Z0-9_-] and at most 64 characters
+ */
+function toFunctionName(serverName, toolName) {
+  const clean = value => value.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `${TOOL_PREFIX}${clean(serverName)}__${clean(toolName)}`.slice(0, 64);
+}
+
+class MCPManager {
+  constructor(options = {}) {
+    this.configFiles = options.configFiles;
+    this.connectTimeout = parseInt(process.env.ORION_MCP_TIMEOUT, 10) || 15000;
+    this.servers = new Map(); // name -> { config, client, status, error, tools }
+    this.tools = new Map();   // function name -> { server, name, description, inputSchema }
+    this.configErrors = [];
+  }
+
+  /**
+   * Connect every configured server in parallel - failures are recorded, not thrown
+   */
+  async initialize() {
+    const { servers, errors } = this.configFiles ? loadMCPConfig(this.configFiles) : loadMCPConfig();
+    this.configErrors = errors;
+
+    await Promise.all(Object.values(servers).map(config => this.connectServer(config)));
+    return this.getStatus();
+  }
+
+  async connectServer(config) {
+    const entry = {
+      config,
+      client: null,
+      status: 'connecting',
+      error: null,
+      tools: []
+    };
+    this.servers.set(config.name, entry);
+
+    try {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const client = new Client(
+        { name: 'orion-cli', version: '2.1.0' },
+        { capabilities: {} }
+      );
+      entry.client = client;
+
+      const transport = await createTransport(config);
+      await this.withTimeout(client.connect(transport), `connecting to ${config.name}`);
+
+      const { tools } = await this.withTimeout(client.listTools(), `listing tools of ${config.name}`);
+      for (const tool of tools) {
+        const functionName = toFunctionName(config.name, tool.name);
+        this.tools.set(functionName, {
+          server: config.name,
+          name: tool.name,
+          description: tool.description || `Tool from MCP server ${config.name}`,
+          inputSchema: tool.inputSchema
+        });
+        entry.tools.push(functionName);
+      }
+
+      // A server that exits later shows up as disconnected in /mcp
+      client.onclose = () => {
+        if (entry.status === 'connected') {
+          entry.status = 'disconnected';
+        }
+      };
+      entry.status = 'connected';
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      if (entry.client) {
+        entry.client.close().catch(() => {});
+      }
+    }
+    return entry;
+  }
+
+  withTimeout(promise, action) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out ${action} after ${this.connectTimeout}ms`)), this.connectTimeout);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async disconnectServer(name) {
+    const entry = this.servers.get(name);
+    if (!entry) return;
+
+    for (const toolName of entry.tools) {
+      this.tools.delete(toolName);
+    }
+    entry.status = 'stopped';
+    if (entry.client) {
+      await entry.client.close().catch(() => {});
+    }
+    this.servers.delete(name);
+  }
+
+  /**
+   * Reconnect one server (or all of them), re-reading the settings files
+   */
+  async restart(name) {
+    if (!name) {
+      await this.shutdown();
+      return this.initialize();
+    }
+
+    const { servers } = this.configFiles ? loadMCPConfig(this.configFiles) : loadMCPConfig();
+    if (!servers[name]) {
+      throw new Error(`MCP server '${name}' is not configured`);
+    }
+    await this.disconnectServer(name);
+    await this.connectServer(servers[name]);
+    return this.getStatus();
+  }
+
+  async shutdown() {
+    await Promise.all([...this.servers.keys()].map(name => this.disconnectServer(name)));
+  }
+
+  getStatus() {
+    return [...this.servers.entries()].map(([name, entry]) => ({
+      name,
+      type: normalizeTransportConfig(entry.config).type,
+      status: entry.status,
+      error: entry.error,
+      toolCount: entry.tools.length
+    }));
+  }
+
+  isMCPTool(toolName) {
+    return this.tools.has(toolName);
+  }
+
+  getTool(toolName) {
+    return this.tools.get(toolName) || null;
+  }
+
+  /**
+   * OpenAI-format definitions for every connected server's tools
+   */
+  getToolDefinitions() {
+    return [...this.tools.entries()].map(([functionName, tool]) => ({
+      type: 'function',
+      function: {
+        name: functionName,
+        description: `[MCP: ${tool.server}] ${tool.description}`,
+        parameters: tool.inputSchema || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Call an MCP tool and convert the result to the { output } / { error } shape built-in tools use
+   */
+  async callTool(toolName, args) {
+    const tool = this.tools.get(toolName);
+    if (!tool) {
+      throw new Error(`Unknown MCP tool: ${toolName}`);
+    }
+
+    const entry = this.servers.get(tool.server);
+    if (!entry || entry.status !== 'connected') {
+      throw new Error(`MCP server '${tool.server}' is not connected - try /mcp restart ${tool.server}`);
+    }
+
+    const result = await entry.client.callTool({ name: tool.name, arguments: args || {} });
+    const text = (result.content || []).map(part => {
+      if (part.type === 'text') return part.text;
+      if (part.type === 'resource') return part.resource.text || `[resource ${part.resource.uri}]`;
+      return `[${part.type} content]`;
+    }).join('\n');
+
+    return result.isError ? { error: text || 'MCP tool reported an error' } : { output: text || 'Tool completed with no output' };
+  }
+}
+
+module.exports = MCPManager;
+module.exports.loadMCPConfig = loadMCPConfig;
+module.exports.toFunctionName = toFunctionName;
@@ -0,0 +1,253 @@
+/**
+ * MCP Transports - JS port of transports.ts for the running CLI
+ * stdio uses the SDK transport; sse and streamable_http are built on fetch
+ * (the SDK's SSE client needs a global EventSource, which Node 20 lacks)
+ */
+
+const TRANSPORT_TYPES = ['stdio', 'http', 'sse', 'streamable_http'];
+
+/**
+ * Read a text/event-stream body and call onEvent({ event, data }) per event
+ */
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      let event = 'message';
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+      if (data.length > 0) {
+        onEvent({ event, data: data.join('\n') });
+      }
+    }
+  }
+}
+
+/**
+ * Legacy HTTP+SSE transport (MCP 2024-11-05): GET an event stream, POST messages
+ * to the endpoint the server announces in its first 'endpoint' event
+ */
+class SSEClientTransport {
+  constructor(config) {
+    this.url = new URL(config.url);
+    this.headers = config.headers || {};
+    this.endpoint = null;
+    this.abortController = new AbortController();
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      fetch(this.url, {
+        headers: { ...this.headers, Accept: 'text/event-stream' },
+        signal: this.abortController.signal
+      }).then(response => {
+        if (!response.ok || !response.body) {
+          throw new Error(`SSE connection failed: HTTP ${response.status}`);
+        }
+
+        return readEventStream(response.body, ({ event, data }) => {
+          if (event === 'endpoint') {
+            this.endpoint = new URL(data, this.url);
+            resolve();
+          } else if (event === 'message') {
+            this.dispatch(data);
+          }
+        });
+      }).then(() => {
+        if (!this.endpoint) {
+          reject(new Error('SSE stream ended before the server sent its endpoint'));
+        }
+        if (this.onclose) this.onclose();
+      }).catch(error => {
+        if (error.name === 'AbortError') return;
+        reject(error);
+        if (this.onerror) this.onerror(error);
+      });
+    });
+  }
+
+  dispatch(data) {
+    try {
+      if (this.onmessage) this.onmessage(JSON.parse(data));
+    } catch (error) {
+      if (this.onerror) this.onerror(error);
+    }
+  }
+
+  async send(message) {
+    if (!this.endpoint) {
+      throw new Error('Not connected');
+    }
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+    if (!response.ok) {
+      throw new Error(`SSE POST failed: HTTP ${response.status} ${await response.text()}`);
+    }
+  }
+
+  async close() {
+    this.abortController.abort();
+    if (this.onclose) this.onclose();
+  }
+}
+
+/**
+ * Streamable HTTP transport (MCP 2025-03-26): every message is a POST, answered
+ * with either a JSON body or a short-lived event stream
+ */
+class StreamableHttpClientTransport {
+  constructor(config) {
+    this.url = new URL(config.url);
+    this.headers = config.headers || {};
+    this.sessionId = null;
+    this.abortController = new AbortController();
+  }
+
+  async start() {
+    // Connection-less - the session starts with the initialize request
+  }
+
+  dispatch(message) {
+    const messages = Array.isArray(message) ? message : [message];
+    for (const msg of messages) {
+      if (this.onmessage) this.onmessage(msg);
+    }
+  }
+
+  async send(message) {
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream'
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+    if (response.status === 202 || !response.body) {
+      return; // Notification or response accepted without a body
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      // Don't block the sender - responses arrive as the stream is read
+      readEventStream(response.body, ({ data }) => {
+        try {
+          this.dispatch(JSON.parse(data));
+        } catch (error) {
+          if (this.onerror) this.onerror(error);
+        }
+      }).catch(error => {
+        if (error.name !== 'AbortError' && this.onerror) this.onerror(error);
+      });
+    } else if (contentType.includes('application/json')) {
+      this.dispatch(await response.json());
+    }
+  }
+
+  async close() {
+    if (this.sessionId) {
+      // Best effort - servers may not support explicit session termination
+      await fetch(this.url, {
+        method: 'DELETE',
+        headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId }
+      }).catch(() => {});
+    }
+    this.abortController.abort();
+    if (this.onclose) this.onclose();
+  }
+}
+
+/**
+ * Normalize a server entry: { transport: {...} }, legacy { command, args, env } or flat { type, url }
+ */
+function normalizeTransportConfig(config) {
+  if (config.transport) {
+    return config.transport;
+  }
+  return {
+    type: config.type || (config.url ? 'streamable_http' : 'stdio'),
+    command: config.command,
+    args: config.args,
+    env: config.env,
+    url: config.url,
+    headers: config.headers
+  };
+}
+
+/**
+ * Create an SDK-compatible transport for a server config
+ */
+async function createTransport(config) {
+  const transportConfig = normalizeTransportConfig(config);
+
+  switch (transportConfig.type) {
+    case 'stdio': {
+      if (!transportConfig.command) {
+        throw new Error('Command is required for stdio transport');
+      }
+      // The SDK is ESM-only
+      const { StdioClientTransport } = await import('@modelcontextprotocol/sdk/client/stdio.js');
+      return new StdioClientTransport({
+        command: transportConfig.command,
+        args: transportConfig.args || [],
+        env: { ...process.env, ...(transportConfig.env || {}) },
+        stderr: 'ignore' // Server logs would scribble over the TUI
+      });
+    }
+    case 'sse':
+      if (!transportConfig.url) {
+        throw new Error('URL is required for sse transport');
+      }
+      return new SSEClientTransport(transportConfig);
+    case 'http':
+    case 'streamable_http':
+      if (!transportConfig.url) {
+        throw new Error(`URL is required for ${transportConfig.type} transport`);
+      }
+      return new StreamableHttpClientTransport(transportConfig);
+    default:
+      throw new Error(`Unsupported transport type: ${transportConfig.type}`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  normalizeTransportConfig,
+  SSEClientTransport,
+  StreamableHttpClientTransport,
+  TRANSPORT_TYPES
+};
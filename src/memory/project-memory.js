@@ -0,0 +1,198 @@
+/**
+ * Project Memory - Loads ORION.md instruction files into the system prompt
+ * Order: ~/.orion/ORION.md, then the repo root down to the working directory,
+ * then ORION.md files in subdirectories (scoped to that directory).
+ * Subdirectories are searched once and again on refresh() (/memory); files are
+ * only re-read when their mtime changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadIgnoreRulesSync, isIgnored } = require('../tools/ignore-rules');
+
+const MEMORY_FILE = 'ORION.md';
+const MAX_FILE_CHARS = 20000;   // Per file - keeps a runaway file from eating the context
+const MAX_TOTAL_CHARS = 60000;  // All files together
+const MAX_NESTED_DEPTH = 3;     // How deep to look for subdirectory ORION.md files
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', 'vendor', '.next', '.venv', '__pycache__']);
+
+class ProjectMemory {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.userFile = options.userFile || path.join(os.homedir(), '.orion', MEMORY_FILE);
+    this.files = []; // [{ path, scope, content, truncated }]
+    this.skipped = []; // Paths left out once MAX_TOTAL_CHARS was reached
+    this.nestedFiles = null; // Subdirectory ORION.md paths, found on the first load
+    this.contents = new Map(); // path -> { mtime, size, content, truncated }
+  }
+
+  /**
+   * Nearest directory with a .git entry, or the working directory outside a repo
+   */
+  findRepoRoot() {
+    let dir = this.cwd;
+    while (true) {
+      if (fs.existsSync(path.join(dir, '.git'))) return dir;
+      const parent = path.dirname(dir);
+      if (parent === dir) return this.cwd;
+      dir = parent;
+    }
+  }
+
+  get projectFile() {
+    return path.join(this.findRepoRoot(), MEMORY_FILE);
+  }
+
+  /**
+   * Every ORION.md that applies, in merge order (later files are more specific)
+   */
+  findFiles() {
+    const found = [{ path: this.userFile, scope: 'user' }];
+
+    // Repo root down to the working directory
+    const root = this.findRepoRoot();
+    const chain = [];
+    for (let dir = this.cwd; ; dir = path.dirname(dir)) {
+      chain.unshift(dir);
+      if (dir === root || path.dirname(dir) === dir) break;
+    }
+    for (const dir of chain) {
+      found.push({ path: path.join(dir, MEMORY_FILE), scope: dir === root ? 'project' : 'directory' });
+    }
+
+    // Subdirectories - searched once, again on refresh()
+    if (!this.nestedFiles) {
+      this.nestedFiles = this.findNestedFiles();
+    }
+    found.push(...this.nestedFiles.map(file => ({ path: file, scope: 'nested' })));
+    return found;
+  }
+
+  /**
+   * ORION.md files in subdirectories of the working directory, skipping
+   * .gitignore'd and build directories
+   */
+  findNestedFiles() {
+    const rules = loadIgnoreRulesSync(this.cwd);
+    const found = [];
+    const walk = (dir, depth) => {
+      if (depth > MAX_NESTED_DEPTH) return;
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) continue;
+        const sub = path.join(dir, entry.name);
+        if (isIgnored(rules, this.cwd, sub, true)) continue;
+        if (fs.existsSync(path.join(sub, MEMORY_FILE))) {
+          found.push(path.join(sub, MEMORY_FILE));
+        }
+        walk(sub, depth + 1);
+      }
+    };
+    walk(this.cwd, 1);
+    return found;
+  }
+
+  /**
+   * Load the files before each request - unchanged ones come from the cache, and
+   * everything together is capped at MAX_TOTAL_CHARS
+   */
+  load() {
+    this.files = [];
+    this.skipped = [];
+    let remaining = MAX_TOTAL_CHARS;
+    for (const file of this.findFiles()) {
+      const cached = this.read(file.path);
+      if (!cached || !cached.content) continue;
+      if (remaining <= 0) {
+        this.skipped.push(file.path);
+        continue;
+      }
+
+      const content = cached.content.slice(0, remaining);
+      remaining -= content.length;
+      this.files.push({ ...file, content, truncated: cached.truncated || content.length < cached.content.length });
+    }
+    return this.files;
+  }
+
+  /**
+   * Search subdirectories again, then load - new nested files show up after this
+   */
+  refresh() {
+    this.nestedFiles = null;
+    return this.load();
+  }
+
+  /**
+   * A file's trimmed content, re-read only when its mtime changes; null when missing
+   */
+  read(file) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      this.contents.delete(file);
+      return null;
+    }
+
+    const cached = this.contents.get(file);
+    if (cached && cached.mtime === stat.mtimeMs && cached.size === stat.size) {
+      return cached;
+    }
+    try {
+      const content = fs.readFileSync(file, 'utf8').trim();
+      const entry = { mtime: stat.mtimeMs, size: stat.size, content: content.slice(0, MAX_FILE_CHARS), truncated: content.length > MAX_FILE_CHARS };
+      this.contents.set(file, entry);
+      return entry;
+    } catch {
+      return null; // Unreadable file - skip it
+    }
+  }
+
+  /**
+   * System prompt block with every loaded file, or '' when there are none
+   */
+  getPromptSection() {
+    if (this.files.length === 0) return '';
+
+    const blocks = this.files.map(file => {
+      const label = file.scope === 'user' ? '~/.orion/ORION.md (user)' : path.relative(this.cwd, file.path) || MEMORY_FILE;
+      const scope = file.scope === 'nested' ? ` - applies to files under ${path.relative(this.cwd, path.dirname(file.path))}/` : '';
+      const note = file.truncated ? '\n[truncated]' : '';
+      return `### ${label}${scope}\n${file.content}${note}`;
+    });
+
+    return `\n\n📌 PROJECT INSTRUCTIONS (ORION.md):
+These are the user's standing instructions. Follow them over the general rules above; later (more specific) files win on conflict.
+
+${blocks.join('\n\n')}`;
+  }
+
+  /**
+   * Append a remembered fact as a bullet to the project (or user) ORION.md
+   */
+  append(fact, scope = 'project') {
+    const file = scope === 'user' ? this.userFile : this.projectFile;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    let existing = '';
+    try {
+      existing = fs.readFileSync(file, 'utf8');
+    } catch {
+      existing = '# ORION.md\n';
+    }
+    const separator = existing === '' || existing.endsWith('\n') ? '' : '\n';
+    fs.writeFileSync(file, `${existing}${separator}- ${fact.trim()}\n`);
+    this.load();
+    return file;
+  }
+}
+
+module.exports = ProjectMemory;
+module.exports.MEMORY_FILE = MEMORY_FILE;
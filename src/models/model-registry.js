@@ -0,0 +1,420 @@
+/**
+ * Model Registry - Declarative model/provider configuration
+ * Merges built-in models with ~/.orion/models.json and <project>/.orion/models.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-12-01-preview';
+
+// Built-in models - any field can be overridden from a models.json file.
+// They have no endpoint of their own: it comes from endpointEnv or a models.json entry.
+// pricing is USD per 1M tokens (list prices - override with your Azure rates)
+const BUILTIN_MODELS = {
+  'gpt-5': {
+    provider: 'azure',
+    endpointEnv: 'ORION_DEFAULT_ENDPOINT',
+    deployment: 'gpt-5',
+    apiKeyEnv: 'ORION_DEFAULT_KEY',
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: false, reasoning: false },
+    pricing: { input: 1.25, cachedInput: 0.125, output: 10 },
+    icon: '⚡',
+    color: 'accent',
+    description: 'Coding & technical tasks'
+  },
+  'gpt-5-chat': {
+    provider: 'azure',
+    endpointEnv: 'ORION_DEFAULT_ENDPOINT',
+    deployment: 'gpt-5-chat',
+    apiKeyEnv: 'ORION_DEFAULT_KEY',
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: false, reasoning: false },
+    pricing: { input: 1.25, cachedInput: 0.125, output: 10 },
+    icon: '💬',
+    color: 'primary',
+    description: 'Conversational AI'
+  },
+  'gpt-5-mini': {
+    provider: 'azure',
+    endpointEnv: 'ORION_DEFAULT_ENDPOINT',
+    deployment: 'gpt-5-mini',
+    apiKeyEnv: 'ORION_DEFAULT_KEY',
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: false, reasoning: false },
+    pricing: { input: 0.25, cachedInput: 0.025, output: 2 },
+    icon: '🚀',
+    color: 'success',
+    description: 'Fast responses'
+  },
+  'o3': {
+    provider: 'azure',
+    endpointEnv: 'ORION_O3_ENDPOINT',
+    deployment: 'o3',
+    apiKeyEnv: 'ORION_O3_KEY',
+    contextLimit: 200000,
+    capabilities: { tools: true, temperature: false, vision: false, reasoning: true },
+    pricing: { input: 2, cachedInput: 0.5, output: 8 },
+    icon: '🧠',
+    color: 'info',
+    description: 'Advanced reasoning'
+  },
+  'gpt-4o': {
+    provider: 'azure',
+    endpointEnv: 'AZURE_4O_ENDPOINT',
+    deployment: 'gpt-4o',
+    apiKeyEnv: ['AZURE_4O_KEY', 'ORION_O3_KEY'],
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: true, reasoning: false },
+    pricing: { input: 2.5, cachedInput: 1.25, output: 10 },
+    icon: '🔷',
+    color: 'info',
+    description: 'GPT-4 Optimized'
+  },
+  'gpt-4o-mini': {
+    provider: 'azure',
+    endpointEnv: 'AZURE_4O_ENDPOINT',
+    deployment: 'gpt-4o-mini',
+    apiKeyEnv: ['AZURE_4O_KEY', 'ORION_O3_KEY'],
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: true, reasoning: false },
+    pricing: { input: 0.15, cachedInput: 0.075, output: 0.6 },
+    icon: '🔹',
+    color: 'accent',
+    description: 'GPT-4 Mini - Fast & efficient'
+  },
+  'deepseek-r1': {
+    // Azure AI model inference endpoint - the base URL is used as-is
+    provider: 'azure-inference',
+    endpointEnv: 'DEEPSEEK_ENDPOINT',
+    deployment: 'DeepSeek-R1',
+    apiKeyEnv: 'DEEPSEEK_KEY',
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: false, reasoning: true },
+    pricing: { input: 1.35, output: 5.4 },
+    autoRoute: false, // Never route away from DeepSeek to Azure OpenAI models
+    icon: '🌊',
+    color: 'secondary',
+    description: 'DeepSeek-R1 - Advanced reasoning'
+  },
+  'o4-mini': {
+    provider: 'azure',
+    endpointEnv: 'ORION_DEFAULT_ENDPOINT',
+    deployment: 'o4-mini',
+    apiKeyEnv: 'ORION_DEFAULT_KEY',
+    contextLimit: 128000,
+    capabilities: { tools: true, temperature: true, vision: false, reasoning: true },
+    pricing: { input: 1.1, cachedInput: 0.275, output: 4.4 },
+    icon: '⚡',
+    color: 'warning',
+    description: 'Ultra-fast queries'
+  }
+};
+
+const DEFAULT_CAPABILITIES = { tools: true, temperature: true, vision: false, reasoning: false };
+
+// Task category -> model used by smart routing (override with "routing" in models.json)
+const DEFAULT_ROUTING = {
+  code: 'gpt-5',
+  reasoning: 'o3',
+  explain: 'gpt-5-chat',
+  multistep: 'gpt-5-chat',
+  vision: 'gpt-4o',
+  quick: 'gpt-4o-mini',
+  trivial: 'o4-mini'
+};
+
+// Providers that talk to a plain OpenAI-compatible server (Ollama, vLLM, llama.cpp, ...)
+const OPENAI_COMPATIBLE = 'openai-compatible';
+
+// Fields that decide where requests and keys go - a project file (which comes
+// with whatever repository was cloned) may only set them once the user trusts it
+const CONNECTION_FIELDS = ['endpoint', 'baseURL', 'endpointEnv', 'apiKey', 'apiKeyEnv'];
+
+class ModelRegistry {
+  constructor(options = {}) {
+    this.userFile = options.userFile || path.join(os.homedir(), '.orion', 'models.json');
+    this.projectFile = options.projectFile || path.join(process.cwd(), '.orion', 'models.json');
+    this.models = {};
+    this.routing = { ...DEFAULT_ROUTING };
+    this.defaultModel = 'deepseek-r1';
+    this.fallbackModel = 'gpt-5-chat';
+    this.sources = [];
+    this.errors = [];
+    this.load();
+  }
+
+  /**
+   * (Re)load built-ins and merge user and project model files on top
+   */
+  load() {
+    this.models = {};
+    this.routing = { ...DEFAULT_ROUTING };
+    this.sources = ['built-in'];
+    this.errors = [];
+
+    for (const [name, entry] of Object.entries(BUILTIN_MODELS)) {
+      this.models[name] = this.normalizeEntry(name, entry);
+    }
+
+    // Project file wins over user file
+    const userData = this.readModelsFile(this.userFile);
+    const trustProject = !!(userData && userData.trustProjectModels);
+    for (const [file, data] of [[this.userFile, userData], [this.projectFile, this.readModelsFile(this.projectFile)]]) {
+      if (!data) continue;
+
+      this.sources.push(file);
+      for (const [name, entry] of Object.entries(data.models || {})) {
+        if (entry === null || entry.disabled) {
+          delete this.models[name];
+          continue;
+        }
+        const allowed = file === this.projectFile && !trustProject ? this.withoutConnectionFields(file, name, entry) : entry;
+        this.models[name] = this.normalizeEntry(name, this.mergeEntry(this.models[name], allowed));
+      }
+      if (data.defaultModel) {
+        this.defaultModel = data.defaultModel;
+      }
+      if (data.routing) {
+        Object.assign(this.routing, data.routing);
+      }
+    }
+
+    if (!this.models[this.fallbackModel]) {
+      this.fallbackModel = Object.keys(this.models)[0] || null;
+    }
+  }
+
+  /**
+   * Read a models.json file, recording (not throwing) parse errors
+   */
+  readModelsFile(file) {
+    try {
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      this.errors.push(`${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * A project entry minus its endpoint and key settings, noting what was dropped
+   */
+  withoutConnectionFields(file, name, entry) {
+    const dropped = CONNECTION_FIELDS.filter(field => entry[field] !== undefined);
+    if (dropped.length === 0) return entry;
+
+    this.errors.push(`${file}: ignored ${dropped.join(', ')} for ${name} - a project models.json can't choose endpoints or API keys unless ~/.orion/models.json sets "trustProjectModels": true`);
+    const allowed = { ...entry };
+    dropped.forEach(field => delete allowed[field]);
+    return allowed;
+  }
+
+  /**
+   * Overlay a file entry on an existing one, merging capabilities field by field
+   */
+  mergeEntry(base = {}, override = {}) {
+    // Accept OpenAI-style aliases: baseURL for endpoint, modelName for deployment
+    const aliases = {};
+    if (override.baseURL && !override.endpoint) aliases.endpoint = override.baseURL;
+    if (override.modelName && !override.deployment) aliases.deployment = override.modelName;
+
+    return {
+      ...base,
+      ...override,
+      ...aliases,
+      capabilities: { ...(base.capabilities || {}), ...(override.capabilities || {}) },
+      pricing: base.pricing || override.pricing ? { ...(base.pricing || {}), ...(override.pricing || {}) } : undefined
+    };
+  }
+
+  /**
+   * Fill in defaults so every entry has the same shape
+   */
+  normalizeEntry(name, entry) {
+    const provider = entry.provider || 'azure';
+    return {
+      name,
+      provider,
+      endpoint: (entry.endpoint || (entry.endpointEnv && process.env[entry.endpointEnv]) || '').replace(/\/+$/, ''),
+      endpointEnv: entry.endpointEnv,
+      // For openai-compatible servers this is the model id sent with each request
+      deployment: entry.deployment || name,
+      apiVersion: entry.apiVersion || DEFAULT_API_VERSION,
+      apiKey: entry.apiKey,
+      apiKeyEnv: entry.apiKeyEnv,
+      authHeader: entry.authHeader || (provider === OPENAI_COMPATIBLE ? 'bearer' : 'api-key'),
+      contextLimit: entry.contextLimit || 128000,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...(entry.capabilities || {}) },
+      pricing: entry.pricing && entry.pricing.input !== undefined && entry.pricing.output !== undefined ? entry.pricing : null,
+      autoRoute: entry.autoRoute !== false,
+      icon: entry.icon || '🤖',
+      color: entry.color || 'primary',
+      description: entry.description || ''
+    };
+  }
+
+  /**
+   * Resolve the API key from an inline value or the first set environment variable
+   */
+  resolveKey(entry) {
+    if (entry.apiKey) return entry.apiKey;
+    const envNames = Array.isArray(entry.apiKeyEnv) ? entry.apiKeyEnv : [entry.apiKeyEnv];
+    for (const envName of envNames) {
+      if (envName && process.env[envName]) {
+        return process.env[envName];
+      }
+    }
+    return undefined;
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.models, name);
+  }
+
+  get(name) {
+    return this.models[name] || null;
+  }
+
+  list() {
+    return Object.values(this.models);
+  }
+
+  getModelNames() {
+    return Object.keys(this.models);
+  }
+
+  /**
+   * Local OpenAI-compatible servers usually run without authentication
+   */
+  requiresKey(entry) {
+    return entry.provider !== OPENAI_COMPATIBLE && entry.authHeader !== 'none';
+  }
+
+  /**
+   * What keeps a model from being used - 'no endpoint (set X)', 'no API key (set Y)' -
+   * or null when it is ready
+   */
+  missingSetting(name) {
+    const entry = this.get(name);
+    if (!entry) return 'unknown model';
+    const hint = envName => {
+      const names = (Array.isArray(envName) ? envName : [envName]).filter(Boolean);
+      return names.length > 0 ? ` (set ${names.join(' or ')})` : '';
+    };
+    if (!entry.endpoint) return `no endpoint${hint(entry.endpointEnv)}`;
+    if (this.requiresKey(entry) && !this.resolveKey(entry)) return `no API key${hint(entry.apiKeyEnv)}`;
+    return null;
+  }
+
+  /**
+   * Whether a model is usable right now (known, with an endpoint and credentials if it needs them)
+   */
+  isAvailable(name) {
+    return this.missingSetting(name) === null;
+  }
+
+  /**
+   * Model for a smart-routing task category, or null if none is configured
+   */
+  getRouteTarget(category) {
+    return this.routing[category] || null;
+  }
+
+  getContextLimit(name) {
+    const entry = this.get(name);
+    return entry ? entry.contextLimit : 128000;
+  }
+
+  /**
+   * USD per 1M tokens ({ input, cachedInput, output }), or null when unknown
+   */
+  getPricing(name) {
+    const entry = this.get(name);
+    return entry ? entry.pricing : null;
+  }
+
+  /**
+   * Context limits keyed by model name (consumed by ContextManager)
+   */
+  getModelLimits() {
+    const limits = {};
+    for (const entry of this.list()) {
+      limits[entry.name] = entry.contextLimit;
+    }
+    return limits;
+  }
+
+  /**
+   * Build the runtime config for a model, falling back to the default model
+   */
+  resolveConfig(name) {
+    const modelName = this.has(name) ? name : this.fallbackModel;
+    const entry = this.get(modelName);
+    if (!entry) {
+      throw new Error('No models configured - check your models.json files');
+    }
+
+    return {
+      ...entry,
+      model: modelName,
+      key: this.resolveKey(entry),
+      // Flags the rest of the CLI already understands
+      supportsTemperature: entry.capabilities.temperature,
+      supportsTools: entry.capabilities.tools,
+      supportsVision: entry.capabilities.vision,
+      isReasoning: entry.capabilities.reasoning
+    };
+  }
+
+  /**
+   * Options for the OpenAI client constructor for a resolved config
+   */
+  getClientOptions(config) {
+    if (!config.endpoint) {
+      const setting = config.endpointEnv ? `set ${config.endpointEnv} or add` : 'add';
+      const example = config.provider === OPENAI_COMPATIBLE ? ' (base URL such as http://localhost:11434/v1)' : '';
+      throw new Error(`Model ${config.model} has no endpoint - ${setting} an "endpoint"${example} for it in ~/.orion/models.json`);
+    }
+
+    const headers = {};
+    if (config.authHeader === 'api-key' && config.key) {
+      headers['api-key'] = config.key;
+    }
+
+    if (config.provider === 'azure-inference') {
+      return {
+        apiKey: config.key,
+        baseURL: config.endpoint,
+        defaultHeaders: { ...headers, 'Content-Type': 'application/json' }
+      };
+    }
+
+    if (config.provider === OPENAI_COMPATIBLE) {
+      return {
+        // The SDK insists on a key even when the server ignores it
+        apiKey: config.key || 'no-key',
+        baseURL: config.endpoint,
+        defaultHeaders: headers
+      };
+    }
+
+    if (config.provider === 'azure') {
+      return {
+        apiKey: config.key,
+        baseURL: `${config.endpoint}/openai/deployments/${config.deployment}`,
+        defaultQuery: { 'api-version': config.apiVersion },
+        defaultHeaders: headers
+      };
+    }
+
+    throw new Error(`Unknown provider '${config.provider}' for model ${config.model}`);
+  }
+}
+
+module.exports = ModelRegistry;
+module.exports.BUILTIN_MODELS = BUILTIN_MODELS;
+module.exports.DEFAULT_ROUTING = DEFAULT_ROUTING;
@@ -0,0 +1,133 @@
+/**
+ * Usage Tracker - Token and cost accounting from the API's usage fields
+ * Totals are kept for the session, the current turn and per model. Costs come
+ * from the model registry's pricing (USD per 1M tokens).
+ */
+
+const emptyTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  cachedTokens: 0,
+  completionTokens: 0,
+  reasoningTokens: 0,
+  cost: 0,
+  unpricedCalls: 0 // Calls to models without pricing - their cost is unknown
+});
+
+const BUDGET_MODES = ['warn', 'stop'];
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.getPricing = options.getPricing || (() => null);
+    this.budget = parseFloat(process.env.ORION_BUDGET_USD) || null;
+    this.budgetMode = BUDGET_MODES.includes(process.env.ORION_BUDGET_MODE) ? process.env.ORION_BUDGET_MODE : 'warn';
+    this.reset();
+  }
+
+  reset() {
+    this.session = emptyTotals();
+    this.turn = emptyTotals();
+    this.byModel = {};
+    this.budgetWarned = false;
+  }
+
+  beginTurn() {
+    this.turn = emptyTotals();
+  }
+
+  /**
+   * Token counts from an OpenAI usage object (chat completions or responses shape)
+   */
+  normalize(usage) {
+    const promptDetails = usage.prompt_tokens_details || usage.input_tokens_details || {};
+    const completionDetails = usage.completion_tokens_details || usage.output_tokens_details || {};
+    return {
+      promptTokens: usage.prompt_tokens || usage.input_tokens || 0,
+      cachedTokens: promptDetails.cached_tokens || 0,
+      completionTokens: usage.completion_tokens || usage.output_tokens || 0,
+      reasoningTokens: completionDetails.reasoning_tokens || 0
+    };
+  }
+
+  /**
+   * USD for one call, or null when the model has no pricing.
+   * Reasoning tokens are already part of completion_tokens and billed as output.
+   */
+  costOf(model, tokens) {
+    const pricing = this.getPricing(model);
+    if (!pricing) return null;
+    const cachedRate = pricing.cachedInput !== undefined ? pricing.cachedInput : pricing.input;
+    const uncached = Math.max(0, tokens.promptTokens - tokens.cachedTokens);
+    return (uncached * pricing.input + tokens.cachedTokens * cachedRate + tokens.completionTokens * pricing.output) / 1e6;
+  }
+
+  /**
+   * Add one API response's usage - returns the call's tokens and cost
+   */
+  record(model, usage) {
+    if (!usage) return null;
+    const tokens = this.normalize(usage);
+    const cost = this.costOf(model, tokens);
+
+    if (!this.byModel[model]) {
+      this.byModel[model] = emptyTotals();
+    }
+    for (const totals of [this.session, this.turn, this.byModel[model]]) {
+      totals.calls++;
+      totals.promptTokens += tokens.promptTokens;
+      totals.cachedTokens += tokens.cachedTokens;
+      totals.completionTokens += tokens.completionTokens;
+      totals.reasoningTokens += tokens.reasoningTokens;
+      if (cost === null) {
+        totals.unpricedCalls++;
+      } else {
+        totals.cost += cost;
+      }
+    }
+    return { ...tokens, cost };
+  }
+
+  setBudget(amount, mode = this.budgetMode) {
+    if (!BUDGET_MODES.includes(mode)) {
+      throw new Error(`Budget mode must be ${BUDGET_MODES.join(' or ')}`);
+    }
+    this.budget = amount > 0 ? amount : null;
+    this.budgetMode = mode;
+    this.budgetWarned = false;
+  }
+
+  /**
+   * 'ok', 'warn' (first check over a warn-mode budget) or 'stop' (over a stop-mode budget)
+   */
+  checkBudget() {
+    if (!this.budget || this.session.cost < this.budget) return 'ok';
+    if (this.budgetMode === 'stop') return 'stop';
+    if (this.budgetWarned) return 'ok';
+    this.budgetWarned = true;
+    return 'warn';
+  }
+
+  /**
+   * Saved with the session so /resume keeps the running totals
+   */
+  toJSON() {
+    return { session: this.session, byModel: this.byModel };
+  }
+
+  restore(state) {
+    this.reset();
+    if (!state) return;
+    this.session = { ...emptyTotals(), ...state.session };
+    for (const [model, totals] of Object.entries(state.byModel || {})) {
+      this.byModel[model] = { ...emptyTotals(), ...totals };
+    }
+  }
+}
+
+// $0.0042 for small amounts, $1.25 once it adds up
+function formatCost(usd) {
+  return usd < 1 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+module.exports = UsageTracker;
+module.exports.formatCost = formatCost;
@@ -7,13 +7,74 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
+/**
+ * Built-in rules - also fill in tools added since permissions.json was written
+ */
+function defaultRules() {
+  return {
+    // File operations
+    'read_file': { default: 'allow', patterns: [] },
+    'list_files': { default: 'allow', patterns: [] },
+    'file_exists': { default: 'allow', patterns: [] },
+    'view_file': { default: 'allow', patterns: [] },
+    'search': { default: 'allow', patterns: [] },
+    
+    // Write operations (more sensitive)
+    'write_file': { default: 'ask', patterns: [] },
+    'create_file': { default: 'ask', patterns: [] },
+    'edit_file': { default: 'ask', patterns: [] },
+    'str_replace_editor': { default: 'ask', patterns: [] },
+    'multi_edit': { default: 'ask', patterns: [] },
+    'replace_lines': { default: 'ask', patterns: [] },
+    'insert_at_line': { default: 'ask', patterns: [] },
+    'delete_file': { default: 'ask', patterns: [] },
+    
+    // Git operations
+    'git_status': { default: 'allow', patterns: [] },
+    'git_diff': { default: 'allow', patterns: [] },
+    'git_log': { default: 'allow', patterns: [] },
+    'git_branch': { default: 'allow', patterns: [] },
+    'git_commit': { default: 'ask', patterns: [] },
+    'git_push': { default: 'ask', patterns: [] },
+    'git_pull': { default: 'ask', patterns: [] },
+    
+    // System operations
+    'execute_bash': { default: 'ask', patterns: [] },
+    'system_info': { default: 'allow', patterns: [] },
+    'process_list': { default: 'allow', patterns: [] },
+    
+    // Docker operations
+    'docker_ps': { default: 'allow', patterns: [] },
+    'docker_images': { default: 'allow', patterns: [] },
+    'docker_run': { default: 'ask', patterns: [] },
+    'docker_stop': { default: 'ask', patterns: [] },
+    'docker_exec': { default: 'ask', patterns: [] },
+    
+    // SSH operations (very sensitive)
+    'ssh_connect': { default: 'ask', patterns: [] },
+    'scp_transfer': { default: 'ask', patterns: [] },
+    
+    // Database operations
+    'db_query': { default: 'ask', patterns: [] },
+    'db_backup': { default: 'ask', patterns: [] },
+    'db_restore': { default: 'ask', patterns: [] },
+    'db_explain': { default: 'allow', patterns: [] },
+    
+    // Web - web_fetch also checks the "domains" lists
+    'web_fetch': { default: 'ask', patterns: [] },
+    
+    // Planning (only updates OrionCLI's own state)
+    'todo_write': { default: 'allow', patterns: [] }
+  };
+}
+
 class PermissionManager {
   constructor() {
     this.configDir = path.join(os.homedir(), '.orion');
     this.configFile = path.join(this.configDir, 'permissions.json');
     this.sessionPermissions = new Map(); // Temporary session permissions
     this.permissions = null;
-    this.loadPermissions();
+    this.ready = this.loadPermissions();
   }
 
   /**
@@ -27,54 +88,13 @@ class PermissionManager {
       // Try to load existing permissions
       const data = await fs.readFile(this.configFile, 'utf8');
       this.permissions = JSON.parse(data);
+      this.permissions.rules = { ...defaultRules(), ...this.permissions.rules };
+      this.permissions.domains = { allow: [], deny: [], ...this.permissions.domains };
     } catch (error) {
       // Initialize with default permissions
       this.permissions = {
         version: '1.0.0',
-        rules: {
-          // File operations
-          'read_file': { default: 'allow', patterns: [] },
-          'list_files': { default: 'allow', patterns: [] },
-          'file_exists': { default: 'allow', patterns: [] },
-          'view_file': { default: 'allow', patterns: [] },
-          
-          // Write operations (more sensitive)
-          'write_file': { default: 'ask', patterns: [] },
-          'create_file': { default: 'ask', patterns: [] },
-          'edit_file': { default: 'ask', patterns: [] },
-          'str_replace_editor': { default: 'ask', patterns: [] },
-          'delete_file': { default: 'ask', patterns: [] },
-          
-          // Git operations
-          'git_status': { default: 'allow', patterns: [] },
-          'git_diff': { default: 'allow', patterns: [] },
-          'git_log': { default: 'allow', patterns: [] },
-          'git_branch': { default: 'allow', patterns: [] },
-          'git_commit': { default: 'ask', patterns: [] },
-          'git_push': { default: 'ask', patterns: [] },
-          'git_pull': { default: 'ask', patterns: [] },
-          
-          // System operations
-          'execute_bash': { default: 'ask', patterns: [] },
-          'system_info': { default: 'allow', patterns: [] },
-          'process_list': { default: 'allow', patterns: [] },
-          
-          // Docker operations
-          'docker_ps': { default: 'allow', patterns: [] },
-          'docker_images': { default: 'allow', patterns: [] },
-          'docker_run': { default: 'ask', patterns: [] },
-          'docker_stop': { default: 'ask', patterns: [] },
-          'docker_exec': { default: 'ask', patterns: [] },
-          
-          // SSH operations (very sensitive)
-          'ssh_connect': { default: 'ask', patterns: [] },
-          'scp_transfer': { default: 'ask', patterns: [] },
-          
-          // Database operations
-          'db_query': { default: 'ask', patterns: [] },
-          'db_backup': { default: 'ask', patterns: [] },
-          'db_restore': { default: 'ask', patterns: [] }
-        },
+        rules: defaultRules(),
         
         // Pattern-based rules (like Claude Code)
         patterns: {
@@ -83,6 +103,13 @@ class PermissionManager {
           ask: []
         },
         
+        // Hosts web_fetch may always (allow) or never (deny) fetch - "example.com"
+        // covers its subdomains, "*.example.com" only the subdomains
+        domains: {
+          allow: [],
+          deny: []
+        },
+        
         // Session rules
         sessionRules: {
           maxDuration: 3600000, // 1 hour
@@ -113,6 +140,9 @@ class PermissionManager {
    * Check if a tool execution is allowed
    */
   async checkPermission(toolName, args = {}) {
+    // Rules are loaded asynchronously from the constructor
+    await this.ready;
+
     // Build context for permission check
     const context = {
       tool: toolName,
@@ -120,17 +150,29 @@ class PermissionManager {
       timestamp: Date.now()
     };
 
-    // Check session permissions first
-    const sessionKey = this.getSessionKey(toolName, args);
-    if (this.sessionPermissions.has(sessionKey)) {
-      const sessionPerm = this.sessionPermissions.get(sessionKey);
-      if (sessionPerm.expires > Date.now()) {
-        return sessionPerm.decision;
-      } else {
-        this.sessionPermissions.delete(sessionKey);
+    // A listed domain decides a fetch outright - deny even over session answers
+    const domainDecision = toolName === 'web_fetch' && args && args.url ? this.checkDomain(args.url) : null;
+    if (domainDecision === 'deny') {
+      return 'deny';
+    }
+
+    // Check session permissions first (exact arguments, then tool-wide)
+    const sessionKeys = [this.getSessionKey(toolName, args), this.getSessionKey(toolName, {})];
+    for (const sessionKey of sessionKeys) {
+      if (this.sessionPermissions.has(sessionKey)) {
+        const sessionPerm = this.sessionPermissions.get(sessionKey);
+        if (sessionPerm.expires > Date.now()) {
+          return sessionPerm.decision;
+        } else {
+          this.sessionPermissions.delete(sessionKey);
+        }
       }
     }
 
+    if (domainDecision === 'allow') {
+      return 'allow';
+    }
+
     // Check pattern-based rules
     const patternDecision = this.checkPatterns(context);
     if (patternDecision !== null) {
@@ -155,6 +197,30 @@ class PermissionManager {
     return 'ask';
   }
 
+  /**
+   * 'allow' or 'deny' when a URL's host is on a domain list, null otherwise.
+   * Deny entries win.
+   */
+  checkDomain(url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+    const domains = (this.permissions && this.permissions.domains) || { allow: [], deny: [] };
+    const matches = entry => {
+      const domain = String(entry).toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '');
+      if (domain.startsWith('*.')) {
+        return host.endsWith(domain.slice(1));
+      }
+      return host === domain || host.endsWith(`.${domain}`);
+    };
+    if (domains.deny.some(matches)) return 'deny';
+    if (domains.allow.some(matches)) return 'allow';
+    return null;
+  }
+
   /**
    * Check pattern-based rules
    */
@@ -218,6 +284,8 @@ class PermissionManager {
    * Add a new permission rule
    */
   async addPermission(toolName, decision, pattern = null, duration = 'permanent') {
+    await this.ready;
+
     if (duration === 'session') {
       // Add session permission
       const key = this.getSessionKey(toolName, pattern?.args || {});
@@ -262,7 +330,7 @@ class PermissionManager {
   getSessionKey(toolName, args) {
     const argStr = Object.entries(args)
       .sort(([a], [b]) => a.localeCompare(b))
-      .map(([k, v]) => `${k}:${v}`)
+      .map(([k, v]) => `${k}:${v !== null && typeof v === 'object' ? JSON.stringify(v) : v}`)
       .join('|');
     return `${toolName}:${argStr}`;
   }
@@ -274,14 +342,24 @@ class PermissionManager {
     const descriptions = {
       'write_file': `create or modify file: ${args.filename || args.path}`,
       'delete_file': `delete file: ${args.filename || args.path}`,
+      'edit_file': `edit file: ${args.filename}`,
+      'multi_edit': `edit file: ${args.path} (${Array.isArray(args.edits) && args.edits.length === 1 ? '1 replacement' : `${Array.isArray(args.edits) ? args.edits.length : 0} replacements`})`,
+      'replace_lines': `replace lines ${args.start_line}-${args.end_line} of ${args.path}`,
+      'insert_at_line': `insert at line ${args.line} of ${args.path}`,
       'execute_bash': `run command: ${args.command}`,
       'git_commit': `commit changes with message: ${args.message}`,
       'git_push': `push changes to remote repository`,
       'docker_run': `run Docker container: ${args.image}`,
       'ssh_connect': `connect to SSH server: ${args.host}`,
-      'db_query': `execute database query`
+      'db_query': `${args.allow_write ? 'write to' : 'query'} database ${args.database}: ${args.query}`,
+      'web_fetch': `fetch ${args.url}`
     };
 
+    if (!descriptions[toolName] && toolName.startsWith('mcp__')) {
+      const [, server, tool] = toolName.split('__');
+      return `call ${tool} on MCP server ${server}`;
+    }
+
     return descriptions[toolName] || `execute ${toolName}`;
   }
 
@@ -309,6 +387,9 @@ class PermissionManager {
     stats.totalRules += this.permissions.patterns.allow.length;
     stats.totalRules += this.permissions.patterns.deny.length;
     stats.totalRules += this.permissions.patterns.ask.length;
+    const domains = this.permissions.domains || { allow: [], deny: [] };
+    stats.allowedDomains = domains.allow.length;
+    stats.deniedDomains = domains.deny.length;
 
     return stats;
   }
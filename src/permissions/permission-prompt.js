@@ -45,17 +45,13 @@ class PermissionPrompt {
       
       process.stdout.write('\n' + chalk.cyan('Your choice [y/a/p/n/d]: '));
       
-      // Create readline interface for single input
-      this.rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        terminal: true
-      });
-      
-      // Set raw mode for single character input
+      // Set raw mode for single character input, remembering the caller's mode
+      // (the main TUI already runs in raw mode and must keep receiving keys)
+      const wasRaw = process.stdin.isTTY ? process.stdin.isRaw : false;
       if (process.stdin.isTTY) {
         process.stdin.setRawMode(true);
       }
+      process.stdin.resume();
       
       // Listen for single keypress
       process.stdin.once('data', (key) => {
@@ -63,12 +59,10 @@ class PermissionPrompt {
         
         // Restore terminal
         if (process.stdin.isTTY) {
-          process.stdin.setRawMode(false);
+          process.stdin.setRawMode(wasRaw);
         }
         process.stdout.write(char + '\n');
         
-        this.rl.close();
-        
         // Process choice
         let decision = { allow: false, remember: false, duration: 'once' };
         
@@ -0,0 +1,52 @@
+/**
+ * Project Trust - Whether a project's own .orion settings may start programs
+ * A cloned repository's .orion/settings.json and .orion/hooks can launch MCP servers
+ * and run hook commands, so they are used only for directories listed under
+ * "trustedProjects" in ~/.orion/settings.json (a directory trusts everything below it).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+function userSettingsFile() {
+  return path.join(os.homedir(), '.orion', 'settings.json');
+}
+
+/**
+ * Whether ~/.orion/settings.json lists cwd (or a directory above it) in trustedProjects
+ */
+function isTrustedProject(cwd = process.cwd(), settingsFile = userSettingsFile()) {
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+  } catch {
+    return false;
+  }
+
+  const directory = path.resolve(cwd);
+  return [].concat(settings.trustedProjects || []).some(entry => {
+    const root = path.resolve(String(entry).replace(/^~(?=$|\/)/, os.homedir()));
+    return directory === root || directory.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+  });
+}
+
+/**
+ * Whether a settings or hook file comes with the project in cwd rather than
+ * from the user (in the home directory the two are the same file)
+ */
+function isProjectFile(file, cwd = process.cwd()) {
+  const projectDir = path.join(path.resolve(cwd), '.orion');
+  const userDir = path.dirname(userSettingsFile());
+  const resolved = path.resolve(file);
+  return projectDir !== userDir && (resolved === projectDir || resolved.startsWith(projectDir + path.sep));
+}
+
+/**
+ * What to tell the user about project settings that were skipped
+ */
+function untrustedNote(file, what, cwd = process.cwd()) {
+  return `${file}: ignored ${what} - add "${path.resolve(cwd)}" to "trustedProjects" in ~/.orion/settings.json to allow this project's settings to run commands`;
+}
+
+module.exports = { isTrustedProject, isProjectFile, untrustedNote };
@@ -0,0 +1,254 @@
+/**
+ * Session Manager - Journals conversations to ~/.orion/sessions/<id>.jsonl
+ * Append-only: each line is one record, replayed in order on resume
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+class SessionManager {
+  constructor(options = {}) {
+    this.sessionsDir = options.sessionsDir || path.join(os.homedir(), '.orion', 'sessions');
+    this.sessionId = null;
+    this.sessionFile = null;
+    this.writeQueue = Promise.resolve();
+
+    // What has already been written, so each sync only appends the difference
+    this.journaledHistory = null;
+    this.journaledCount = 0;
+    this.journaledState = null; // JSON of the last state record
+  }
+
+  /**
+   * Generate a sortable, human-readable session id
+   */
+  generateId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  /**
+   * Start a fresh session file
+   */
+  start(meta = {}) {
+    this.sessionId = this.generateId();
+    this.sessionFile = path.join(this.sessionsDir, `${this.sessionId}.jsonl`);
+    this.journaledHistory = null;
+    this.journaledCount = 0;
+    this.journaledState = null;
+
+    this.append({
+      type: 'session',
+      id: this.sessionId,
+      created: new Date().toISOString(),
+      cwd: process.cwd(),
+      ...meta
+    });
+    return this.sessionId;
+  }
+
+  /**
+   * Continue journaling into an existing session after it was loaded
+   */
+  attach(session, history) {
+    this.sessionId = session.id;
+    this.sessionFile = session.file;
+    this.journaledHistory = history;
+    this.journaledCount = history.length;
+    this.journaledState = null;
+  }
+
+  /**
+   * Stop journaling to the current file - the next sync starts a new session
+   */
+  reset() {
+    this.sessionId = null;
+    this.sessionFile = null;
+    this.journaledHistory = null;
+    this.journaledCount = 0;
+    this.journaledState = null;
+  }
+
+  /**
+   * Queue a record for writing - journaling never throws into the CLI
+   */
+  append(record) {
+    if (!this.sessionFile) return this.writeQueue;
+
+    const line = JSON.stringify({ ...record, timestamp: Date.now() }) + '\n';
+    const file = this.sessionFile;
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(this.sessionsDir, { recursive: true });
+        await fs.appendFile(file, line, 'utf8');
+      })
+      .catch(error => {
+        if (process.env.DEBUG_SESSIONS) {
+          console.error('Session journal write failed:', error.message);
+        }
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * Journal new conversation messages plus the current CLI state (when it changed).
+   * A replaced history array (context compaction) is written as a full snapshot.
+   */
+  sync(history, state = {}) {
+    if (!this.sessionFile) return this.writeQueue;
+
+    if (history !== this.journaledHistory || history.length < this.journaledCount) {
+      this.append({ type: 'snapshot', history });
+    } else {
+      for (const message of history.slice(this.journaledCount)) {
+        this.append({ type: 'message', message });
+      }
+    }
+    this.journaledHistory = history;
+    this.journaledCount = history.length;
+
+    const stateJson = JSON.stringify(state);
+    if (stateJson !== this.journaledState) {
+      this.append({ type: 'state', ...state });
+      this.journaledState = stateJson;
+    }
+    return this.writeQueue;
+  }
+
+  /**
+   * The history was rewritten in place (compaction mid-turn) - the next sync writes a snapshot
+   */
+  invalidate() {
+    this.journaledHistory = null;
+  }
+
+  /**
+   * Wait for pending writes (used before exit)
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * Read and replay a session file
+   */
+  async readSession(file) {
+    const data = await fs.readFile(file, 'utf8');
+    const session = {
+      id: path.basename(file, '.jsonl'),
+      file,
+      meta: {},
+      history: [],
+      state: {},
+      title: '',
+      updated: null
+    };
+
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // A crash can leave a partial last line
+      }
+
+      switch (record.type) {
+        case 'session':
+          session.meta = record;
+          break;
+        case 'message':
+          session.history.push(record.message);
+          break;
+        case 'snapshot':
+          session.history = record.history || [];
+          break;
+        case 'state':
+          session.state = record;
+          break;
+      }
+      session.updated = record.timestamp || session.updated;
+    }
+
+    // Image prompts keep their text in the first content part
+    const promptText = m => typeof m.content === 'string' ? m.content :
+      (Array.isArray(m.content) && m.content[0] && m.content[0].type === 'text' ? m.content[0].text : null);
+    const firstUser = session.history.find(m => m.role === 'user' && promptText(m));
+    session.title = firstUser ? promptText(firstUser).split('\n')[0].slice(0, 60) : '(no prompts)';
+    return session;
+  }
+
+  /**
+   * Session files, most recently updated first - [{ id, file, mtime }]
+   */
+  async sessionFiles() {
+    let names;
+    try {
+      names = (await fs.readdir(this.sessionsDir)).filter(f => f.endsWith('.jsonl'));
+    } catch {
+      return [];
+    }
+
+    const files = await Promise.all(names.map(async name => {
+      const file = path.join(this.sessionsDir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      return { id: path.basename(name, '.jsonl'), file, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+    return files.sort((a, b) => b.mtime - a.mtime);
+  }
+
+  /**
+   * List sessions, most recently updated first
+   */
+  async list(limit = 20) {
+    const sessions = [];
+    for (const { file } of (await this.sessionFiles()).slice(0, limit)) {
+      try {
+        sessions.push(await this.readSession(file));
+      } catch {
+        // Unreadable session - skip it
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Load a session by id or unique id prefix - ids are file names, so only the match is read
+   */
+  async load(idOrPrefix) {
+    const files = await this.sessionFiles();
+    const exact = files.find(f => f.id === idOrPrefix);
+    const matches = exact ? [exact] : files.filter(f => f.id.startsWith(idOrPrefix));
+    if (matches.length > 1) {
+      throw new Error(`Session id '${idOrPrefix}' is ambiguous (${matches.length} matches)`);
+    }
+    if (matches.length === 0) {
+      throw new Error(`Session '${idOrPrefix}' not found`);
+    }
+    return await this.readSession(matches[0].file);
+  }
+
+  /**
+   * Most recent session started in the given directory (excluding the current one),
+   * reading files newest first until one matches
+   */
+  async latest(cwd = process.cwd()) {
+    for (const { id, file } of await this.sessionFiles()) {
+      if (id === this.sessionId) continue;
+      try {
+        const session = await this.readSession(file);
+        if (session.meta.cwd === cwd && session.history.length > 0) {
+          return session;
+        }
+      } catch {
+        // Unreadable session - skip it
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = SessionManager;
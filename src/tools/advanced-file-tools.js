@@ -4,6 +4,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const EditTools = require('./edit-tools');
 
 class AdvancedFileTools {
   static getDefinitions() {
@@ -28,12 +29,12 @@ class AdvancedFileTools {
         type: 'function',
         function: {
           name: 'str_replace_editor',
-          description: 'Smart string replacement with fuzzy matching for multi-line content',
+          description: 'Replace text in a file - old_str must match exactly once (whitespace included) unless replace_all is set',
           parameters: {
             type: 'object',
             properties: {
               path: { type: 'string', description: 'File to edit' },
-              old_str: { type: 'string', description: 'String to find (supports multi-line)' },
+              old_str: { type: 'string', description: 'Exact text to find (may span lines)' },
               new_str: { type: 'string', description: 'Replacement string' },
               replace_all: { type: 'boolean', description: 'Replace all occurrences' }
             },
@@ -182,55 +183,12 @@ class AdvancedFileTools {
     }
   }
 
+  /**
+   * Exact replacement through EditTools - fails on zero or (without replace_all)
+   * several matches, and answers with a diff
+   */
   static async strReplaceEditor(filePath, oldStr, newStr, replaceAll = false) {
-    try {
-      let content = await fs.readFile(filePath, 'utf8');
-      
-      // Handle multi-line strings with fuzzy matching
-      if (oldStr.includes('\n')) {
-        const fuzzyMatch = this.findFuzzyMatch(content, oldStr);
-        if (fuzzyMatch) {
-          oldStr = fuzzyMatch;
-        }
-      }
-      
-      if (!content.includes(oldStr)) {
-        return { error: `String not found in file: "${oldStr.slice(0, 50)}..."` };
-      }
-      
-      const occurrences = (content.match(new RegExp(oldStr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
-      
-      if (replaceAll) {
-        content = content.replaceAll(oldStr, newStr);
-      } else {
-        content = content.replace(oldStr, newStr);
-      }
-      
-      await fs.writeFile(filePath, content, 'utf8');
-      
-      return { 
-        output: `✏️ Replaced ${replaceAll ? 'all' : '1'} of ${occurrences} occurrence(s) in ${filePath}` 
-      };
-    } catch (error) {
-      return { error: `Failed to edit file: ${error.message}` };
-    }
-  }
-
-  static findFuzzyMatch(content, target) {
-    // Normalize whitespace for fuzzy matching
-    const normalizedTarget = target.replace(/\s+/g, ' ').trim();
-    const lines = content.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-      const chunk = lines.slice(i, i + target.split('\n').length).join('\n');
-      const normalizedChunk = chunk.replace(/\s+/g, ' ').trim();
-      
-      if (normalizedChunk.includes(normalizedTarget)) {
-        return chunk;
-      }
-    }
-    
-    return null;
+    return await EditTools.multiEdit(filePath, [{ old_text: oldStr, new_text: newStr, replace_all: !!replaceAll }]);
   }
 
   static async createFile(filePath, content = '', force = false) {
@@ -0,0 +1,70 @@
+/**
+ * Argument Validator - Checks tool call arguments against the tool's JSON schema
+ * Covers the subset the tool definitions use: type, required, enum, pattern,
+ * minimum/maximum, items, additionalProperties and propertyNames. Unknown
+ * properties are allowed.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+/**
+ * Problems with a value, one readable line each - empty when it's valid
+ */
+function validate(schema, value, name = 'arguments') {
+  if (!schema || typeof schema !== 'object') return [];
+  const problems = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${name} must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`} (got ${typeOf(value)})`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${name} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    problems.push(`${name} must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${name} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${name} must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => problems.push(...validate(schema.items, item, `${name}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push(`${name === 'arguments' ? '' : `${name}.`}${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const label = name === 'arguments' ? key : `${name}.${key}`;
+      if (item === undefined || item === null) continue; // Optional arguments sent as null
+      if (properties[key]) {
+        problems.push(...validate(properties[key], item, label));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        if (schema.propertyNames && schema.propertyNames.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+          problems.push(`${label} is not a valid name`);
+        }
+        problems.push(...validate(schema.additionalProperties, item, label));
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = { validate };
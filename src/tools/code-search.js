@@ -0,0 +1,397 @@
+/**
+ * Code Search - Project-wide text and file-name search
+ * ripgrep does the work when it's installed; otherwise a JavaScript walk gives the
+ * same results. Both skip hidden, binary and .gitignore'd files, return matches
+ * sorted by path (so pages stay stable between calls) and stop reading once the
+ * requested page is full.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ignore = require('ignore');
+const { spawnTracked } = require('./process-tracker');
+const { loadIgnoreRules, isIgnored } = require('./ignore-rules');
+
+const MAX_LINE_CHARS = 300;
+const MAX_CONTEXT = 10;
+const MAX_PAGE_BYTES = 48 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+
+// Byte order, as ripgrep's --sort path uses
+const byPath = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+let ripgrepMissing = false;
+
+class CodeSearch {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.pageSize = options.pageSize || parseInt(process.env.ORION_SEARCH_PAGE_SIZE, 10) || 50;
+    // ORION_RIPGREP: path to rg, or "off" for the JavaScript search
+    this.ripgrep = options.ripgrep !== undefined ? options.ripgrep : (process.env.ORION_RIPGREP || 'rg');
+  }
+
+  /**
+   * Lines matching query. options: { path, regex, caseSensitive, wholeWord, include,
+   * exclude, context, offset, limit }
+   * -> { engine, matches: [{ file, line, column, text, match, before, after }],
+   *      offset, hasMore, nextOffset, truncatedBy }
+   */
+  async searchContent(query, options = {}) {
+    const settings = this.settings(options);
+    const pattern = this.buildRegex(query, settings);
+
+    let engine = 'javascript';
+    let matches = null;
+    if (this.ripgrepAvailable()) {
+      matches = await this.ripgrepContent(query, settings);
+      engine = 'ripgrep';
+    }
+    if (matches === null) {
+      engine = 'javascript';
+      matches = await this.walkContent(pattern, settings);
+    }
+    return { engine, ...this.page(matches, settings) };
+  }
+
+  /**
+   * Files whose path fuzzily matches query, best first
+   * -> { engine, files: [{ file, score }], offset, hasMore, nextOffset, truncatedBy }
+   */
+  async searchFiles(query, options = {}) {
+    const settings = this.settings(options);
+
+    let engine = 'javascript';
+    let files = null;
+    if (this.ripgrepAvailable()) {
+      files = await this.ripgrepFiles(settings);
+      engine = 'ripgrep';
+    }
+    if (files === null) {
+      engine = 'javascript';
+      files = [];
+      await this.walk(settings, file => {
+        files.push(file);
+      });
+    }
+
+    const scored = files
+      .map(file => ({ file, score: this.fileScore(query, file) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || byPath(a.file, b.file));
+    const { matches, ...rest } = this.page(scored, settings);
+    return { engine, files: matches, ...rest };
+  }
+
+  settings(options) {
+    const target = path.resolve(this.cwd, options.path || '.');
+    return {
+      target,
+      regex: Boolean(options.regex),
+      caseSensitive: Boolean(options.caseSensitive),
+      wholeWord: Boolean(options.wholeWord),
+      include: options.include || null,
+      exclude: options.exclude || null,
+      context: Math.min(Math.max(options.context || 0, 0), MAX_CONTEXT),
+      offset: options.offset || 0,
+      limit: Math.min(options.limit || this.pageSize, 200),
+      // Enough matches to fill the page and know whether another follows
+      want: (options.offset || 0) + Math.min(options.limit || this.pageSize, 200) + 1
+    };
+  }
+
+  buildRegex(query, settings) {
+    let source = settings.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (settings.wholeWord) {
+      source = `\\b(?:${source})\\b`;
+    }
+    return new RegExp(source, settings.caseSensitive ? '' : 'i'); // SyntaxError says what's wrong
+  }
+
+  /**
+   * One page of entries, also cut short when it would get too big for the context
+   */
+  page(entries, { offset, limit }) {
+    const slice = [];
+    let bytes = 0;
+    let truncatedBy = null;
+    for (const entry of entries.slice(offset, offset + limit)) {
+      const size = Buffer.byteLength(JSON.stringify(entry));
+      if (slice.length > 0 && bytes + size > MAX_PAGE_BYTES) {
+        truncatedBy = 'bytes';
+        break;
+      }
+      bytes += size;
+      slice.push(entry);
+    }
+    const hasMore = entries.length > offset + slice.length;
+    return {
+      matches: slice,
+      offset,
+      hasMore,
+      nextOffset: hasMore ? offset + slice.length : null,
+      truncatedBy: hasMore ? truncatedBy || 'limit' : null
+    };
+  }
+
+  ripgrepAvailable() {
+    return !ripgrepMissing && this.ripgrep !== 'off';
+  }
+
+  globArgs(settings) {
+    const args = ['--no-require-git'];
+    if (settings.include) args.push('--glob', settings.include);
+    if (settings.exclude) args.push('--glob', `!${settings.exclude}`);
+    return args;
+  }
+
+  /**
+   * Matches from `rg --json`, or null when rg isn't installed
+   */
+  async ripgrepContent(query, settings) {
+    const args = ['--json', '--sort', 'path', ...this.globArgs(settings)];
+    args.push(settings.caseSensitive ? '--case-sensitive' : '--ignore-case');
+    if (settings.wholeWord) args.push('--word-regexp');
+    if (!settings.regex) args.push('--fixed-strings');
+    if (settings.context > 0) args.push('--context', String(settings.context));
+    args.push('--', query, this.relative(settings.target) || '.');
+
+    // Lines are gathered per file and turned into matches at the file's end event
+    const matches = [];
+    let lines = new Map();
+    let hits = [];
+    const ran = await this.runRipgrep(args, (event, stop) => {
+      const data = event.data;
+      if (event.type === 'begin') {
+        lines = new Map();
+        hits = [];
+      } else if ((event.type === 'match' || event.type === 'context') && data.lines.text !== undefined) {
+        const text = data.lines.text.replace(/\r?\n$/, '');
+        lines.set(data.line_number, text);
+        if (event.type === 'match') {
+          const first = data.submatches[0];
+          hits.push({
+            file: this.relative(path.resolve(this.cwd, data.path.text)),
+            line: data.line_number,
+            // Byte offsets from rg, characters for us
+            column: first ? Buffer.from(text).subarray(0, first.start).toString().length + 1 : 1,
+            match: first && first.match.text !== undefined ? first.match.text : ''
+          });
+        }
+      } else if (event.type === 'end') {
+        for (const hit of hits) {
+          matches.push(this.withContext(hit, number => lines.get(number), settings.context));
+        }
+        if (matches.length >= settings.want) stop();
+      }
+    });
+    return ran === null ? null : matches;
+  }
+
+  /**
+   * Every searchable file from `rg --files`, or null when rg isn't installed
+   */
+  async ripgrepFiles(settings) {
+    const files = [];
+    const args = ['--files', '--sort', 'path', ...this.globArgs(settings), '--', this.relative(settings.target) || '.'];
+    const result = await this.runRipgrep(args, null, line => {
+      files.push(this.relative(path.resolve(this.cwd, line)));
+    });
+    return result === null ? null : files;
+  }
+
+  /**
+   * Run rg, handing each output line to onEvent (parsed JSON) or onLine (raw).
+   * Resolves null if rg isn't installed; exit 1 just means no matches.
+   */
+  runRipgrep(args, onEvent, onLine) {
+    return new Promise((resolve, reject) => {
+      const child = spawnTracked(this.ripgrep, args, { cwd: this.cwd });
+      let stopped = false;
+      let stderr = '';
+      let buffered = '';
+      const stop = () => {
+        if (!stopped) {
+          stopped = true;
+          child.kill();
+        }
+      };
+
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', chunk => {
+        if (stopped) return;
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          if (stopped || !line) continue;
+          if (onLine) {
+            onLine(line);
+            continue;
+          }
+          try {
+            onEvent(JSON.parse(line), stop);
+          } catch {
+            // Not one of rg's JSON messages
+          }
+        }
+      });
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+
+      child.on('error', error => {
+        if (error.code === 'ENOENT') {
+          ripgrepMissing = true;
+          resolve(null);
+        } else {
+          reject(error);
+        }
+      });
+      child.on('close', code => {
+        if (child.cancelled) {
+          reject(Object.assign(new Error('Search cancelled'), { cancelled: true }));
+        } else if (stopped || code === 0 || code === 1) {
+          resolve(true);
+        } else if (code !== null) {
+          // Regex errors span several lines; the "error:" one says what's wrong
+          const lines = stderr.trim().split('\n');
+          const reason = lines.find(line => line.startsWith('error:')) || lines[0];
+          reject(new Error(reason ? `ripgrep ${reason}` : `ripgrep exited with ${code}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Matches found by reading the files ourselves
+   */
+  async walkContent(pattern, settings) {
+    const matches = [];
+    await this.walk(settings, async file => {
+      let buffer;
+      try {
+        buffer = await fs.readFile(path.join(this.cwd, file));
+      } catch {
+        return; // Unreadable
+      }
+      if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+        return;
+      }
+      const lines = buffer.toString('utf8').split(/\r?\n/);
+      if (lines[lines.length - 1] === '') lines.pop();
+
+      lines.forEach((text, index) => {
+        const found = pattern.exec(text);
+        if (found) {
+          matches.push(this.withContext(
+            { file, line: index + 1, column: found.index + 1, match: found[0] },
+            number => lines[number - 1],
+            settings.context
+          ));
+        }
+      });
+      return matches.length >= settings.want;
+    });
+    return matches;
+  }
+
+  /**
+   * Visit searchable files under settings.target in path order, relative to cwd.
+   * visit may return true to stop the walk.
+   */
+  async walk(settings, visit) {
+    const rules = await loadIgnoreRules(this.cwd);
+    const included = settings.include ? ignore().add(settings.include) : null;
+    const excluded = settings.exclude ? ignore().add(settings.exclude) : null;
+
+    const stat = await fs.stat(settings.target).catch(() => null);
+    if (!stat) {
+      throw new Error(`No such file or directory: ${this.relative(settings.target) || settings.target}`);
+    }
+    if (stat.isFile()) {
+      await visit(this.relative(settings.target));
+      return;
+    }
+
+    // Globs apply to the path below the searched directory, e.g. *.ts or lib/**
+    const globPath = fullPath => path.relative(settings.target, fullPath).split(path.sep).join('/');
+
+    const visitDir = async directory => {
+      const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+      entries.sort((a, b) => byPath(a.name, b.name));
+      for (const entry of entries) {
+        // Hidden files and symlinks are skipped, as rg does by default
+        if (entry.name.startsWith('.') || entry.isSymbolicLink()) continue;
+        const fullPath = path.join(directory, entry.name);
+        const isDir = entry.isDirectory();
+        if (isIgnored(rules, this.cwd, fullPath, isDir)) continue;
+
+        if (isDir) {
+          if (await visitDir(fullPath)) return true;
+        } else if (entry.isFile()) {
+          if (included && !included.ignores(globPath(fullPath))) continue;
+          if (excluded && excluded.ignores(globPath(fullPath))) continue;
+          if (await visit(this.relative(fullPath))) return true;
+        }
+      }
+      return false;
+    };
+    await visitDir(settings.target);
+  }
+
+  withContext(hit, lineAt, context) {
+    const text = lineAt(hit.line) || '';
+    const around = numbers => numbers
+      .map(lineAt)
+      .filter(line => line !== undefined)
+      .map(line => this.clip(line));
+    const before = [];
+    const after = [];
+    for (let n = Math.max(1, hit.line - context); n < hit.line; n++) before.push(n);
+    for (let n = hit.line + 1; n <= hit.line + context; n++) after.push(n);
+    return {
+      file: hit.file,
+      line: hit.line,
+      column: hit.column,
+      text: this.clip(text),
+      match: this.clip(hit.match),
+      before: around(before),
+      after: around(after)
+    };
+  }
+
+  clip(line) {
+    return line.length > MAX_LINE_CHARS ? `${line.slice(0, MAX_LINE_CHARS)}…` : line;
+  }
+
+  /**
+   * Fuzzy file-name score: exact name, then name prefix, name substring, path
+   * substring, and finally every character in order. 0 = no match.
+   */
+  fileScore(query, file) {
+    const search = query.toLowerCase();
+    const target = file.toLowerCase();
+    const name = path.posix.basename(target);
+    if (name === search) return 100;
+    if (name.startsWith(search)) return 80;
+    if (name.includes(search)) return 60;
+    if (target.includes(search)) return 40;
+
+    let position = -1;
+    let first = -1;
+    for (const char of search) {
+      position = target.indexOf(char, position + 1);
+      if (position < 0) return 0;
+      if (first < 0) first = position;
+    }
+    // Tighter spreads rank higher
+    return Math.max(1, 20 - Math.floor((position - first - search.length) / 4));
+  }
+
+  relative(absolutePath) {
+    return path.relative(this.cwd, absolutePath).split(path.sep).join('/');
+  }
+}
+
+module.exports = CodeSearch;
@@ -3,9 +3,6 @@
  */
 const crypto = require('crypto');
 const fs = require('fs').promises;
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
 
 class ConversionTools {
   static getDefinitions() {
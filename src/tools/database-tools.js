@@ -1,10 +1,18 @@
 /**
  * Database Tools - Essential operations only
- * Simple, practical database operations that complement AI capabilities
+ * Simple, practical database operations that complement AI capabilities.
+ * SQLite runs in-process (see sqlite-backend.js); MySQL and PostgreSQL go
+ * through their command-line clients.
  */
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { runCommand } = require('./process-tracker');
+const SQLiteBackend = require('./sqlite-backend');
+
+// Paths and connection strings (see runCommand)
+const DATABASE_PATTERN = '^[^-]';
+const TABLE_PATTERN = '^[A-Za-z_][\\w.$]*$';
+const DB_TYPES = ['mysql', 'postgres', 'sqlite'];
 
 class DatabaseTools {
   static getDefinitions() {
@@ -17,9 +25,29 @@ class DatabaseTools {
           parameters: {
             type: 'object',
             properties: {
-              database: { type: 'string', description: 'Database connection string or path' },
-              query: { type: 'string', description: 'SQL query to execute' },
-              db_type: { type: 'string', description: 'mysql, postgres, sqlite' }
+              database: { type: 'string', pattern: DATABASE_PATTERN, description: 'Database connection string or path' },
+              query: { type: 'string', description: 'SQL query to execute - one statement; use ? or :name placeholders for values' },
+              db_type: { type: 'string', enum: DB_TYPES, description: 'mysql, postgres, sqlite' },
+              params: { description: 'SQLite: values for the placeholders - an array for ?, an object for :name' },
+              allow_write: { type: 'boolean', description: 'SQLite: open the database writable (default: read-only, writes are refused)' },
+              offset: { type: 'integer', minimum: 0, description: 'SQLite: rows to skip - pass nextOffset from the previous page' },
+              limit: { type: 'integer', minimum: 1, description: 'SQLite: rows per page (capped by ORION_DB_MAX_ROWS)' }
+            },
+            required: ['database', 'query']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'db_explain',
+          description: 'Show the SQLite query plan (EXPLAIN QUERY PLAN) for a query, e.g. to check index use',
+          parameters: {
+            type: 'object',
+            properties: {
+              database: { type: 'string', pattern: DATABASE_PATTERN, description: 'SQLite database path' },
+              query: { type: 'string', description: 'SQL query to explain' },
+              params: { description: 'Values for the placeholders - an array for ?, an object for :name' }
             },
             required: ['database', 'query']
           }
@@ -33,9 +61,9 @@ class DatabaseTools {
           parameters: {
             type: 'object',
             properties: {
-              database: { type: 'string', description: 'Database to backup' },
-              output_path: { type: 'string', description: 'Backup file path' },
-              db_type: { type: 'string', description: 'mysql, postgres, sqlite' }
+              database: { type: 'string', pattern: DATABASE_PATTERN, description: 'Database to backup' },
+              output_path: { type: 'string', pattern: DATABASE_PATTERN, description: 'Backup file path' },
+              db_type: { type: 'string', enum: DB_TYPES, description: 'mysql, postgres, sqlite' }
             },
             required: ['database', 'output_path']
           }
@@ -49,9 +77,9 @@ class DatabaseTools {
           parameters: {
             type: 'object',
             properties: {
-              backup_file: { type: 'string', description: 'Path to backup file' },
-              database: { type: 'string', description: 'Target database' },
-              db_type: { type: 'string', description: 'mysql, postgres, sqlite' }
+              backup_file: { type: 'string', pattern: DATABASE_PATTERN, description: 'Path to backup file' },
+              database: { type: 'string', pattern: DATABASE_PATTERN, description: 'Target database' },
+              db_type: { type: 'string', enum: DB_TYPES, description: 'mysql, postgres, sqlite' }
             },
             required: ['backup_file', 'database']
           }
@@ -65,9 +93,9 @@ class DatabaseTools {
           parameters: {
             type: 'object',
             properties: {
-              database: { type: 'string', description: 'Database connection' },
-              table: { type: 'string', description: 'Specific table (optional)' },
-              db_type: { type: 'string', description: 'mysql, postgres, sqlite' }
+              database: { type: 'string', pattern: DATABASE_PATTERN, description: 'Database connection' },
+              table: { type: 'string', pattern: TABLE_PATTERN, description: 'Specific table (optional)' },
+              db_type: { type: 'string', enum: DB_TYPES, description: 'mysql, postgres, sqlite' }
             },
             required: ['database']
           }
@@ -76,124 +104,204 @@ class DatabaseTools {
     ];
   }
 
-  static async dbQuery(database, query, dbType = 'sqlite') {
+  /**
+   * A SQLite call as a tool result - driver errors become { error, code }
+   */
+  static async sqlite(failure, run) {
     try {
-      let command;
-      
-      switch (dbType) {
-        case 'sqlite':
-          command = `sqlite3 "${database}" "${query}"`;
-          break;
-        case 'mysql':
-          command = `mysql -e "${query}" ${database}`;
-          break;
-        case 'postgres':
-          command = `psql -c "${query}" ${database}`;
-          break;
-        default:
-          throw new Error(`Unsupported database type: ${dbType}`);
-      }
-      
-      const { stdout, stderr } = await execAsync(command);
-      
-      return `📊 Query Results:\n\n${stdout || 'Query executed successfully'}${stderr ? `\n⚠️ Warnings: ${stderr}` : ''}`;
-      
+      return await run(new SQLiteBackend());
     } catch (error) {
-      throw new Error(`Database query failed: ${error.message}`);
+      return { error: `${failure}: ${error.message}`, code: error.code || null };
+    }
+  }
+
+  /**
+   * Rows as a table for the terminal - long values are cut, NULL and blobs marked
+   */
+  static renderTable(result) {
+    if (result.columns.length === 0) {
+      return '(no columns)';
+    }
+    const table = new Table({
+      head: result.columns.map(column => column.name),
+      style: { head: ['cyan'], border: ['grey'] },
+      chars: { mid: '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' },
+      wordWrap: false
+    });
+    const cell = value => {
+      if (value === null) return 'NULL';
+      if (typeof value === 'object') return `<blob ${value.bytes} bytes>`;
+      const text = String(value).replace(/\n/g, '\\n');
+      return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+    };
+    for (const row of result.rows) {
+      table.push(result.columns.map(column => cell(row[column.name])));
+    }
+    return table.toString();
+  }
+
+  static pageSummary(result) {
+    const first = result.offset + 1;
+    const last = result.offset + result.rowCount;
+    const range = result.rowCount > 0 ? `rows ${first}-${last}` : 'no rows';
+    if (!result.hasMore) {
+      return range;
     }
+    const reason = result.truncatedBy === 'bytes' ? 'byte limit reached' : 'more rows';
+    return `${range}, ${reason} - next page: offset ${result.nextOffset}`;
+  }
+
+  static async dbQuery(database, query, dbType = 'sqlite', options = {}) {
+    if (dbType === 'sqlite') {
+      return await this.sqlite('Database query failed', backend => {
+        const result = backend.query(database, query, options);
+        const mode = result.readOnly ? 'read-only' : 'writable';
+        if (result.rows === undefined) {
+          return `✅ ${result.changes} row${result.changes === 1 ? '' : 's'} changed (${mode}${result.lastInsertRowid ? `, last insert rowid ${result.lastInsertRowid}` : ''})`;
+        }
+        const summary = this.pageSummary(result);
+        const { readOnly, ...payload } = result;
+        return {
+          output: `📊 Query Results (${summary}, ${mode}):\n\n${JSON.stringify(payload)}`,
+          display: `📊 Query Results (${summary}):\n${this.renderTable(result)}`
+        };
+      });
+    }
+
+    let file;
+    let args;
+    switch (dbType) {
+      case 'mysql':
+        file = 'mysql';
+        args = [`--database=${database}`, '-e', query];
+        break;
+      case 'postgres':
+        file = 'psql';
+        args = [`--dbname=${database}`, '-c', query];
+        break;
+      default:
+        return { error: `Unsupported database type: ${dbType}` };
+    }
+    
+    const result = await runCommand(file, args);
+    if (result.error) {
+      return { ...result, error: `Database query failed: ${result.error}` };
+    }
+    return `📊 Query Results:\n\n${result}`;
   }
 
   static async dbBackup(database, outputPath, dbType = 'sqlite') {
-    try {
-      let command;
-      
-      switch (dbType) {
-        case 'sqlite':
-          command = `sqlite3 "${database}" ".backup '${outputPath}'"`;
-          break;
-        case 'mysql':
-          command = `mysqldump ${database} > "${outputPath}"`;
-          break;
-        case 'postgres':
-          command = `pg_dump ${database} > "${outputPath}"`;
-          break;
-        default:
-          throw new Error(`Unsupported database type: ${dbType}`);
-      }
-      
-      await execAsync(command);
-      
-      return `✅ Database backup created successfully at: ${outputPath}`;
-      
-    } catch (error) {
-      throw new Error(`Database backup failed: ${error.message}`);
+    let file;
+    let args;
+    switch (dbType) {
+      case 'sqlite':
+        return await this.sqlite('Database backup failed', async backend => {
+          await backend.backup(database, outputPath);
+          return `✅ Database backup created successfully at: ${outputPath}`;
+        });
+      case 'mysql':
+        file = 'mysqldump';
+        args = [`--result-file=${outputPath}`, '--', database];
+        break;
+      case 'postgres':
+        file = 'pg_dump';
+        args = [`--file=${outputPath}`, `--dbname=${database}`];
+        break;
+      default:
+        return { error: `Unsupported database type: ${dbType}` };
+    }
+    
+    const result = await runCommand(file, args);
+    if (result.error) {
+      return { ...result, error: `Database backup failed: ${result.error}` };
     }
+    return `✅ Database backup created successfully at: ${outputPath}`;
   }
 
   static async dbRestore(backupFile, database, dbType = 'sqlite') {
-    try {
-      let command;
-      
-      switch (dbType) {
-        case 'sqlite':
-          command = `sqlite3 "${database}" ".restore '${backupFile}'"`;
-          break;
-        case 'mysql':
-          command = `mysql ${database} < "${backupFile}"`;
-          break;
-        case 'postgres':
-          command = `psql ${database} < "${backupFile}"`;
-          break;
-        default:
-          throw new Error(`Unsupported database type: ${dbType}`);
-      }
-      
-      await execAsync(command);
-      
-      return `✅ Database restored successfully from: ${backupFile}`;
-      
-    } catch (error) {
-      throw new Error(`Database restore failed: ${error.message}`);
+    let file;
+    let args;
+    let options = {};
+    switch (dbType) {
+      case 'sqlite':
+        return await this.sqlite('Database restore failed', async backend => {
+          await backend.restore(backupFile, database);
+          return `✅ Database restored successfully from: ${backupFile}`;
+        });
+      case 'mysql':
+        // mysql reads the dump from stdin
+        try {
+          options = { input: await fs.readFile(backupFile) };
+        } catch (error) {
+          return { error: `Database restore failed: ${error.message}` };
+        }
+        file = 'mysql';
+        args = [`--database=${database}`];
+        break;
+      case 'postgres':
+        file = 'psql';
+        args = [`--dbname=${database}`, `--file=${backupFile}`];
+        break;
+      default:
+        return { error: `Unsupported database type: ${dbType}` };
+    }
+    
+    const result = await runCommand(file, args, options);
+    if (result.error) {
+      return { ...result, error: `Database restore failed: ${result.error}` };
     }
+    return `✅ Database restored successfully from: ${backupFile}`;
   }
 
   static async dbSchema(database, table, dbType = 'sqlite') {
-    try {
-      let command;
-      
-      switch (dbType) {
-        case 'sqlite':
-          command = table 
-            ? `sqlite3 "${database}" ".schema ${table}"`
-            : `sqlite3 "${database}" ".tables"`;
-          break;
-        case 'mysql':
-          command = table
-            ? `mysql -e "DESCRIBE ${table}" ${database}`
-            : `mysql -e "SHOW TABLES" ${database}`;
-          break;
-        case 'postgres':
-          command = table
-            ? `psql -c "\\d ${table}" ${database}`
-            : `psql -c "\\dt" ${database}`;
-          break;
-        default:
-          throw new Error(`Unsupported database type: ${dbType}`);
-      }
-      
-      const { stdout } = await execAsync(command);
-      
-      return `📋 Database Schema:\n\n${stdout}`;
-      
-    } catch (error) {
-      throw new Error(`Failed to get schema: ${error.message}`);
+    let file;
+    let args;
+    switch (dbType) {
+      case 'sqlite':
+        return await this.sqlite('Failed to get schema', backend => {
+          const schema = backend.schema(database, table);
+          if (!table) {
+            return `📋 Database Schema:\n\n${schema.objects.map(object => `${object.name}${object.type === 'view' ? ' (view)' : ''}`).join('\n') || '(no tables)'}`;
+          }
+          return `📋 Database Schema:\n\n${schema.sql}\n\nColumns: ${JSON.stringify(schema.columns)}`;
+        });
+      case 'mysql':
+        file = 'mysql';
+        args = [`--database=${database}`, '-e', table ? `DESCRIBE ${table}` : 'SHOW TABLES'];
+        break;
+      case 'postgres':
+        file = 'psql';
+        args = [`--dbname=${database}`, '-c', table ? `\\d ${table}` : '\\dt'];
+        break;
+      default:
+        return { error: `Unsupported database type: ${dbType}` };
+    }
+    
+    const result = await runCommand(file, args);
+    if (result.error) {
+      return { ...result, error: `Failed to get schema: ${result.error}` };
     }
+    return `📋 Database Schema:\n\n${result}`;
+  }
+
+  static async dbExplain(database, query, params) {
+    return await this.sqlite('Failed to explain query', backend => {
+      const { plan } = backend.explain(database, query, params);
+      return `🔎 ${plan}`;
+    });
   }
 
   static async execute(toolName, args) {
     switch (toolName) {
       case 'db_query':
-        return await this.dbQuery(args.database, args.query, args.db_type);
+        return await this.dbQuery(args.database, args.query, args.db_type, {
+          params: args.params,
+          allowWrite: args.allow_write,
+          offset: args.offset,
+          limit: args.limit
+        });
+      case 'db_explain':
+        return await this.dbExplain(args.database, args.query, args.params);
       case 'db_backup':
         return await this.dbBackup(args.database, args.output_path, args.db_type);
       case 'db_restore':
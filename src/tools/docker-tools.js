@@ -1,9 +1,10 @@
 /**
  * Docker Operations Tools
  */
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { runCommand } = require('./process-tracker');
+
+// Image, container and service names (see runCommand)
+const NAME_PATTERN = '^[\\w./:@][\\w./:@-]*$';
 
 class DockerTools {
   static getDefinitions() {
@@ -44,11 +45,16 @@ class DockerTools {
           parameters: {
             type: 'object',
             properties: {
-              image: { type: 'string', description: 'Docker image name' },
-              name: { type: 'string', description: 'Container name' },
-              ports: { type: 'string', description: 'Port mapping (e.g., "8080:80")' },
+              image: { type: 'string', pattern: NAME_PATTERN, description: 'Docker image name' },
+              name: { type: 'string', pattern: NAME_PATTERN, description: 'Container name' },
+              ports: { type: 'string', pattern: '^[\\d.:]+(/(tcp|udp))?$', description: 'Port mapping (e.g., "8080:80")' },
               detach: { type: 'boolean', description: 'Run in detached mode' },
-              environment: { type: 'object', description: 'Environment variables' }
+              environment: {
+                type: 'object',
+                description: 'Environment variables',
+                propertyNames: { pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+                additionalProperties: { type: 'string' }
+              }
             },
             required: ['image']
           }
@@ -62,7 +68,7 @@ class DockerTools {
           parameters: {
             type: 'object',
             properties: {
-              container: { type: 'string', description: 'Container name or ID' }
+              container: { type: 'string', pattern: NAME_PATTERN, description: 'Container name or ID' }
             },
             required: ['container']
           }
@@ -76,9 +82,9 @@ class DockerTools {
           parameters: {
             type: 'object',
             properties: {
-              container: { type: 'string', description: 'Container name or ID' },
+              container: { type: 'string', pattern: NAME_PATTERN, description: 'Container name or ID' },
               follow: { type: 'boolean', description: 'Follow log output' },
-              tail: { type: 'number', description: 'Number of lines to show from end' }
+              tail: { type: 'integer', minimum: 1, description: 'Number of lines to show from end' }
             },
             required: ['container']
           }
@@ -92,8 +98,8 @@ class DockerTools {
           parameters: {
             type: 'object',
             properties: {
-              container: { type: 'string', description: 'Container name or ID' },
-              command: { type: 'string', description: 'Command to execute' },
+              container: { type: 'string', pattern: NAME_PATTERN, description: 'Container name or ID' },
+              command: { type: 'string', description: 'Shell command to execute in the container' },
               interactive: { type: 'boolean', description: 'Interactive mode' }
             },
             required: ['container', 'command']
@@ -108,8 +114,8 @@ class DockerTools {
           parameters: {
             type: 'object',
             properties: {
-              action: { type: 'string', description: 'up, down, ps, logs, restart' },
-              service: { type: 'string', description: 'Specific service name' },
+              action: { type: 'string', enum: ['up', 'down', 'ps', 'logs', 'restart'], description: 'up, down, ps, logs, restart' },
+              service: { type: 'string', pattern: NAME_PATTERN, description: 'Specific service name' },
               file: { type: 'string', description: 'Compose file path' }
             },
             required: ['action']
@@ -119,74 +125,67 @@ class DockerTools {
     ];
   }
 
-  static async execCommand(command) {
-    try {
-      const { stdout, stderr } = await execAsync(command);
-      return stdout.trim() || stderr.trim() || 'Command executed successfully';
-    } catch (error) {
-      throw new Error(error.stderr || error.message);
-    }
-  }
-
   static async dockerPs(all = false) {
-    const command = all ? 'docker ps -a' : 'docker ps';
-    return await this.execCommand(command);
+    return await runCommand('docker', all ? ['ps', '-a'] : ['ps']);
   }
 
   static async dockerImages(filter) {
-    let command = 'docker images';
-    if (filter) {
-      command += ` | grep ${filter}`;
+    const result = await runCommand('docker', ['images']);
+    if (!filter || typeof result !== 'string') {
+      return result;
     }
-    return await this.execCommand(command);
+    // Header plus the matching rows, as `| grep` would have given minus the header
+    const [header, ...rows] = result.split('\n');
+    const matches = rows.filter(row => row.includes(filter));
+    return matches.length > 0 ? [header, ...matches].join('\n') : `No images matching "${filter}"`;
   }
 
   static async dockerRun(image, name, ports, detach = true, environment) {
-    let command = 'docker run';
+    const args = ['run'];
     
-    if (detach) command += ' -d';
-    if (name) command += ` --name ${name}`;
-    if (ports) command += ` -p ${ports}`;
+    if (detach) args.push('-d');
+    if (name) args.push('--name', name);
+    if (ports) args.push('-p', ports);
     
     if (environment) {
       for (const [key, value] of Object.entries(environment)) {
-        command += ` -e ${key}=${value}`;
+        args.push('-e', `${key}=${value}`);
       }
     }
     
-    command += ` ${image}`;
-    return await this.execCommand(command);
+    args.push(image);
+    return await runCommand('docker', args);
   }
 
   static async dockerStop(container) {
-    const command = `docker stop ${container}`;
-    return await this.execCommand(command);
+    return await runCommand('docker', ['stop', container]);
   }
 
   static async dockerLogs(container, follow = false, tail) {
-    let command = `docker logs`;
-    if (follow) command += ' -f';
-    if (tail) command += ` --tail ${tail}`;
-    command += ` ${container}`;
+    const args = ['logs'];
+    if (follow) args.push('-f');
+    if (tail) args.push('--tail', String(tail));
+    args.push(container);
     
-    return await this.execCommand(command);
+    return await runCommand('docker', args);
   }
 
   static async dockerExec(container, dockerCommand, interactive = false) {
-    let command = 'docker exec';
-    if (interactive) command += ' -it';
-    command += ` ${container} ${dockerCommand}`;
+    const args = ['exec'];
+    if (interactive) args.push('-it');
+    // The command is a shell command for the container, not for this machine
+    args.push(container, 'sh', '-c', dockerCommand);
     
-    return await this.execCommand(command);
+    return await runCommand('docker', args);
   }
 
   static async dockerCompose(action, service, file) {
-    let command = 'docker-compose';
-    if (file) command += ` -f ${file}`;
-    command += ` ${action}`;
-    if (service) command += ` ${service}`;
+    const args = [];
+    if (file) args.push('-f', file);
+    args.push(action);
+    if (service) args.push(service);
     
-    return await this.execCommand(command);
+    return await runCommand('docker-compose', args);
   }
 
   static async execute(toolName, args) {
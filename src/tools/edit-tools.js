@@ -0,0 +1,258 @@
+/**
+ * Edit Tools - Precise file edits with a diff of what changed
+ * multi_edit applies exact replacements in order and writes nothing unless every
+ * one of them matches exactly once; replace_lines and insert_at_line work on line
+ * numbers. The model gets a plain unified diff, the terminal a colored one.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const { createTwoFilesPatch } = require('diff');
+
+const MAX_DIFF_LINES = 80;
+
+class EditTools {
+  static getDefinitions() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'multi_edit',
+          description: 'Apply several exact text replacements to one file, in order. Each old_text must match exactly once (include surrounding lines to make it unique) unless replace_all is set. If any edit fails, the file is left unchanged.',
+          parameters: {
+            type: 'object',
+            properties: {
+              path: { type: 'string', description: 'File to edit' },
+              edits: {
+                type: 'array',
+                description: 'Replacements, applied one after another - later edits see the result of earlier ones',
+                items: {
+                  type: 'object',
+                  properties: {
+                    old_text: { type: 'string', description: 'Exact text to replace, whitespace included' },
+                    new_text: { type: 'string', description: 'Replacement text' },
+                    replace_all: { type: 'boolean', description: 'Replace every occurrence instead of requiring one' }
+                  },
+                  required: ['old_text', 'new_text']
+                }
+              }
+            },
+            required: ['path', 'edits']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'replace_lines',
+          description: 'Replace lines start_line to end_line (1-based, inclusive) of a file with new content. Empty content deletes the lines.',
+          parameters: {
+            type: 'object',
+            properties: {
+              path: { type: 'string', description: 'File to edit' },
+              start_line: { type: 'integer', minimum: 1, description: 'First line to replace' },
+              end_line: { type: 'integer', minimum: 1, description: 'Last line to replace' },
+              new_content: { type: 'string', description: 'Lines to put in their place' }
+            },
+            required: ['path', 'start_line', 'end_line', 'new_content']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'insert_at_line',
+          description: 'Insert content before a line of a file (1-based); one past the last line appends',
+          parameters: {
+            type: 'object',
+            properties: {
+              path: { type: 'string', description: 'File to edit' },
+              line: { type: 'integer', minimum: 1, description: 'Line number the content goes before' },
+              content: { type: 'string', description: 'Lines to insert' }
+            },
+            required: ['path', 'line', 'content']
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Apply edits to text in memory - throws on the first edit that doesn't match
+   * exactly once, so nothing is written for a partly applicable list
+   */
+  static applyEdits(content, edits) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw new Error('No edits given');
+    }
+    return edits.reduce((text, edit, index) => {
+      const label = edits.length > 1 ? `Edit ${index + 1}: ` : '';
+      if (!edit.old_text) {
+        throw new Error(`${label}old_text is empty`);
+      }
+      if (edit.old_text === edit.new_text) {
+        throw new Error(`${label}old_text and new_text are the same`);
+      }
+      const count = text.split(edit.old_text).length - 1;
+      if (count === 0) {
+        throw new Error(`${label}old_text not found${index > 0 ? ' (after the edits before it)' : ''}: "${this.preview(edit.old_text)}"`);
+      }
+      if (count > 1 && !edit.replace_all) {
+        throw new Error(`${label}old_text matches ${count} places - add surrounding lines to make it unique, or set replace_all: "${this.preview(edit.old_text)}"`);
+      }
+      return edit.replace_all ? text.split(edit.old_text).join(edit.new_text) : text.replace(edit.old_text, () => edit.new_text);
+    }, content);
+  }
+
+  static async multiEdit(filePath, edits) {
+    const count = Array.isArray(edits) ? edits.length : 0;
+    return await this.edit(filePath, content => this.applyEdits(content, edits), count === 1 ? '1 edit' : `${count} edits`);
+  }
+
+  static async replaceLines(filePath, startLine, endLine, newContent) {
+    return await this.edit(filePath, content => {
+      const file = this.splitLines(content);
+      if (startLine > file.lines.length) {
+        throw new Error(`start_line ${startLine} is past the end of the file (${file.lines.length} lines)`);
+      }
+      if (endLine < startLine || endLine > file.lines.length) {
+        throw new Error(`end_line must be between ${startLine} and ${file.lines.length} (got ${endLine})`);
+      }
+      file.lines.splice(startLine - 1, endLine - startLine + 1, ...this.contentLines(newContent));
+      return this.joinLines(file);
+    }, startLine === endLine ? `line ${startLine}` : `lines ${startLine}-${endLine}`);
+  }
+
+  static async insertAtLine(filePath, line, content) {
+    return await this.edit(filePath, text => {
+      const file = this.splitLines(text);
+      if (line > file.lines.length + 1) {
+        throw new Error(`line must be between 1 and ${file.lines.length + 1} (the file has ${file.lines.length} lines)`);
+      }
+      const inserted = this.contentLines(content);
+      if (inserted.length === 0) {
+        throw new Error('content is empty');
+      }
+      file.lines.splice(line - 1, 0, ...inserted);
+      return this.joinLines(file);
+    }, `inserted at line ${line}`);
+  }
+
+  /**
+   * Read, transform, write back (via a temporary file, keeping the mode) and
+   * describe the change as a diff
+   */
+  static async edit(filePath, transform, what) {
+    let before;
+    let after;
+    try {
+      before = await fs.readFile(filePath, 'utf8');
+      after = transform(before);
+    } catch (error) {
+      return { error: `Failed to edit ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}` };
+    }
+    if (after === before) {
+      return { error: `Failed to edit ${filePath}: the edit leaves the file unchanged` };
+    }
+
+    try {
+      // Through symlinks, so the rename replaces the file rather than the link
+      const target = await fs.realpath(filePath);
+      const stat = await fs.stat(target);
+      const temporary = path.join(path.dirname(target), `.${path.basename(target)}.orion-${process.pid}.tmp`);
+      await fs.writeFile(temporary, after, { encoding: 'utf8', mode: stat.mode });
+      try {
+        await fs.rename(temporary, target);
+      } catch (error) {
+        await fs.unlink(temporary).catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      return { error: `Failed to write ${filePath}: ${error.message}` };
+    }
+
+    const patch = this.unifiedDiff(filePath, before, after);
+    const summary = `✏️ Edited ${filePath} (${what}, ${this.changeCount(patch)})`;
+    return {
+      output: `${summary}\n\n${patch}`,
+      display: `${summary}\n${this.colorDiff(patch)}`,
+      diff: patch
+    };
+  }
+
+  /**
+   * Unified diff with 3 lines of context, cut at MAX_DIFF_LINES
+   */
+  static unifiedDiff(filePath, before, after) {
+    const relative = path.relative(process.cwd(), path.resolve(filePath));
+    const name = relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+    const lines = createTwoFilesPatch(`a/${name}`, `b/${name}`, before, after, '', '', { context: 3 })
+      .split('\n')
+      .filter(line => !/^={3,}$/.test(line) && line !== '')
+      .map(line => (line.startsWith('---') || line.startsWith('+++') ? line.trimEnd() : line));
+    if (lines.length > MAX_DIFF_LINES) {
+      return [...lines.slice(0, MAX_DIFF_LINES), `... ${lines.length - MAX_DIFF_LINES} more diff lines`].join('\n');
+    }
+    return lines.join('\n');
+  }
+
+  static colorDiff(patch) {
+    return patch.split('\n').map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      return chalk.dim(line);
+    }).join('\n');
+  }
+
+  static changeCount(patch) {
+    const body = patch.split('\n').filter(line => !line.startsWith('+++') && !line.startsWith('---'));
+    const added = body.filter(line => line.startsWith('+')).length;
+    const removed = body.filter(line => line.startsWith('-')).length;
+    return `+${added} -${removed}`;
+  }
+
+  /**
+   * Lines of a file plus what joins them back: its line ending and final newline
+   */
+  static splitLines(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(eol);
+    const trailingNewline = lines.length > 1 && lines[lines.length - 1] === '';
+    if (trailingNewline || content === '') lines.pop();
+    return { lines, eol, trailingNewline };
+  }
+
+  static joinLines({ lines, eol, trailingNewline }) {
+    return lines.join(eol) + (trailingNewline && lines.length > 0 ? eol : '');
+  }
+
+  /**
+   * Lines of inserted content - a final newline doesn't add an empty line
+   */
+  static contentLines(content) {
+    if (!content) return [];
+    return content.replace(/\r?\n$/, '').split(/\r?\n/);
+  }
+
+  static preview(text) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > 60 ? `${line.slice(0, 60)}...` : line;
+  }
+
+  static async execute(toolName, args) {
+    switch (toolName) {
+      case 'multi_edit':
+        return await this.multiEdit(args.path, args.edits);
+      case 'replace_lines':
+        return await this.replaceLines(args.path, args.start_line, args.end_line, args.new_content);
+      case 'insert_at_line':
+        return await this.insertAtLine(args.path, args.line, args.content);
+      default:
+        throw new Error(`Unknown edit tool: ${toolName}`);
+    }
+  }
+}
+
+module.exports = EditTools;
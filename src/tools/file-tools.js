@@ -3,6 +3,7 @@
  */
 const fs = require('fs').promises;
 const path = require('path');
+const EditTools = require('./edit-tools');
 
 class FileTools {
   static getDefinitions() {
@@ -40,7 +41,7 @@ class FileTools {
         type: 'function',
         function: {
           name: 'edit_file',
-          description: 'Edit a file by replacing specific text',
+          description: 'Edit a file by replacing specific text - old_text must match exactly once',
           parameters: {
             type: 'object',
             properties: {
@@ -132,15 +133,11 @@ class FileTools {
     }
   }
 
+  /**
+   * One exact replacement - fails when old_text is missing or matches more than once
+   */
   static async editFile(filename, oldText, newText) {
-    try {
-      const content = await fs.readFile(filename, 'utf8');
-      const newContent = content.replace(oldText, newText);
-      await fs.writeFile(filename, newContent, 'utf8');
-      return { output: `✏️ File '${filename}' edited successfully (replaced "${oldText.slice(0,50)}...")` };
-    } catch (error) {
-      return { error: `Failed to edit file '${filename}': ${error.message}` };
-    }
+    return await EditTools.multiEdit(filename, [{ old_text: oldText, new_text: newText }]);
   }
 
   static async listFiles(directory = '.') {
@@ -1,9 +1,10 @@
 /**
  * Git Operations Tools
  */
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { runCommand } = require('./process-tracker');
+
+// Branch and remote names (see runCommand)
+const REF_PATTERN = '^[\\w./][\\w./-]*$';
 
 class GitTools {
   static getDefinitions() {
@@ -53,7 +54,7 @@ class GitTools {
           parameters: {
             type: 'object',
             properties: {
-              count: { type: 'number', description: 'Number of commits to show' },
+              count: { type: 'integer', minimum: 1, description: 'Number of commits to show' },
               oneline: { type: 'boolean', description: 'Show compact one-line format' }
             },
             required: []
@@ -68,8 +69,8 @@ class GitTools {
           parameters: {
             type: 'object',
             properties: {
-              action: { type: 'string', description: 'list, create, delete, checkout' },
-              branch_name: { type: 'string', description: 'Branch name for create/delete/checkout' }
+              action: { type: 'string', enum: ['list', 'create', 'delete', 'checkout'], description: 'list, create, delete, checkout' },
+              branch_name: { type: 'string', pattern: REF_PATTERN, description: 'Branch name for create/delete/checkout' }
             },
             required: ['action']
           }
@@ -83,8 +84,8 @@ class GitTools {
           parameters: {
             type: 'object',
             properties: {
-              remote: { type: 'string', description: 'Remote name (default: origin)' },
-              branch: { type: 'string', description: 'Branch name (default: current)' }
+              remote: { type: 'string', pattern: REF_PATTERN, description: 'Remote name (default: origin)' },
+              branch: { type: 'string', pattern: REF_PATTERN, description: 'Branch name (default: current)' }
             },
             required: []
           }
@@ -98,8 +99,8 @@ class GitTools {
           parameters: {
             type: 'object',
             properties: {
-              remote: { type: 'string', description: 'Remote name (default: origin)' },
-              branch: { type: 'string', description: 'Branch name (default: current)' }
+              remote: { type: 'string', pattern: REF_PATTERN, description: 'Remote name (default: origin)' },
+              branch: { type: 'string', pattern: REF_PATTERN, description: 'Branch name (default: current)' }
             },
             required: []
           }
@@ -113,7 +114,7 @@ class GitTools {
           parameters: {
             type: 'object',
             properties: {
-              action: { type: 'string', description: 'save, pop, list, show' },
+              action: { type: 'string', enum: ['save', 'pop', 'list', 'show'], description: 'save, pop, list, show' },
               message: { type: 'string', description: 'Stash message for save action' }
             },
             required: ['action']
@@ -123,96 +124,66 @@ class GitTools {
     ];
   }
 
-  static async execCommand(command) {
-    try {
-      const { stdout } = await execAsync(command);
-      return stdout.trim() || 'Command executed successfully';
-    } catch (error) {
-      throw new Error(error.stderr || error.message);
-    }
-  }
-
   static async gitStatus() {
-    return await this.execCommand('git status');
+    return await runCommand('git', ['status']);
   }
 
   static async gitDiff(filename) {
-    const command = filename ? `git diff ${filename}` : 'git diff';
-    return await this.execCommand(command);
+    return await runCommand('git', filename ? ['diff', '--', filename] : ['diff']);
   }
 
   static async gitCommit(message, files) {
-    try {
-      if (files && files.length > 0) {
-        await this.execCommand(`git add ${files.join(' ')}`);
-      } else {
-        await this.execCommand('git add .');
-      }
-      return await this.execCommand(`git commit -m "${message}"`);
-    } catch (error) {
-      throw new Error(`Git commit failed: ${error.message}`);
+    const added = await runCommand('git', files && files.length > 0 ? ['add', '--', ...files] : ['add', '.']);
+    if (added.error) {
+      return { ...added, error: `Git commit failed: ${added.error}` };
     }
+    const committed = await runCommand('git', ['commit', '-m', message]);
+    return committed.error ? { ...committed, error: `Git commit failed: ${committed.error}` } : committed;
   }
 
   static async gitLog(count = 10, oneline = false) {
-    const format = oneline ? '--oneline' : '';
-    const command = `git log ${format} -${count}`;
-    return await this.execCommand(command);
+    return await runCommand('git', ['log', ...(oneline ? ['--oneline'] : []), '-n', String(count)]);
   }
 
   static async gitBranch(action, branchName) {
-    let command;
+    if (action !== 'list' && !branchName) {
+      return { error: `Branch name required for ${action} action` };
+    }
     switch (action) {
       case 'list':
-        command = 'git branch -a';
-        break;
+        return await runCommand('git', ['branch', '-a']);
       case 'create':
-        if (!branchName) throw new Error('Branch name required for create action');
-        command = `git checkout -b ${branchName}`;
-        break;
+        return await runCommand('git', ['checkout', '-b', branchName]);
       case 'delete':
-        if (!branchName) throw new Error('Branch name required for delete action');
-        command = `git branch -d ${branchName}`;
-        break;
+        return await runCommand('git', ['branch', '-d', branchName]);
       case 'checkout':
-        if (!branchName) throw new Error('Branch name required for checkout action');
-        command = `git checkout ${branchName}`;
-        break;
+        return await runCommand('git', ['checkout', branchName, '--']);
       default:
-        throw new Error(`Unknown branch action: ${action}`);
+        return { error: `Unsupported branch action: ${action}` };
     }
-    return await this.execCommand(command);
   }
 
   static async gitPush(remote = 'origin', branch) {
-    const command = branch ? `git push ${remote} ${branch}` : `git push ${remote}`;
-    return await this.execCommand(command);
+    return await runCommand('git', ['push', remote, ...(branch ? [branch] : [])]);
   }
 
   static async gitPull(remote = 'origin', branch) {
-    const command = branch ? `git pull ${remote} ${branch}` : `git pull ${remote}`;
-    return await this.execCommand(command);
+    return await runCommand('git', ['pull', remote, ...(branch ? [branch] : [])]);
   }
 
   static async gitStash(action, message) {
-    let command;
     switch (action) {
       case 'save':
-        command = message ? `git stash save "${message}"` : 'git stash';
-        break;
+        return await runCommand('git', message ? ['stash', 'push', '-m', message] : ['stash']);
       case 'pop':
-        command = 'git stash pop';
-        break;
+        return await runCommand('git', ['stash', 'pop']);
       case 'list':
-        command = 'git stash list';
-        break;
+        return await runCommand('git', ['stash', 'list']);
       case 'show':
-        command = 'git stash show';
-        break;
+        return await runCommand('git', ['stash', 'show']);
       default:
-        throw new Error(`Unknown stash action: ${action}`);
+        return { error: `Unsupported stash action: ${action}` };
     }
-    return await this.execCommand(command);
   }
 
   static async execute(toolName, args) {
@@ -0,0 +1,59 @@
+/**
+ * Ignore Rules - The project's root .gitignore for code that walks the tree
+ * Rules are cached per directory and reloaded when .gitignore changes. .git itself
+ * is always ignored.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+
+const cache = new Map(); // directory -> { mtime, rules }
+
+async function loadIgnoreRules(cwd = process.cwd()) {
+  const file = path.join(cwd, '.gitignore');
+  const stat = await fs.stat(file).catch(() => null); // null: no .gitignore
+  return cachedRules(cwd, stat) || storeRules(cwd, stat, stat ? await fs.readFile(file, 'utf8') : '');
+}
+
+/**
+ * The same rules for synchronous callers (ORION.md discovery)
+ */
+function loadIgnoreRulesSync(cwd = process.cwd()) {
+  const file = path.join(cwd, '.gitignore');
+  let stat = null;
+  try {
+    stat = fsSync.statSync(file);
+  } catch {
+    // No .gitignore
+  }
+  return cachedRules(cwd, stat) || storeRules(cwd, stat, stat ? fsSync.readFileSync(file, 'utf8') : '');
+}
+
+function cachedRules(cwd, stat) {
+  const cached = cache.get(cwd);
+  return cached && cached.mtime === (stat ? stat.mtimeMs : 0) ? cached.rules : null;
+}
+
+function storeRules(cwd, stat, text) {
+  const rules = ignore().add('.git/');
+  if (text) {
+    rules.add(text);
+  }
+  cache.set(cwd, { mtime: stat ? stat.mtimeMs : 0, rules });
+  return rules;
+}
+
+/**
+ * Whether an absolute path is ignored. Paths outside cwd never are.
+ */
+function isIgnored(rules, cwd, absolutePath, isDirectory = false) {
+  const relative = path.relative(cwd, absolutePath).split(path.sep).join('/');
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return false;
+  }
+  return rules.ignores(isDirectory ? `${relative}/` : relative);
+}
+
+module.exports = { loadIgnoreRules, loadIgnoreRulesSync, isIgnored };
@@ -4,6 +4,7 @@
  */
 const FileTools = require('./file-tools');
 const AdvancedFileTools = require('./advanced-file-tools');
+const EditTools = require('./edit-tools');
 const GitTools = require('./git-tools');
 const SystemTools = require('./system-tools');
 const SSHTools = require('./ssh-tools');
@@ -11,20 +12,36 @@ const ConversionTools = require('./conversion-tools');
 const DockerTools = require('./docker-tools');
 const WebSearchTools = require('./web-search-tools');
 const DatabaseTools = require('./database-tools');
+const SearchTools = require('./search-tools');
+const TodoTools = require('./todo-tools');
+const { validate } = require('./argument-validator');
 
 class OrionToolRegistry {
   constructor() {
+    // Stateful, unlike the static categories - one plan per CLI
+    this.todoTools = new TodoTools();
     this.toolCategories = {
       'file-tools': FileTools,
       'advanced-file-tools': AdvancedFileTools,
+      'edit-tools': EditTools,
       'git-tools': GitTools,
       'system-tools': SystemTools,
       'ssh-tools': SSHTools,
       'conversion-tools': ConversionTools,
       'docker-tools': DockerTools,
       'web-search-tools': WebSearchTools,
-      'database-tools': DatabaseTools
+      'database-tools': DatabaseTools,
+      'search-tools': SearchTools,
+      'todo-tools': this.todoTools
     };
+    this.mcpManager = null;
+  }
+
+  /**
+   * Attach the MCP manager - its tools are offered alongside every category
+   */
+  setMCPManager(mcpManager) {
+    this.mcpManager = mcpManager;
   }
 
   /**
@@ -51,21 +68,9 @@ class OrionToolRegistry {
       });
     }
 
-    if (toolNames.includes('web-search')) {
-      tools.push({
-        type: 'function',
-        function: {
-          name: 'web_search',
-          description: 'Search the web for current information',
-          parameters: {
-            type: 'object',
-            properties: {
-              query: { type: 'string', description: 'The search query' }
-            },
-            required: ['query']
-          }
-        }
-      });
+    // The web-search-tools category brings these along with the rest of its tools
+    if (toolNames.includes('web-search') && !toolNames.includes('web-search-tools')) {
+      tools.push(...WebSearchTools.getCoreDefinitions());
     }
 
     // Add tools from modular categories
@@ -76,13 +81,47 @@ class OrionToolRegistry {
       }
     }
 
+    // The plan tracker comes with any other tool set
+    if (toolNames.length > 0 && !toolNames.includes('todo-tools')) {
+      tools.push(...this.todoTools.getDefinitions());
+    }
+
+    // Tools from connected MCP servers (mcp__<server>__<tool>)
+    if (this.mcpManager) {
+      tools.push(...this.mcpManager.getToolDefinitions());
+    }
+
     return tools;
   }
 
+  /**
+   * Domain lists for web_fetch redirects and search results: check(url) -> 'allow' | 'deny' | null
+   */
+  setDomainPolicy(check) {
+    WebSearchTools.setDomainPolicy(check);
+  }
+
   /**
    * Execute a tool by name
    */
   async executeTool(toolName, args) {
+    if (this.mcpManager && this.mcpManager.isMCPTool(toolName)) {
+      return await this.mcpManager.callTool(toolName, args);
+    }
+
+    // Arguments that don't fit the schema never reach a command line
+    const definition = this.findDefinition(toolName);
+    if (definition) {
+      const problems = validate(definition.function.parameters, args || {});
+      if (problems.length > 0) {
+        return {
+          error: `Invalid arguments for ${toolName}: ${problems.join('; ')}`,
+          code: 'invalid_arguments',
+          problems
+        };
+      }
+    }
+
     // Check each category for the tool
     for (const [categoryName, ToolClass] of Object.entries(this.toolCategories)) {
       try {
@@ -102,6 +141,19 @@ class OrionToolRegistry {
     throw new Error(`Tool '${toolName}' not found in any category`);
   }
 
+  /**
+   * A built-in tool's definition by name
+   */
+  findDefinition(toolName) {
+    for (const ToolClass of Object.values(this.toolCategories)) {
+      const definition = ToolClass.getDefinitions().find(def => def.function.name === toolName);
+      if (definition) {
+        return definition;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get available tool categories
    */
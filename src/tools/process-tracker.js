@@ -0,0 +1,230 @@
+/**
+ * Process Tracker - Child processes started by tool calls, so Esc can stop them
+ * Children get their own process group, which lets a kill reach whatever the
+ * shell started too (e.g. `npm test` and its workers). exec() ignores the
+ * detached option, hence the small spawn-based replacements below. Tools that
+ * build commands from model arguments use execFileAsync, which runs no shell.
+ */
+
+const { spawn } = require('child_process');
+
+const running = new Set();
+const ownGroup = process.platform !== 'win32';
+
+function killTree(child, signal = 'SIGTERM') {
+  try {
+    if (ownGroup && child.pid) {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+    return true;
+  } catch {
+    return false; // Already gone
+  }
+}
+
+/**
+ * exec() replacement that remembers the child until it exits.
+ * Same callback contract: (error, stdout, stderr), honouring maxBuffer and timeout.
+ */
+function execTracked(command, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const { maxBuffer = 1024 * 1024, timeout = 0, encoding, input, ...spawnOptions } = options || {};
+  const child = spawn(command, { ...spawnOptions, shell: true, detached: ownGroup });
+  return track(child, command, { maxBuffer, timeout, input }, callback);
+}
+
+/**
+ * execFile() counterpart - the arguments go to the program as they are, no shell
+ * ever parses them. options.input is written to stdin.
+ */
+function execFileTracked(file, args, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const { maxBuffer = 1024 * 1024, timeout = 0, encoding, input, ...spawnOptions } = options || {};
+  const child = spawn(file, args, { ...spawnOptions, shell: false, detached: ownGroup });
+  // Nothing waits on a prompt - stdin is closed once input (if any) is written
+  return track(child, formatCommand(file, args), { maxBuffer, timeout, input: input === undefined ? '' : input }, callback);
+}
+
+/**
+ * A program whose output the caller streams itself (and may stop early with
+ * child.kill()). It is tracked until it exits, so Esc stops it too.
+ */
+function spawnTracked(file, args, options = {}) {
+  const child = spawn(file, args, { ...options, shell: false, detached: ownGroup, stdio: ['ignore', 'pipe', 'pipe'] });
+  running.add(child);
+  child.on('close', () => running.delete(child));
+  child.on('error', () => running.delete(child));
+  return child;
+}
+
+function track(child, command, { maxBuffer, timeout, input }, callback) {
+  running.add(child);
+
+  let stdout = '';
+  let stderr = '';
+  let error = null;
+  let done = false;
+
+  const finish = (code, signal) => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    running.delete(child);
+    if (!error && (code !== 0 || signal)) {
+      error = new Error(`Command failed: ${command}\n${stderr}`);
+      error.code = code;
+      error.signal = signal;
+    }
+    if (error) {
+      error.cmd = command;
+      error.cancelled = Boolean(child.cancelled);
+    }
+    if (callback) {
+      callback(error, stdout, stderr);
+    }
+  };
+
+  const collect = stream => chunk => {
+    if (stream === 'stdout') {
+      stdout += chunk;
+    } else {
+      stderr += chunk;
+    }
+    if (!error && (stream === 'stdout' ? stdout : stderr).length > maxBuffer) {
+      error = new Error(`${stream} maxBuffer length exceeded`);
+      error.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+      killTree(child);
+    }
+  };
+  child.stdout.setEncoding('utf8');
+  child.stderr.setEncoding('utf8');
+  child.stdout.on('data', collect('stdout'));
+  child.stderr.on('data', collect('stderr'));
+
+  const timer = timeout > 0 ? setTimeout(() => {
+    error = error || Object.assign(new Error(`Command timed out after ${timeout}ms: ${command}`), { killed: true });
+    killTree(child);
+  }, timeout) : null;
+
+  child.on('error', err => {
+    error = error || err;
+    if (!child.pid) finish(null, null); // Never started, so no 'close' follows
+  });
+  child.on('close', finish);
+
+  if (input !== undefined) {
+    child.stdin.on('error', () => {}); // The program may exit without reading it all
+    child.stdin.end(input);
+  }
+  return child;
+}
+
+/**
+ * Same contract as util.promisify(exec): resolves { stdout, stderr }, rejects with them attached
+ */
+function execAsync(command, options = {}) {
+  return new Promise((resolve, reject) => {
+    execTracked(command, options, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+/**
+ * Same contract as util.promisify(execFile)
+ */
+function execFileAsync(file, args = [], options = {}) {
+  return new Promise((resolve, reject) => {
+    execFileTracked(file, args, options, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+/**
+ * An argv as it would be typed, for messages - quoting is for display only
+ */
+function formatCommand(file, args = []) {
+  return [file, ...args].map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`).join(' ');
+}
+
+/**
+ * A failed command as a tool result the model can act on. Processes killed by Esc
+ * are rethrown so the cancellation is reported as such.
+ */
+function commandError(error, file, args = []) {
+  if (error.cancelled) {
+    throw error;
+  }
+  const command = formatCommand(file, args);
+  const exitCode = typeof error.code === 'number' ? error.code : null;
+  const stdout = (error.stdout || '').trim();
+  const stderr = (error.stderr || '').trim();
+  // Some programs (git commit with nothing to commit) explain themselves on stdout
+  const reason = stderr || stdout || error.message.split('\n')[0];
+  return {
+    error: error.code === 'ENOENT' ? `${file} is not installed or not on PATH` :
+      `${command} failed${exitCode !== null ? ` (exit ${exitCode})` : ''}: ${reason}`,
+    command,
+    exitCode,
+    stdout,
+    stderr
+  };
+}
+
+/**
+ * Run a program with an argv for a tool call - no shell, so a quote or `$(...)` in a
+ * message, query or path is just text. Tools pass model-supplied names through
+ * schema patterns that never start with '-', so the program can't read them as
+ * options. Resolves with the output (stdout, else stderr); failures come back as
+ * commandError() results rather than throwing.
+ */
+async function runCommand(file, args = [], options = {}) {
+  try {
+    const { stdout, stderr } = await execFileAsync(file, args, options);
+    return stdout.trim() || stderr.trim() || 'Command executed successfully';
+  } catch (error) {
+    return commandError(error, file, args);
+  }
+}
+
+/**
+ * Kill every tracked process - returns how many were still running
+ */
+function killAll(signal = 'SIGTERM') {
+  let killed = 0;
+  for (const child of running) {
+    child.cancelled = true;
+    if (killTree(child, signal)) {
+      killed++;
+    }
+  }
+  running.clear();
+  return killed;
+}
+
+function runningCount() {
+  return running.size;
+}
+
+module.exports = { execTracked, execAsync, execFileTracked, execFileAsync, spawnTracked, formatCommand, commandError, runCommand, killAll, runningCount };
@@ -0,0 +1,168 @@
+/**
+ * Search Providers - Web search backends behind one interface
+ * Every provider has search(query, { count, freshness }) -> [{ title, url, snippet }].
+ * SearXNG, Brave and Bing call their JSON APIs; the fixture provider answers from
+ * a local JSON file, for tests and offline use.
+ */
+
+const fs = require('fs').promises;
+
+const PROVIDER_NAMES = ['searxng', 'brave', 'bing', 'fixture'];
+const FRESHNESS = ['day', 'week', 'month', 'year'];
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * GET a JSON API, with the status and a bit of the body in the error
+ */
+async function getJSON(url, headers = {}) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    const body = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${response.status}${body ? `: ${body}` : ''}`);
+  }
+  return await response.json();
+}
+
+/**
+ * A self-hosted SearXNG instance - its settings.yml must list json under search.formats
+ */
+class SearxngProvider {
+  constructor(config) {
+    this.name = 'searxng';
+    this.baseUrl = config.url.replace(/\/+$/, '');
+  }
+
+  async search(query, { count = 10, freshness } = {}) {
+    const url = new URL(`${this.baseUrl}/search`);
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+    if (freshness) url.searchParams.set('time_range', freshness);
+
+    const data = await getJSON(url);
+    return (data.results || []).slice(0, count).map(result => ({
+      title: result.title,
+      url: result.url,
+      snippet: result.content || ''
+    }));
+  }
+}
+
+class BraveProvider {
+  constructor(config) {
+    this.name = 'brave';
+    this.apiKey = config.apiKey;
+  }
+
+  async search(query, { count = 10, freshness } = {}) {
+    const url = new URL('https://api.search.brave.com/res/v1/web/search');
+    url.searchParams.set('q', query);
+    url.searchParams.set('count', String(Math.min(count, 20)));
+    if (freshness) url.searchParams.set('freshness', { day: 'pd', week: 'pw', month: 'pm', year: 'py' }[freshness]);
+
+    const data = await getJSON(url, { 'X-Subscription-Token': this.apiKey });
+    return ((data.web && data.web.results) || []).map(result => ({
+      title: result.title,
+      url: result.url,
+      snippet: (result.description || '').replace(/<\/?strong>/g, '')
+    }));
+  }
+}
+
+class BingProvider {
+  constructor(config) {
+    this.name = 'bing';
+    this.apiKey = config.apiKey;
+    this.endpoint = config.endpoint || 'https://api.bing.microsoft.com/v7.0/search';
+  }
+
+  async search(query, { count = 10, freshness } = {}) {
+    const url = new URL(this.endpoint);
+    url.searchParams.set('q', query);
+    url.searchParams.set('count', String(Math.min(count, 50)));
+    // Bing has no "past year" filter
+    if (freshness && freshness !== 'year') url.searchParams.set('freshness', freshness[0].toUpperCase() + freshness.slice(1));
+
+    const data = await getJSON(url, { 'Ocp-Apim-Subscription-Key': this.apiKey });
+    return ((data.webPages && data.webPages.value) || []).map(result => ({
+      title: result.name,
+      url: result.url,
+      snippet: result.snippet || ''
+    }));
+  }
+}
+
+/**
+ * Canned results from a JSON file: { "<query>": [results], "*": [fallback results] }
+ * or a plain array that every query searches. Queries match case-insensitively,
+ * then by their words appearing in a result's title or snippet.
+ */
+class FixtureProvider {
+  constructor(config) {
+    this.name = 'fixture';
+    this.file = config.file;
+  }
+
+  async search(query, { count = 10 } = {}) {
+    const fixture = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    const key = query.trim().toLowerCase();
+
+    if (!Array.isArray(fixture)) {
+      const exact = Object.keys(fixture).find(name => name.trim().toLowerCase() === key);
+      if (exact) {
+        return fixture[exact].slice(0, count);
+      }
+    }
+
+    const all = Array.isArray(fixture) ? fixture : Object.entries(fixture).filter(([name]) => name !== '*').flatMap(([, results]) => results);
+    const words = key.split(/\s+/).filter(word => word.length > 2 && !word.includes(':'));
+    const matches = all.filter(result => {
+      const text = `${result.title} ${result.snippet}`.toLowerCase();
+      return words.some(word => text.includes(word));
+    });
+    if (matches.length > 0) {
+      return matches.slice(0, count);
+    }
+    return (Array.isArray(fixture) ? [] : fixture['*'] || []).slice(0, count);
+  }
+}
+
+/**
+ * The provider from the environment: ORION_SEARCH_PROVIDER picks one, otherwise the
+ * first that is configured (SEARXNG_URL, BRAVE_API_KEY, BING_SEARCH_KEY,
+ * ORION_SEARCH_FIXTURE). null when none is.
+ */
+function createSearchProvider(env = process.env) {
+  const configured = {
+    searxng: env.SEARXNG_URL && (() => new SearxngProvider({ url: env.SEARXNG_URL })),
+    brave: env.BRAVE_API_KEY && (() => new BraveProvider({ apiKey: env.BRAVE_API_KEY })),
+    bing: env.BING_SEARCH_KEY && (() => new BingProvider({ apiKey: env.BING_SEARCH_KEY, endpoint: env.BING_SEARCH_ENDPOINT })),
+    fixture: env.ORION_SEARCH_FIXTURE && (() => new FixtureProvider({ file: env.ORION_SEARCH_FIXTURE }))
+  };
+
+  const chosen = (env.ORION_SEARCH_PROVIDER || '').toLowerCase();
+  if (chosen) {
+    if (!PROVIDER_NAMES.includes(chosen)) {
+      throw new Error(`Unknown search provider "${chosen}" - use ${PROVIDER_NAMES.join(', ')}`);
+    }
+    if (!configured[chosen]) {
+      throw new Error(`Search provider ${chosen} is not configured - see .env.example`);
+    }
+    return configured[chosen]();
+  }
+
+  const first = PROVIDER_NAMES.find(name => configured[name]);
+  return first ? configured[first]() : null;
+}
+
+module.exports = {
+  createSearchProvider,
+  SearxngProvider,
+  BraveProvider,
+  BingProvider,
+  FixtureProvider,
+  PROVIDER_NAMES,
+  FRESHNESS
+};
@@ -0,0 +1,128 @@
+/**
+ * Search Tools - One `search` tool for code and file names
+ * Backed by code-search.js: ripgrep when installed, a JavaScript walk otherwise.
+ * The model gets the matches as JSON; the terminal shows them grep-style.
+ */
+const CodeSearch = require('./code-search');
+
+class SearchTools {
+  static getDefinitions() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'search',
+          description: 'Search the project: lines matching text or a regex (mode "content"), or files by fuzzy name (mode "files"). Skips hidden, binary and .gitignore\'d files; results come in pages, sorted by path.',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Text to find (a regex when regex is true), or part of a file name in files mode' },
+              mode: { type: 'string', enum: ['content', 'files'], description: 'content (default) or files' },
+              path: { type: 'string', description: 'File or directory to search (default: current directory)' },
+              regex: { type: 'boolean', description: 'Treat query as a regular expression (default: literal text)' },
+              case_sensitive: { type: 'boolean', description: 'Match case (default: ignore case)' },
+              whole_word: { type: 'boolean', description: 'Only match whole words' },
+              include: { type: 'string', description: 'Only files matching this glob, e.g. *.ts or lib/**' },
+              exclude: { type: 'string', description: 'Skip files matching this glob, e.g. *.min.js' },
+              context: { type: 'integer', minimum: 0, maximum: 10, description: 'Lines of context before and after each match (default: 0)' },
+              offset: { type: 'integer', minimum: 0, description: 'Results to skip - pass nextOffset from the previous page' },
+              limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Results per page (default: ORION_SEARCH_PAGE_SIZE, 50)' }
+            },
+            required: ['query']
+          }
+        }
+      }
+    ];
+  }
+
+  static pageSummary(result, count, nouns) {
+    if (count === 0) {
+      return result.offset > 0 ? `no ${nouns} after ${result.offset}` : `no ${nouns}`;
+    }
+    const range = `${nouns} ${result.offset + 1}-${result.offset + count}`;
+    if (!result.hasMore) {
+      return range;
+    }
+    const reason = result.truncatedBy === 'bytes' ? 'size limit reached' : `more ${nouns}`;
+    return `${range}, ${reason} - next page: offset ${result.nextOffset}`;
+  }
+
+  /**
+   * Matches grep-style under their file: "line: text", context lines as "line- text",
+   * "--" between separate stretches of context. Overlapping context is printed once.
+   */
+  static renderMatches(matches) {
+    const files = new Map(); // file -> Map(line -> { text, isMatch })
+    for (const match of matches) {
+      if (!files.has(match.file)) files.set(match.file, new Map());
+      const lines = files.get(match.file);
+      const add = (number, text, isMatch) => {
+        if (isMatch || !lines.has(number)) lines.set(number, { text, isMatch });
+      };
+      match.before.forEach((text, i) => add(match.line - match.before.length + i, text, false));
+      add(match.line, match.text, true);
+      match.after.forEach((text, i) => add(match.line + 1 + i, text, false));
+    }
+
+    const withContext = matches.some(match => match.before.length > 0 || match.after.length > 0);
+    const output = [];
+    for (const [file, lines] of files) {
+      if (output.length > 0) output.push('');
+      output.push(`📄 ${file}`);
+      let previous = null;
+      for (const number of [...lines.keys()].sort((a, b) => a - b)) {
+        if (withContext && previous !== null && number > previous + 1) output.push('     --');
+        const { text, isMatch } = lines.get(number);
+        output.push(`  ${String(number).padStart(5)}${isMatch ? ':' : '-'} ${text}`);
+        previous = number;
+      }
+    }
+    return output.join('\n');
+  }
+
+  static async search(query, options = {}) {
+    const searcher = new CodeSearch();
+    try {
+      if (options.mode === 'files') {
+        const result = await searcher.searchFiles(query, options);
+        const summary = this.pageSummary(result, result.files.length, 'files');
+        return {
+          output: `🔎 Files matching "${query}" (${summary}, ${result.engine}):\n\n${JSON.stringify(result)}`,
+          display: `🔎 Files matching "${query}" (${summary}):\n${result.files.map(entry => `  ${entry.file}`).join('\n')}`
+        };
+      }
+
+      const result = await searcher.searchContent(query, options);
+      const summary = this.pageSummary(result, result.matches.length, 'matches');
+      return {
+        output: `🔎 Search Results for "${query}" (${summary}, ${result.engine}):\n\n${JSON.stringify(result)}`,
+        display: `🔎 Search Results for "${query}" (${summary}):\n${this.renderMatches(result.matches)}`
+      };
+    } catch (error) {
+      if (error.cancelled) throw error;
+      return { error: `Search failed: ${error.message}` };
+    }
+  }
+
+  static async execute(toolName, args) {
+    switch (toolName) {
+      case 'search':
+        return await this.search(args.query, {
+          mode: args.mode,
+          path: args.path,
+          regex: args.regex,
+          caseSensitive: args.case_sensitive,
+          wholeWord: args.whole_word,
+          include: args.include,
+          exclude: args.exclude,
+          context: args.context,
+          offset: args.offset,
+          limit: args.limit
+        });
+      default:
+        throw new Error(`Unknown search tool: ${toolName}`);
+    }
+  }
+}
+
+module.exports = SearchTools;
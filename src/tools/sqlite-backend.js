@@ -0,0 +1,235 @@
+/**
+ * SQLite Backend - In-process SQLite through better-sqlite3
+ * Queries return typed rows, take bound parameters and page through large results.
+ * Connections are read-only unless a write is permitted, so the driver itself
+ * refuses to change the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let Database = null;
+function driver() {
+  if (!Database) {
+    Database = require('better-sqlite3');
+  }
+  return Database;
+}
+
+const BLOB_PREVIEW_BYTES = 32;
+
+class SQLiteBackend {
+  constructor(options = {}) {
+    this.maxRows = options.maxRows || parseInt(process.env.ORION_DB_MAX_ROWS, 10) || 200;
+    this.maxBytes = options.maxBytes || parseInt(process.env.ORION_DB_MAX_BYTES, 10) || 64 * 1024;
+    // ORION_DB_READONLY=true refuses writes even when a call asks for them
+    this.forceReadOnly = options.forceReadOnly !== undefined ? options.forceReadOnly : process.env.ORION_DB_READONLY === 'true';
+  }
+
+  /**
+   * Open a database. Read-only connections need the file to exist; writable ones
+   * create it like the sqlite3 shell does.
+   */
+  open(database, { readOnly = true } = {}) {
+    const file = database === ':memory:' ? database : path.resolve(database);
+    if (readOnly && file !== ':memory:' && !fs.existsSync(file)) {
+      throw new Error(`Database not found: ${database}`);
+    }
+    const Driver = driver();
+    return new Driver(file, { readonly: readOnly && file !== ':memory:', fileMustExist: readOnly });
+  }
+
+  /**
+   * Run one statement. options: { params, allowWrite, offset, limit }
+   * Readers return { columns, rows, rowCount, offset, hasMore, nextOffset, truncatedBy };
+   * writers return { changes, lastInsertRowid }.
+   */
+  query(database, sql, options = {}) {
+    const allowWrite = Boolean(options.allowWrite) && !this.forceReadOnly;
+    const db = this.open(database, { readOnly: !allowWrite });
+    try {
+      const statement = this.prepare(db, sql);
+      if (!statement.readonly && !allowWrite) {
+        throw new Error(this.forceReadOnly
+          ? 'Write refused - ORION_DB_READONLY is set'
+          : 'Write refused - the database is opened read-only. Set allow_write to change it');
+      }
+      const params = this.bindable(options.params);
+
+      if (!statement.reader) {
+        const info = statement.run(...params);
+        return {
+          readOnly: !allowWrite,
+          changes: info.changes,
+          lastInsertRowid: this.toJSONValue(info.lastInsertRowid)
+        };
+      }
+      return { readOnly: !allowWrite, ...this.collect(statement, params, options) };
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * One page of rows, within the row and byte limits
+   */
+  collect(statement, params, { offset = 0, limit } = {}) {
+    const pageSize = Math.min(limit || this.maxRows, this.maxRows);
+    statement.safeIntegers(true);
+    const columns = statement.columns().map(column => ({ name: column.name, type: column.type }));
+
+    const rows = [];
+    let bytes = 0;
+    let index = 0;
+    let hasMore = false;
+    let truncatedBy = null;
+    for (const row of statement.iterate(...params)) {
+      if (index++ < offset) continue;
+      if (rows.length >= pageSize) {
+        hasMore = true;
+        truncatedBy = rows.length >= this.maxRows ? 'rows' : null;
+        break;
+      }
+      const typed = {};
+      for (const [key, value] of Object.entries(row)) {
+        typed[key] = this.toJSONValue(value);
+      }
+      const size = Buffer.byteLength(JSON.stringify(typed));
+      if (rows.length > 0 && bytes + size > this.maxBytes) {
+        hasMore = true;
+        truncatedBy = 'bytes';
+        break;
+      }
+      bytes += size;
+      rows.push(typed);
+    }
+
+    return {
+      columns,
+      rows,
+      rowCount: rows.length,
+      offset,
+      hasMore,
+      nextOffset: hasMore ? offset + rows.length : null,
+      truncatedBy
+    };
+  }
+
+  /**
+   * EXPLAIN QUERY PLAN as the sqlite3 shell draws it
+   */
+  explain(database, sql, params) {
+    const db = this.open(database, { readOnly: true });
+    try {
+      this.prepare(db, sql); // Reports a bad query as itself, not as the EXPLAIN around it
+      const steps = db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...this.bindable(params));
+      const children = new Map();
+      for (const step of steps) {
+        if (!children.has(step.parent)) children.set(step.parent, []);
+        children.get(step.parent).push(step);
+      }
+      const lines = ['QUERY PLAN'];
+      const draw = (parent, prefix) => {
+        const list = children.get(parent) || [];
+        list.forEach((step, i) => {
+          const last = i === list.length - 1;
+          lines.push(`${prefix}${last ? '`--' : '|--'}${step.detail}`);
+          draw(step.id, prefix + (last ? '   ' : '|  '));
+        });
+      };
+      draw(0, '');
+      return { steps, plan: lines.join('\n') };
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Tables and views, or the CREATE statements for one table with its columns
+   */
+  schema(database, table) {
+    const db = this.open(database, { readOnly: true });
+    try {
+      if (!table) {
+        return {
+          objects: db.prepare("SELECT name, type FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name").all()
+        };
+      }
+      const sql = db.prepare('SELECT sql FROM sqlite_master WHERE tbl_name = ? AND sql IS NOT NULL ORDER BY type DESC, name').all(table);
+      if (sql.length === 0) {
+        throw new Error(`No table named ${table}`);
+      }
+      return {
+        table,
+        sql: sql.map(row => `${row.sql};`).join('\n'),
+        columns: db.prepare('SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info(?)').all(table)
+      };
+    } finally {
+      db.close();
+    }
+  }
+
+  async backup(database, outputPath) {
+    const db = this.open(database, { readOnly: true });
+    try {
+      await db.backup(path.resolve(outputPath));
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Restore = back the backup file up into the target database, replacing it
+   */
+  async restore(backupFile, database) {
+    if (this.forceReadOnly) {
+      throw new Error('Restore refused - ORION_DB_READONLY is set');
+    }
+    await this.backup(backupFile, database);
+  }
+
+  prepare(db, sql) {
+    try {
+      return db.prepare(sql);
+    } catch (error) {
+      if (/more than one statement/.test(error.message)) {
+        throw new Error('Send one SQL statement per call');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parameters as better-sqlite3 takes them: an array for ? placeholders, an object
+   * for :name ones. Booleans become 0/1 like SQLite stores them.
+   */
+  bindable(params) {
+    if (params === undefined || params === null) return [];
+    const convert = value => typeof value === 'boolean' ? Number(value) : value;
+    if (Array.isArray(params)) return params.map(convert);
+    if (typeof params === 'object') {
+      return [Object.fromEntries(Object.entries(params).map(([key, value]) => [key.replace(/^[:@$]/, ''), convert(value)]))];
+    }
+    return [convert(params)];
+  }
+
+  /**
+   * JSON-safe value that keeps its type: integers beyond 2^53 as strings, blobs as
+   * { type, bytes, hex } with a short preview
+   */
+  toJSONValue(value) {
+    if (typeof value === 'bigint') {
+      return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+    }
+    if (Buffer.isBuffer(value)) {
+      return {
+        type: 'blob',
+        bytes: value.length,
+        hex: value.subarray(0, BLOB_PREVIEW_BYTES).toString('hex') + (value.length > BLOB_PREVIEW_BYTES ? '…' : '')
+      };
+    }
+    return value;
+  }
+}
+
+module.exports = SQLiteBackend;
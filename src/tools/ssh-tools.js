@@ -1,9 +1,16 @@
 /**
  * SSH Operations Tools
  */
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { runCommand } = require('./process-tracker');
+
+// Hosts and users (see runCommand)
+const HOST_PATTERN = '^[\\w.:\\[\\]%][\\w.:\\[\\]%-]*$';
+const USER_PATTERN = '^[\\w.][\\w.-]*$';
+// One line of ~/.ssh/config - a newline would start a new directive
+const CONFIG_VALUE_PATTERN = '^[^\\r\\n]+$';
 
 class SSHTools {
   static getDefinitions() {
@@ -16,10 +23,10 @@ class SSHTools {
           parameters: {
             type: 'object',
             properties: {
-              host: { type: 'string', description: 'Remote host address' },
-              user: { type: 'string', description: 'Username' },
+              host: { type: 'string', pattern: HOST_PATTERN, description: 'Remote host address' },
+              user: { type: 'string', pattern: USER_PATTERN, description: 'Username' },
               command: { type: 'string', description: 'Command to execute remotely' },
-              port: { type: 'number', description: 'SSH port (default: 22)' }
+              port: { type: 'integer', minimum: 1, maximum: 65535, description: 'SSH port (default: 22)' }
             },
             required: ['host', 'user', 'command']
           }
@@ -35,8 +42,8 @@ class SSHTools {
             properties: {
               source: { type: 'string', description: 'Source file path' },
               destination: { type: 'string', description: 'Destination path (user@host:/path)' },
-              direction: { type: 'string', description: 'upload or download' },
-              port: { type: 'number', description: 'SSH port (default: 22)' }
+              direction: { type: 'string', enum: ['upload', 'download'], description: 'upload or download' },
+              port: { type: 'integer', minimum: 1, maximum: 65535, description: 'SSH port (default: 22)' }
             },
             required: ['source', 'destination', 'direction']
           }
@@ -50,8 +57,8 @@ class SSHTools {
           parameters: {
             type: 'object',
             properties: {
-              filename: { type: 'string', description: 'Key filename (default: id_rsa)' },
-              type: { type: 'string', description: 'Key type: rsa, ed25519, ecdsa' },
+              filename: { type: 'string', pattern: '^[\\w.][\\w.-]*$', description: 'Key filename in ~/.ssh (default: id_rsa)' },
+              type: { type: 'string', enum: ['rsa', 'ed25519', 'ecdsa'], description: 'Key type: rsa, ed25519, ecdsa' },
               comment: { type: 'string', description: 'Key comment' }
             },
             required: []
@@ -66,9 +73,14 @@ class SSHTools {
           parameters: {
             type: 'object',
             properties: {
-              action: { type: 'string', description: 'show, add, remove' },
-              host_alias: { type: 'string', description: 'Host alias for add/remove' },
-              config: { type: 'object', description: 'SSH config options' }
+              action: { type: 'string', enum: ['show', 'add', 'remove'], description: 'show, add, remove' },
+              host_alias: { type: 'string', pattern: '^[^\\s#]+$', description: 'Host alias for add/remove' },
+              config: {
+                type: 'object',
+                description: 'SSH config options, e.g. { "HostName": "10.0.0.5", "User": "deploy" }',
+                propertyNames: { pattern: '^[A-Za-z]+$' },
+                additionalProperties: { type: 'string', pattern: CONFIG_VALUE_PATTERN }
+              }
             },
             required: ['action']
           }
@@ -77,62 +89,78 @@ class SSHTools {
     ];
   }
 
-  static async execCommand(command) {
-    try {
-      const { stdout, stderr } = await execAsync(command);
-      return stdout.trim() || stderr.trim() || 'Command executed successfully';
-    } catch (error) {
-      throw new Error(error.stderr || error.message);
-    }
-  }
-
   static async sshConnect(host, user, command, port = 22) {
-    const sshCommand = `ssh -p ${port} ${user}@${host} "${command}"`;
-    return await this.execCommand(sshCommand);
+    // The remote shell still runs `command` - that's the point of the tool
+    return await runCommand('ssh', ['-p', String(port), '--', `${user}@${host}`, command]);
   }
 
   static async scpTransfer(source, destination, direction, port = 22) {
-    let command;
     if (direction === 'upload') {
-      command = `scp -P ${port} "${source}" "${destination}"`;
-    } else if (direction === 'download') {
-      command = `scp -P ${port} "${destination}" "${source}"`;
-    } else {
-      throw new Error('Direction must be "upload" or "download"');
+      return await runCommand('scp', ['-P', String(port), '--', source, destination]);
     }
-    return await this.execCommand(command);
+    if (direction === 'download') {
+      return await runCommand('scp', ['-P', String(port), '--', destination, source]);
+    }
+    return { error: 'Direction must be "upload" or "download"' };
   }
 
   static async sshKeygen(filename = 'id_rsa', type = 'rsa', comment) {
-    const commentArg = comment ? `-C "${comment}"` : '';
-    const command = `ssh-keygen -t ${type} -f ~/.ssh/${filename} -N "" ${commentArg}`;
-    return await this.execCommand(command);
+    const args = ['-t', type, '-f', path.join(os.homedir(), '.ssh', filename), '-N', ''];
+    if (comment) args.push('-C', comment);
+    return await runCommand('ssh-keygen', args);
   }
 
   static async sshConfig(action, hostAlias, config) {
-    const configPath = '~/.ssh/config';
+    const configPath = path.join(os.homedir(), '.ssh', 'config');
+    let current = '';
+    try {
+      current = await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        return { error: `Failed to read ${configPath}: ${error.message}` };
+      }
+    }
     
     switch (action) {
       case 'show':
-        return await this.execCommand(`cat ${configPath} || echo "No SSH config found"`);
+        return current.trim() || 'No SSH config found';
       
-      case 'add':
+      case 'add': {
         if (!hostAlias || !config) {
-          throw new Error('Host alias and config required for add action');
+          return { error: 'Host alias and config required for add action' };
         }
         const configBlock = `\nHost ${hostAlias}\n` +
-          Object.entries(config).map(([key, value]) => `    ${key} ${value}`).join('\n');
-        return await this.execCommand(`echo "${configBlock}" >> ${configPath}`);
+          Object.entries(config).map(([key, value]) => `    ${key} ${value}`).join('\n') + '\n';
+        await fs.mkdir(path.dirname(configPath), { recursive: true, mode: 0o700 });
+        await fs.appendFile(configPath, configBlock, { mode: 0o600 });
+        return `✅ Added Host ${hostAlias} to ${configPath}`;
+      }
       
-      case 'remove':
+      case 'remove': {
         if (!hostAlias) {
-          throw new Error('Host alias required for remove action');
+          return { error: 'Host alias required for remove action' };
         }
-        // This is a simplified removal - in practice, you'd want more sophisticated parsing
-        return await this.execCommand(`sed -i '/^Host ${hostAlias}$/,/^$/d' ${configPath}`);
+        // A block runs from its Host line to the next Host or Match line
+        const kept = [];
+        let inBlock = false;
+        let removed = false;
+        for (const line of current.split('\n')) {
+          const header = line.match(/^\s*(Host|Match)\s+(.*)$/i);
+          if (header) {
+            inBlock = header[1].toLowerCase() === 'host' && header[2].trim() === hostAlias;
+            removed = removed || inBlock;
+          }
+          if (!inBlock) kept.push(line);
+        }
+        if (!removed) {
+          return { error: `No Host ${hostAlias} block in ${configPath}` };
+        }
+        await fs.writeFile(configPath, kept.join('\n'));
+        return `🗑️ Removed Host ${hostAlias} from ${configPath}`;
+      }
       
       default:
-        throw new Error(`Unknown SSH config action: ${action}`);
+        return { error: `Unsupported SSH config action: ${action}` };
     }
   }
 
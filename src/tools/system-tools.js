@@ -1,9 +1,8 @@
 /**
  * System Operations Tools
  */
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const fs = require('fs').promises;
+const { runCommand } = require('./process-tracker');
 
 class SystemTools {
   static getDefinitions() {
@@ -71,12 +70,29 @@ class SystemTools {
     ];
   }
 
-  static async execCommand(command) {
+  /**
+   * Several commands one after another, as `a && b` did - stops at the first failure
+   */
+  static async execCommands(commands) {
+    const outputs = [];
+    for (const [file, args] of commands) {
+      const result = await runCommand(file, args);
+      if (typeof result !== 'string') {
+        return outputs.length > 0 ? { ...result, stdout: outputs.join('\n\n') } : result;
+      }
+      outputs.push(result);
+    }
+    return outputs.join('\n\n');
+  }
+
+  /**
+   * The first lines of a file, for /proc entries that were read with `cat | head`
+   */
+  static async headOfFile(file, lines) {
     try {
-      const { stdout } = await execAsync(command);
-      return stdout.trim() || 'Command executed successfully';
+      return (await fs.readFile(file, 'utf8')).split('\n').slice(0, lines).join('\n');
     } catch (error) {
-      throw new Error(error.stderr || error.message);
+      return `(${file} unavailable: ${error.message})`;
     }
   }
 
@@ -94,29 +110,47 @@ class SystemTools {
   }
 
   static async getProcessList(filter) {
-    const command = process.platform === 'win32' ? 'tasklist' :
-                   filter ? `ps aux | grep ${filter}` : 'ps aux';
-    return await this.execCommand(command);
+    const result = await runCommand(process.platform === 'win32' ? 'tasklist' : 'ps', process.platform === 'win32' ? [] : ['aux']);
+    if (!filter || typeof result !== 'string') {
+      return result;
+    }
+    const [header, ...rows] = result.split('\n');
+    return [header, ...rows.filter(row => row.includes(filter))].join('\n');
   }
 
   static async getDiskUsage(path = '.') {
-    const command = process.platform === 'win32' ? `dir "${path}"` : `du -sh "${path}" && df -h`;
-    return await this.execCommand(command);
+    if (process.platform === 'win32') {
+      // dir is built into cmd, which parses its command line again
+      if (/[&|<>^%"]/.test(path)) {
+        return { error: `Path contains characters cmd would interpret: ${path}` };
+      }
+      return await runCommand('cmd', ['/d', '/c', 'dir', path]);
+    }
+    return await this.execCommands([['du', ['-sh', '--', path]], ['df', ['-h']]]);
   }
 
   static async getNetworkInfo() {
-    const command = process.platform === 'win32' ? 'ipconfig /all' : 'ifconfig -a && netstat -rn';
-    return await this.execCommand(command);
+    if (process.platform === 'win32') {
+      return await runCommand('ipconfig', ['/all']);
+    }
+    return await this.execCommands([['ifconfig', ['-a']], ['netstat', ['-rn']]]);
   }
 
   static async getMemoryInfo() {
-    const command = process.platform === 'win32' ? 'systeminfo | findstr Memory' : 'free -h && cat /proc/meminfo | head -10';
-    return await this.execCommand(command);
+    if (process.platform === 'win32') {
+      const result = await runCommand('systeminfo');
+      return typeof result === 'string' ? result.split('\n').filter(line => line.includes('Memory')).join('\n') : result;
+    }
+    const free = await runCommand('free', ['-h']);
+    return typeof free === 'string' ? `${free}\n${await this.headOfFile('/proc/meminfo', 10)}` : free;
   }
 
   static async getCpuInfo() {
-    const command = process.platform === 'win32' ? 'wmic cpu get name,maxclockspeed,numberofcores' : 'lscpu && cat /proc/cpuinfo | head -20';
-    return await this.execCommand(command);
+    if (process.platform === 'win32') {
+      return await runCommand('wmic', ['cpu', 'get', 'name,maxclockspeed,numberofcores']);
+    }
+    const lscpu = await runCommand('lscpu');
+    return typeof lscpu === 'string' ? `${lscpu}\n${await this.headOfFile('/proc/cpuinfo', 20)}` : lscpu;
   }
 
   static async execute(toolName, args) {
@@ -0,0 +1,136 @@
+/**
+ * Todo Tools - JS port of todo-tool.ts for the running CLI
+ * The model plans multi-step work with todo_write; the list is pinned above the
+ * input and saved with the session. Unlike the static tool categories this one
+ * holds state, so the registry keeps an instance.
+ */
+
+const STATUSES = ['pending', 'in_progress', 'completed'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const GLYPHS = { completed: '●', in_progress: '◐', pending: '○' };
+
+class TodoTools {
+  constructor() {
+    this.todos = [];      // [{ id, content, status, priority }]
+    this.onChange = null; // Called with the new list after every update
+  }
+
+  getDefinitions() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'todo_write',
+          description: 'Create or update the task plan shown to the user. Use it for work with 3 or more steps: write the full plan first, keep exactly one item in_progress, and mark items completed as soon as they are done.',
+          parameters: {
+            type: 'object',
+            properties: {
+              todos: {
+                type: 'array',
+                description: 'The todo items. Replaces the whole list unless merge is true',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', description: 'Stable id used to update the item later' },
+                    content: { type: 'string', description: 'What needs to be done' },
+                    status: { type: 'string', enum: STATUSES },
+                    priority: { type: 'string', enum: PRIORITIES }
+                  },
+                  required: ['id', 'status']
+                }
+              },
+              merge: {
+                type: 'boolean',
+                description: 'Update items with matching ids (and append new ones) instead of replacing the list',
+                default: false
+              }
+            },
+            required: ['todos']
+          }
+        }
+      }
+    ];
+  }
+
+  async execute(toolName, args) {
+    switch (toolName) {
+      case 'todo_write':
+        return this.writeTodos(args.todos, args.merge);
+      default:
+        throw new Error(`Unknown todo tool: ${toolName}`);
+    }
+  }
+
+  writeTodos(todos, merge = false) {
+    if (!Array.isArray(todos)) {
+      return { error: 'todos must be an array of { id, content, status, priority }' };
+    }
+
+    const next = merge ? this.todos.map(todo => ({ ...todo })) : [];
+    for (const item of todos) {
+      if (!item || item.id === undefined || item.id === null) {
+        return { error: 'Each todo needs an id' };
+      }
+      if (item.status && !STATUSES.includes(item.status)) {
+        return { error: `Invalid status: ${item.status}. Must be pending, in_progress, or completed` };
+      }
+      if (item.priority && !PRIORITIES.includes(item.priority)) {
+        return { error: `Invalid priority: ${item.priority}. Must be high, medium, or low` };
+      }
+
+      const id = String(item.id);
+      const existing = next.find(todo => todo.id === id);
+      if (existing) {
+        Object.assign(existing, {
+          content: item.content || existing.content,
+          status: item.status || existing.status,
+          priority: item.priority || existing.priority
+        });
+      } else if (!item.content) {
+        return { error: `Todo ${id} is new and needs content` };
+      } else {
+        next.push({ id, content: item.content, status: item.status || 'pending', priority: item.priority || 'medium' });
+      }
+    }
+
+    this.setTodos(next);
+    return { output: this.formatTodoList() };
+  }
+
+  getTodos() {
+    return this.todos.map(todo => ({ ...todo }));
+  }
+
+  setTodos(todos) {
+    this.todos = Array.isArray(todos) ? todos.map(todo => ({ ...todo })) : [];
+    if (this.onChange) {
+      this.onChange(this.getTodos());
+    }
+  }
+
+  clear() {
+    this.setTodos([]);
+  }
+
+  getProgress() {
+    return {
+      completed: this.todos.filter(todo => todo.status === 'completed').length,
+      total: this.todos.length
+    };
+  }
+
+  /**
+   * Plain-text list for the model (the TUI colors its own copy)
+   */
+  formatTodoList() {
+    if (this.todos.length === 0) {
+      return 'Todo list cleared';
+    }
+    const { completed, total } = this.getProgress();
+    const lines = this.todos.map(todo => `${GLYPHS[todo.status] || '○'} [${todo.id}] ${todo.content}${todo.status === 'in_progress' ? ' (in progress)' : ''}`);
+    return `📋 Todos (${completed}/${total} completed)\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = TodoTools;
+module.exports.GLYPHS = GLYPHS;
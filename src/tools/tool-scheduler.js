@@ -0,0 +1,157 @@
+/**
+ * Tool Scheduler - Runs tool calls concurrently where it is safe
+ * Read-only tools share their paths, mutating tools lock the paths they touch,
+ * and anything else (shell, git commits, MCP...) runs on its own. Tools that read
+ * a whole directory wait for writes to any file under it. Requests are granted in
+ * the order they were made, so conflicting calls keep their order.
+ */
+
+const path = require('path');
+const { MUTATING_TOOLS } = require('../checkpoints/checkpoint-manager');
+
+const ALL = '*'; // Held shared by every call, exclusively by calls with unknown effects
+const FILE = 'file:';
+const TREE = 'tree:'; // Directory read by a tree-walking tool - a write to any file under it conflicts
+
+// Tools that only look, with the paths they read
+const READ_ONLY_TOOLS = {
+  read_file: args => [args.filename],
+  file_exists: args => [args.filename],
+  view_file: args => [args.path],
+  file_checksum: args => [args.path],
+  git_diff: args => [args.filename],
+  file_diff: args => [args.file1, args.file2],
+  list_files: () => [],
+  search_files: () => [],
+  grep_content: () => [],
+  search: () => [],
+  git_status: () => [],
+  git_log: () => [],
+  system_info: () => [],
+  process_list: () => [],
+  disk_usage: () => [],
+  network_info: () => [],
+  memory_info: () => [],
+  cpu_info: () => [],
+  docker_ps: () => [],
+  docker_images: () => [],
+  docker_logs: () => [],
+  db_explain: args => [args.database],
+  db_schema: args => [args.database],
+  base64_encode: () => [],
+  hash_generate: () => [],
+  url_encode: () => [],
+  json_format: () => [],
+  text_case: () => [],
+  search_programming: () => [],
+  search_security: () => [],
+  search_documentation: () => [],
+  search_recent_fixes: () => [],
+  web_search: () => [],
+  web_fetch: () => []
+};
+
+// Read-only tools that walk a directory, with its root
+const TREE_READ_TOOLS = {
+  list_files: args => args.directory,
+  search_files: args => args.directory,
+  grep_content: args => args.path,
+  search: args => args.path,
+  git_status: () => null
+};
+
+// In-memory state that isn't a file
+const STATE_KEYS = {
+  todo_write: 'todo:'
+};
+
+class ToolScheduler {
+  constructor(options = {}) {
+    this.maxParallel = Math.max(1, options.maxParallel || parseInt(process.env.ORION_MAX_PARALLEL_TOOLS, 10) || 4);
+    this.pending = []; // Waiting requests, oldest first
+    this.active = [];  // Running requests
+  }
+
+  isReadOnly(toolName) {
+    return Object.prototype.hasOwnProperty.call(READ_ONLY_TOOLS, toolName);
+  }
+
+  /**
+   * The locks a call needs: { shared: [keys], exclusive: [keys] }
+   */
+  describe(toolName, args) {
+    const keysFor = extract => {
+      try {
+        return extract(args || {}).filter(Boolean).map(p => `${FILE}${path.resolve(String(p))}`);
+      } catch {
+        return null;
+      }
+    };
+
+    if (this.isReadOnly(toolName)) {
+      const keys = keysFor(READ_ONLY_TOOLS[toolName]);
+      const tree = TREE_READ_TOOLS[toolName] ? [`${TREE}${path.resolve(String(TREE_READ_TOOLS[toolName](args || {}) || '.'))}`] : [];
+      if (keys) return { shared: [ALL, ...keys, ...tree], exclusive: [] };
+    } else if (STATE_KEYS[toolName]) {
+      return { shared: [ALL], exclusive: [STATE_KEYS[toolName]] };
+    } else if (Object.prototype.hasOwnProperty.call(MUTATING_TOOLS, toolName)) {
+      const keys = keysFor(MUTATING_TOOLS[toolName]);
+      if (keys && keys.length > 0) return { shared: [ALL], exclusive: keys };
+    }
+    // Unknown effects - wait for everything before it, block everything after it
+    return { shared: [], exclusive: [ALL] };
+  }
+
+  /**
+   * Run fn once the locks are free and a slot is available
+   */
+  run(locks, fn) {
+    return new Promise((resolve, reject) => {
+      const request = { locks, start: null };
+      request.start = () => {
+        Promise.resolve()
+          .then(fn)
+          .then(resolve, reject)
+          .finally(() => {
+            this.active.splice(this.active.indexOf(request), 1);
+            this.dispatch();
+          });
+      };
+      this.pending.push(request);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start every waiting request that conflicts with nothing running or queued ahead of it
+   */
+  dispatch() {
+    for (let i = 0; i < this.pending.length && this.active.length < this.maxParallel; i++) {
+      const request = this.pending[i];
+      const blocked = this.active.some(other => conflicts(request.locks, other.locks)) ||
+        this.pending.slice(0, i).some(other => conflicts(request.locks, other.locks));
+      if (blocked) continue;
+
+      this.pending.splice(i--, 1);
+      this.active.push(request);
+      request.start();
+    }
+  }
+}
+
+// Two requests conflict when they share a key and either holds it exclusively,
+// or one reads a directory the other writes a file under
+function conflicts(a, b) {
+  return a.exclusive.some(key => b.exclusive.includes(key) || b.shared.includes(key)) ||
+    b.exclusive.some(key => a.shared.includes(key)) ||
+    readsTreeOf(a, b) || readsTreeOf(b, a);
+}
+
+function readsTreeOf(reader, writer) {
+  const roots = reader.shared.filter(key => key.startsWith(TREE)).map(key => key.slice(TREE.length));
+  const files = writer.exclusive.filter(key => key.startsWith(FILE)).map(key => key.slice(FILE.length));
+  return roots.some(root => files.some(file => file === root || file.startsWith(root.endsWith(path.sep) ? root : root + path.sep)));
+}
+
+module.exports = ToolScheduler;
+module.exports.READ_ONLY_TOOLS = READ_ONLY_TOOLS;
@@ -0,0 +1,42 @@
+/**
+ * Web Cache - Search results and fetched pages, kept for a while in memory
+ * Entries expire after ORION_WEB_CACHE_TTL seconds (default 900, 0 turns caching
+ * off); the oldest go first once the cache is full.
+ */
+
+class WebCache {
+  constructor(options = {}) {
+    const ttlSeconds = options.ttlSeconds !== undefined ? options.ttlSeconds :
+      (process.env.ORION_WEB_CACHE_TTL !== undefined ? parseInt(process.env.ORION_WEB_CACHE_TTL, 10) : 900);
+    this.ttl = (Number.isNaN(ttlSeconds) ? 900 : ttlSeconds) * 1000;
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map(); // key -> { value, expires }, oldest first
+    this.hits = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (this.ttl <= 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + this.ttl });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = WebCache;
@@ -0,0 +1,158 @@
+/**
+ * Web Fetch - Download a page and turn it into markdown the model can read
+ * Redirects are followed by hand so every hop passes the domain check, the
+ * download stops at ORION_FETCH_MAX_BYTES, and HTML goes through turndown with
+ * scripts, navigation and other page chrome removed.
+ */
+
+const TurndownService = require('turndown');
+
+const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT = 20000;
+const TEXT_TYPES = /^(text\/|application\/(json|xml|javascript|x-yaml|yaml|ld\+json|xhtml\+xml)|[^;]*\+json|[^;]*\+xml)/i;
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)/i;
+
+/**
+ * Fetch a URL: { url, status, contentType, title, text, bytes, cutAtBytes }.
+ * isAllowed(url) -> true, or a reason string when a redirect leads somewhere denied.
+ */
+async function download(url, { maxBytes, isAllowed = () => true } = {}) {
+  let current = new URL(url);
+  for (let hop = 0; ; hop++) {
+    if (!['http:', 'https:'].includes(current.protocol)) {
+      throw new Error(`Only http and https URLs can be fetched (got ${current.protocol})`);
+    }
+    const verdict = isAllowed(current);
+    if (verdict !== true) {
+      throw new Error(`${current.hostname} is blocked: ${verdict}`);
+    }
+
+    const response = await fetch(current, {
+      redirect: 'manual',
+      headers: {
+        'User-Agent': 'OrionCLI web_fetch (+https://github.com/uni-mike/OrionCLI)',
+        Accept: 'text/html,application/xhtml+xml,text/plain,application/json;q=0.9,*/*;q=0.5'
+      },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+      }
+      await response.body?.cancel();
+      current = new URL(location, current);
+      continue;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status} ${response.statusText} for ${current.href}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || 'text/html').toLowerCase();
+    if (!TEXT_TYPES.test(contentType)) {
+      await response.body?.cancel();
+      throw new Error(`${contentType.split(';')[0]} isn't text - not fetched`);
+    }
+
+    // Read no more than maxBytes
+    const chunks = [];
+    let bytes = 0;
+    let cutAtBytes = false;
+    for await (const chunk of response.body) {
+      chunks.push(chunk);
+      bytes += chunk.length;
+      if (bytes >= maxBytes) {
+        cutAtBytes = true;
+        break;
+      }
+    }
+    const body = Buffer.concat(chunks).subarray(0, maxBytes);
+
+    const charset = (contentType.match(/charset=([\w-]+)/) || [])[1] || 'utf-8';
+    let text;
+    try {
+      text = new TextDecoder(charset).decode(body);
+    } catch {
+      text = body.toString('utf8'); // Unknown charset label
+    }
+    return { url: current.href, status: response.status, contentType, text, bytes: body.length, cutAtBytes };
+  }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Plain text from an HTML fragment such as a <title> or a search snippet
+ */
+function textOf(html) {
+  return String(html)
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return ENTITIES[name.toLowerCase()] || entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Readable markdown from HTML: the <main> or <article> part when there is one,
+ * links and images made absolute
+ */
+function htmlToMarkdown(html, baseUrl) {
+  const title = textOf((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '');
+  const main = html.match(/<main[\s>][\s\S]*<\/main>/i) || html.match(/<article[\s>][\s\S]*<\/article>/i);
+
+  const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+  turndown.remove(['script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'nav', 'footer', 'aside', 'form', 'button', 'template']);
+  const absolute = href => {
+    try {
+      return new URL(href, baseUrl).href;
+    } catch {
+      return href;
+    }
+  };
+  turndown.addRule('absoluteLinks', {
+    filter: node => node.nodeName === 'A' && node.getAttribute('href'),
+    replacement: (content, node) => {
+      const text = content.trim();
+      const href = node.getAttribute('href');
+      if (!text) return '';
+      if (href.startsWith('#') || href.startsWith('javascript:')) return text;
+      return `[${text}](${absolute(href)})`;
+    }
+  });
+  turndown.addRule('absoluteImages', {
+    filter: 'img',
+    replacement: (content, node) => {
+      const src = node.getAttribute('src');
+      if (!src || src.startsWith('data:')) return '';
+      return `![${(node.getAttribute('alt') || '').trim()}](${absolute(src)})`;
+    }
+  });
+
+  const markdown = turndown.turndown(main ? main[0] : html)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { title, markdown };
+}
+
+/**
+ * A page as markdown (or plain text for non-HTML): { url, title, contentType, content, cutAtBytes }
+ */
+async function fetchPage(url, options = {}) {
+  const page = await download(url, options);
+  if (HTML_TYPES.test(page.contentType) || /^\s*<(!doctype html|html)/i.test(page.text)) {
+    const { title, markdown } = htmlToMarkdown(page.text, page.url);
+    return { url: page.url, title, contentType: page.contentType, content: markdown, cutAtBytes: page.cutAtBytes };
+  }
+  return { url: page.url, title: '', contentType: page.contentType, content: page.text.trim(), cutAtBytes: page.cutAtBytes };
+}
+
+module.exports = { fetchPage, htmlToMarkdown, download, textOf };
@@ -1,15 +1,19 @@
 /**
  * Enhanced Web Search Tools
- * Specialized for coding, debugging, IT, and security solutions
+ * Specialized for coding, debugging, IT, and security solutions.
+ * Searches go to the configured provider (search-providers.js), pages are fetched
+ * as markdown (web-fetch.js), and both are cached for a while.
  */
-const https = require('https');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { createSearchProvider, FRESHNESS } = require('./search-providers');
+const { fetchPage, textOf } = require('./web-fetch');
+const WebCache = require('./web-cache');
+
+const DENIED_REASON = 'on the denied domain list in ~/.orion/permissions.json';
 
 class WebSearchTools {
   static getDefinitions() {
     return [
+      ...this.getCoreDefinitions(),
       {
         type: 'function',
         function: {
@@ -20,7 +24,7 @@ class WebSearchTools {
             properties: {
               query: { type: 'string', description: 'Programming question or error to search for' },
               language: { type: 'string', description: 'Programming language (optional)' },
-              site: { type: 'string', description: 'Specific site: stackoverflow, github, docs' }
+              site: { type: 'string', enum: ['stackoverflow', 'github', 'docs'], description: 'Specific site: stackoverflow, github, docs' }
             },
             required: ['query']
           }
@@ -35,7 +39,7 @@ class WebSearchTools {
             type: 'object',
             properties: {
               query: { type: 'string', description: 'Security issue or vulnerability to search for' },
-              type: { type: 'string', description: 'CVE, exploit, patch, best-practices' }
+              type: { type: 'string', enum: ['CVE', 'exploit', 'patch', 'best-practices'], description: 'CVE, exploit, patch, best-practices' }
             },
             required: ['query']
           }
@@ -65,7 +69,7 @@ class WebSearchTools {
             type: 'object',
             properties: {
               query: { type: 'string', description: 'Bug or issue to search fixes for' },
-              timeframe: { type: 'string', description: 'past day, week, month, year' }
+              timeframe: { type: 'string', enum: FRESHNESS, description: 'Only results from the past day, week, month or year (default: month)' }
             },
             required: ['query']
           }
@@ -74,6 +78,64 @@ class WebSearchTools {
     ];
   }
 
+  /**
+   * web_search and web_fetch - also offered on their own for quick lookups
+   */
+  static getCoreDefinitions() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'web_search',
+          description: 'Search the web for current information',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'The search query' },
+              count: { type: 'integer', minimum: 1, maximum: 20, description: 'Number of results (default: 8)' },
+              freshness: { type: 'string', enum: FRESHNESS, description: 'Only results from the past day, week, month or year' }
+            },
+            required: ['query']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'web_fetch',
+          description: 'Download a web page and return it as markdown (links kept, scripts and navigation removed)',
+          parameters: {
+            type: 'object',
+            properties: {
+              url: { type: 'string', pattern: '^https?://', description: 'http(s) URL to fetch' },
+              max_chars: { type: 'integer', minimum: 500, description: 'Characters to return (default: ORION_FETCH_MAX_CHARS, 20000)' },
+              start_index: { type: 'integer', minimum: 0, description: 'Character to start from - pass the next index from a cut-off page' }
+            },
+            required: ['url']
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * check(url) -> 'allow' | 'deny' | null, from the permission manager's domain lists
+   */
+  static setDomainPolicy(check) {
+    this.domainPolicy = check;
+  }
+
+  static isDenied(url) {
+    return Boolean(this.domainPolicy) && this.domainPolicy(url) === 'deny';
+  }
+
+  static getCache() {
+    if (!this.cache) {
+      this.cache = new WebCache();
+    }
+    return this.cache;
+  }
+
   static async searchProgramming(query, language, site) {
     let searchQuery = query;
     
@@ -137,40 +199,101 @@ class WebSearchTools {
   }
 
   static async searchRecentFixes(query, timeframe = 'month') {
-    let searchQuery = `${query} fix solution resolved`;
-    
-    // Add time-based search parameters
-    const timeMap = {
-      'day': 'past 24 hours',
-      'week': 'past week', 
-      'month': 'past month',
-      'year': 'past year'
-    };
-    
-    searchQuery += ` site:github.com OR site:stackoverflow.com`;
-    
-    return await this.performSearch(searchQuery, `🔧 Recent Fixes (${timeframe})`);
+    const searchQuery = `${query} fix solution resolved`;
+    const freshness = FRESHNESS.includes(timeframe) ? timeframe : 'month';
+    return await this.performSearch(searchQuery, `🔧 Recent Fixes (past ${freshness})`, { freshness });
+  }
+
+  static async webSearch(query, count = 8, freshness) {
+    return await this.performSearch(query, '🔍 Web Search Results', { count, freshness });
   }
 
-  static async performSearch(query, title) {
+  /**
+   * Results from the configured provider, minus denied domains - cached per query
+   */
+  static async performSearch(query, title, options = {}) {
+    let provider;
     try {
-      // Use curl for web search (simplified - in production would use proper search API)
-      const curlCommand = `curl -s "https://www.google.com/search?q=${encodeURIComponent(query)}" -H "User-Agent: Mozilla/5.0"`;
-      const result = await execAsync(curlCommand);
-      
-      // Extract meaningful results (simplified)
-      const searchResults = this.parseSearchResults(result.stdout);
-      
-      return `${title}:\n\nQuery: "${query}"\n\nResults:\n${searchResults}`;
-      
+      provider = createSearchProvider();
     } catch (error) {
-      return `🔍 Search would be performed for: "${query}"\n\nNote: Web search API integration needed for live results.\nSuggested approach:\n- Use official search APIs (Google, Bing, DuckDuckGo)\n- Integrate with specific sites (GitHub API, Stack Overflow API)\n- Add search result parsing and filtering`;
+      return { error: error.message };
+    }
+    if (!provider) {
+      return { error: 'No web search provider configured - set SEARXNG_URL, BRAVE_API_KEY, BING_SEARCH_KEY or ORION_SEARCH_FIXTURE (see .env.example)' };
+    }
+
+    const count = options.count || 8;
+    const key = `search:${provider.name}:${options.freshness || ''}:${count}:${query}`;
+    const cache = this.getCache();
+    let results = cache.get(key);
+    const cached = results !== undefined;
+    if (!cached) {
+      try {
+        results = await provider.search(query, { count, freshness: options.freshness });
+      } catch (error) {
+        return { error: `${provider.name} search failed: ${error.message}` };
+      }
+      cache.set(key, results);
+    }
+
+    const shown = results.filter(result => result && result.url && !this.isDenied(result.url));
+    const header = `${title} (${provider.name}${cached ? ', cached' : ''}):\n\nQuery: "${query}"`;
+    if (shown.length === 0) {
+      return `${header}\n\nNo results.`;
     }
+    const lines = shown.map((result, index) => {
+      const snippet = textOf(result.snippet || '');
+      return `${index + 1}. ${textOf(result.title || '') || result.url}\n   ${result.url}${snippet ? `\n   ${snippet}` : ''}`;
+    });
+    return `${header}\n\n${lines.join('\n\n')}\n\nUse web_fetch on a URL to read the page.`;
   }
 
-  static parseSearchResults(html) {
-    // Simplified result parsing
-    return `Top search results would be parsed and formatted here.\n\nTo implement full web search:\n1. Integrate with search APIs\n2. Parse HTML results\n3. Extract relevant links and snippets\n4. Filter for programming/security content\n5. Format for easy reading`;
+  /**
+   * A page as markdown, maxChars at a time from startIndex. The converted page is
+   * cached, so reading on is free.
+   */
+  static async webFetch(url, maxChars, startIndex = 0) {
+    const limit = maxChars || parseInt(process.env.ORION_FETCH_MAX_CHARS, 10) || 20000;
+    const maxBytes = parseInt(process.env.ORION_FETCH_MAX_BYTES, 10) || 2 * 1024 * 1024;
+    const cache = this.getCache();
+    const key = `fetch:${url}`;
+
+    let page = cache.get(key);
+    const cached = page !== undefined;
+    if (!cached) {
+      try {
+        page = await fetchPage(url, {
+          maxBytes,
+          isAllowed: target => this.isDenied(target.href) ? DENIED_REASON : true
+        });
+      } catch (error) {
+        const reason = error.name === 'TimeoutError' ? 'timed out' : error.message;
+        return { error: `Failed to fetch ${url}: ${reason}` };
+      }
+      cache.set(key, page);
+    }
+
+    const total = page.content.length;
+    const start = Math.min(startIndex, total);
+    const end = Math.min(start + limit, total);
+    const notes = [];
+    if (start > 0 || end < total) {
+      notes.push(`characters ${start}-${end} of ${total}${end < total ? ` - continue with start_index ${end}` : ''}`);
+    }
+    if (page.cutAtBytes) {
+      notes.push(`download stopped at ${Math.round(maxBytes / 1024)} KB`);
+    }
+    if (cached) {
+      notes.push('cached');
+    }
+
+    return [
+      `🌐 ${page.title || page.url}`,
+      `URL: ${page.url}${page.url !== url ? ` (redirected from ${url})` : ''}`,
+      notes.length > 0 ? `(${notes.join('; ')})` : null,
+      '',
+      page.content.slice(start, end) || '(no readable text)'
+    ].filter(line => line !== null).join('\n');
   }
 
   static async execute(toolName, args) {
@@ -183,6 +306,10 @@ class WebSearchTools {
         return await this.searchDocumentation(args.query, args.tool);
       case 'search_recent_fixes':
         return await this.searchRecentFixes(args.query, args.timeframe);
+      case 'web_search':
+        return await this.webSearch(args.query, args.count, args.freshness);
+      case 'web_fetch':
+        return await this.webFetch(args.url, args.max_chars, args.start_index);
       default:
         throw new Error(`Unknown web search tool: ${toolName}`);
     }
@@ -1,21 +1,43 @@
 import * as fs from 'fs';
 import * as path from 'path';
+import * as os from 'os';
 
+const MEMORY_FILE = 'ORION.md';
+
+function findRepoRoot(workingDirectory: string): string {
+  let dir = workingDirectory;
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return workingDirectory;
+    dir = parent;
+  }
+}
+
+/**
+ * Merge ~/.orion/ORION.md and every ORION.md from the repo root down to the
+ * working directory (same order as src/memory/project-memory.js)
+ */
 export function loadCustomInstructions(workingDirectory: string = process.cwd()): string | null {
   try {
-    const instructionsPath = path.join(workingDirectory, '.grok', 'GROK.md');
-    
-    if (!fs.existsSync(instructionsPath)) {
-      return null;
+    const root = findRepoRoot(workingDirectory);
+    const chain: string[] = [];
+    for (let dir = workingDirectory; ; dir = path.dirname(dir)) {
+      chain.unshift(path.join(dir, MEMORY_FILE));
+      if (dir === root || path.dirname(dir) === dir) break;
     }
 
-    const customInstructions = fs.readFileSync(instructionsPath, 'utf-8');
-    return customInstructions.trim();
+    const sections = [path.join(os.homedir(), '.orion', MEMORY_FILE), ...chain]
+      .filter(file => fs.existsSync(file))
+      .map(file => fs.readFileSync(file, 'utf-8').trim())
+      .filter(Boolean);
+
+    return sections.length > 0 ? sections.join('\n\n') : null;
   } catch (error) {
     console.warn('Failed to load custom instructions:', error);
     return null;
   }
 }
 export class CustomInstructionsManager {
-  async getInstructions(): Promise<string | null> { return null; }
+  async getInstructions(): Promise<string | null> { return loadCustomInstructions(); }
 }